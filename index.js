@@ -1,18 +1,49 @@
-import TelegramBot from 'node-telegram-bot-api';
 import dotenv from 'dotenv';
 import QRCode from 'qrcode';
-import supabase from './src/lib/supabase.js';
 import WalletManager from './src/managers/WalletManager.js';
 import GameManager from './src/managers/GameManager.js';
+import LedgerManager from './src/managers/LedgerManager.js';
+import DepositManager from './src/managers/DepositManager.js';
+import HouseManager from './src/managers/HouseManager.js';
+import SettingsManager, { DICE_TYPES, SETTING_OPTIONS } from './src/managers/SettingsManager.js';
+import LobbyManager from './src/managers/LobbyManager.js';
+import JackpotManager from './src/managers/JackpotManager.js';
+import HistoryManager from './src/managers/HistoryManager.js';
+import LeaderboardManager, { LEADERBOARD_RANKINGS, LEADERBOARD_WINDOWS, parseLeaderboardArgs } from './src/managers/LeaderboardManager.js';
+import ScheduleManager, { parseScheduleArgs } from './src/managers/ScheduleManager.js';
 import logger from './src/lib/logger.js';
+import { escapeMarkdown } from './src/lib/markdown.js';
+import { buildClientSeed, verifyRoll } from './src/lib/provablyFair.js';
+import { TOKENS, formatAmount } from './src/lib/tokens.js';
+import { PAYOUT_POLICIES } from './src/lib/settlement.js';
+import { GAME_MODES, getMode } from './src/modes/index.js';
+import { createDefaultRegistry } from './src/randomness/index.js';
+import { getStorage } from './src/storage/index.js';
+import { createTransport } from './src/transport/index.js';
+import { createChain } from './src/chain/index.js';
+import { parseBetArgs, stakeChoices, pickKeyboard } from './src/lib/betInput.js';
+import { resolveRoles, checkPermission } from './src/lib/permissions.js';
 
 dotenv.config();
 
 class DiceItBot {
-  constructor() {
+  // transport defaults to TELEGRAM_TRANSPORT when the bot starts, see src/transport/
+  constructor({ storage = getStorage(), transport = null, chain = createChain() } = {}) {
     this.bot = null;
-    this.walletManager = new WalletManager();
-    this.gameManager = new GameManager();
+    this.transport = transport;
+    this.storage = storage;
+    this.chain = chain;
+    this.ledger = new LedgerManager(this.storage);
+    this.walletManager = new WalletManager(this.ledger, this.storage, this.chain);
+    this.settingsManager = new SettingsManager(this.storage);
+    this.jackpotManager = new JackpotManager(this.ledger);
+    this.gameManager = new GameManager(this.ledger, createDefaultRegistry(), this.settingsManager, this.jackpotManager, this.storage);
+    this.depositManager = new DepositManager(this.walletManager, this.ledger, this.storage);
+    this.houseManager = new HouseManager(this.ledger, this.gameManager, this.storage);
+    this.lobby = new LobbyManager(this.gameManager);
+    this.scheduleManager = new ScheduleManager(this.storage);
+    this.leaderboard = new LeaderboardManager(this.storage);
+    this.history = new HistoryManager(this.storage);
     this.isRunning = false;
   }
 
@@ -22,51 +53,108 @@ class DiceItBot {
       return;
     }
 
-    const token = process.env.TELEGRAM_BOT_TOKEN;
-    if (!token) {
-      throw new Error('TELEGRAM_BOT_TOKEN is not set');
-    }
-
-    this.bot = new TelegramBot(token, { polling: true });
+    this.bot = this.transport || createTransport();
+    this.lobby.setBot(this.bot);
     this.setupEventHandlers();
+    await this.bot.start();
+    await this.restoreGames();
+    await this.houseManager.recoverOpenBets();
+    this.depositManager.start({
+      onDeposit: (deposit) => this.notifyDeposit(deposit),
+      onWithdrawal: (result) => this.notifyWithdrawal(result)
+    });
+    this.scheduleManager.start({
+      onReminder: (schedule) => this.remindScheduledGame(schedule),
+      onDue: (schedule) => this.startScheduledGame(schedule)
+    });
+    this.leaderboard.startWeeklySummary((groupId) => this.postWeeklySummary(groupId));
 
     this.isRunning = true;
     logger.info('🎲 DiceIt Bot started successfully!');
   }
 
+  // Resume games that were open when the bot last stopped
+  async restoreGames() {
+    const { waiting, rolling } = await this.gameManager.restoreGames();
+
+    for (const chatId of rolling) {
+      const result = await this.gameManager.recoverRollingGame(chatId);
+      if (result?.refunded) {
+        await this.bot.sendMessage(chatId,
+          '♻️ The bot restarted while rolling. The game was cancelled and all stakes were refunded.');
+      } else if (result?.error) {
+        await this.bot.sendMessage(chatId, `♻️ The bot restarted while rolling. ${result.error}`);
+      }
+    }
+
+    for (const chatId of waiting) {
+      const delay = this.scheduleGame(chatId);
+      const { lobbyMessageId } = this.gameManager.getActiveGame(chatId);
+      if (lobbyMessageId) {
+        await this.lobby.open(chatId, lobbyMessageId);
+      }
+      await this.bot.sendMessage(chatId,
+        `♻️ The bot restarted. Your game is still on, rolling in ${Math.ceil(delay / 1000)} seconds!`);
+    }
+  }
+
   setupEventHandlers() {
+    const command = (pattern, handler) =>
+      this.bot.onText(pattern, (msg, match) => this.guard(msg.text, () => handler(msg, match)));
+
     // Commands
-    this.bot.onText(/^\/start$/i, (msg) => this.handleStart(msg));
-    this.bot.onText(/^\/help$/i, (msg) => this.handleHelp(msg));
-    this.bot.onText(/^\/balance$/i, (msg) => this.handleBalance(msg));
-    this.bot.onText(/^\/deposit$/i, (msg) => this.handleDeposit(msg));
-    this.bot.onText(/^\/startgame$/i, (msg) => this.handleStartGame(msg));
-    this.bot.onText(/^\/dice ([\d.]+) (SOL|USDC) (\d+)$/i, (msg, match) => 
-      this.handleDice(msg, parseFloat(match[1]), match[2], parseInt(match[3])));
-    this.bot.onText(/^\/pot$/i, (msg) => this.handlePot(msg));
-    this.bot.onText(/^\/stats$/i, (msg) => this.handleStats(msg));
-    this.bot.onText(/^\/roll$/i, (msg) => this.handleRoll(msg));
-    this.bot.onText(/^\/test$/i, (msg) => this.handleTest(msg));
+    command(/^\/start$/i, (msg) => this.handleStart(msg));
+    command(/^\/help$/i, (msg) => this.handleHelp(msg));
+    command(/^\/balance$/i, (msg) => this.handleBalance(msg));
+    command(/^\/deposit$/i, (msg) => this.handleDeposit(msg));
+    command(/^\/faucet(?:@\w+)?(?:\s+(.*))?$/i, (msg, match) => this.handleFaucet(msg, match[1]));
+    command(/^\/startgame$/i, (msg) => this.handleStartGame(msg));
+    command(/^\/settings$/i, (msg) => this.handleSettings(msg));
+    command(/^\/schedule(?:@\w+)?(?:\s+(.*))?$/i, (msg, match) => this.handleSchedule(msg, match[1]));
+    command(/^\/dice(?:@\w+)?(?:\s+(.*))?$/i, (msg, match) => this.handleDice(msg, match[1]));
+    command(/^\/leave$/i, (msg) => this.handleLeave(msg));
+    command(/^\/changebet(?:@\w+)?(?:\s+(.*))?$/i, (msg, match) => this.handleChangeBet(msg, match[1]));
+    command(/^\/pot$/i, (msg) => this.handlePot(msg));
+    command(/^\/jackpot$/i, (msg) => this.handleJackpot(msg));
+    command(/^\/stats$/i, (msg) => this.handleStats(msg));
+    command(/^\/history(?:@\w+)?$/i, (msg) => this.handleHistory(msg));
+    command(/^\/export(?:@\w+)?$/i, (msg) => this.handleExport(msg));
+    command(/^\/leaderboard(?:@\w+)?(?:\s+(.*))?$/i, (msg, match) => this.handleLeaderboard(msg, match[1]));
+    command(/^\/roll$/i, (msg) => this.handleRoll(msg));
+    command(/^\/cancelgame$/i, (msg) => this.handleCancelGame(msg));
+    command(/^\/extend(?:\s+(\d+))?$/i, (msg, match) => this.handleExtend(msg, match[1]));
+    command(/^\/kick(?:\s+@?(\S+))?$/i, (msg, match) => this.handleKick(msg, match[1]));
+    command(/^\/test$/i, (msg) => this.handleTest(msg));
+    command(/^\/withdraw(?:\s+(.*))?$/i, (msg, match) => this.handleWithdraw(msg, match[1]));
+    command(/^\/verify(?:\s+(\S+))?$/i, (msg, match) => this.handleVerify(msg, match[1]));
+    command(/^\/under(?:\s+(.*))?$/i, (msg, match) => this.handleUnder(msg, match[1]));
+    command(/^\/bankroll(?:\s+(.*))?$/i, (msg, match) => this.handleBankroll(msg, match[1]));
 
     // Callback queries
-    this.bot.on('callback_query', (query) => this.handleCallbackQuery(query));
+    this.bot.on('callback_query', (query) => this.guard(`button ${query.data}`, () => this.handleCallbackQuery(query)));
 
     // Error handling
-    this.bot.on('polling_error', (error) => logger.error('Polling error:', error));
     this.bot.on('error', (error) => logger.error('Bot error:', error));
   }
 
+  // A handler or timer callback that throws would otherwise be an
+  // unhandled rejection, which stops the process. Log it and keep serving
+  // everyone else.
+  async guard(label, handler) {
+    try {
+      await handler();
+    } catch (error) {
+      logger.error(`Error handling ${label}: ${error.stack || error.message}`);
+    }
+  }
+
   async handleStart(msg) {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
     const username = msg.from.username || msg.from.first_name || 'User';
 
     // Check if user exists
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .single();
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
 
     if (user) {
       await this.bot.sendMessage(chatId,
@@ -78,14 +166,10 @@ class DiceItBot {
     }
 
     // Create new user
-    const { data: newUser, error: userError } = await supabase
-      .from('users')
-      .insert({
-        telegram_id: telegramId,
-        username: username
-      })
-      .select()
-      .single();
+    const { data: newUser, error: userError } = await this.storage.users.create({
+      telegram_id: telegramId,
+      username: username
+    });
 
     if (userError) {
       await this.bot.sendMessage(chatId, '❌ Error creating account. Please try again.');
@@ -106,7 +190,7 @@ class DiceItBot {
       `2. Join a group with DiceIt bot\n` +
       `3. Someone starts a game with /startgame\n` +
       `4. Join with /dice <amount> <token> <number>\n` +
-      `5. Winner takes all!\n\n` +
+      `5. The game's mode decides who wins the pot\n\n` +
       `💡 Use /help for all commands`,
       { parse_mode: 'Markdown' }
     );
@@ -116,28 +200,51 @@ class DiceItBot {
 
   async handleHelp(msg) {
     const chatId = msg.chat.id;
+    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+    const settings = isGroup ? await this.settingsManager.get(chatId) : null;
+
     await this.bot.sendMessage(chatId,
       `🎲 **DiceIt - Help**\n\n` +
       `**Wallet Commands:**\n` +
       `/start - Create wallet and join bot\n` +
       `/balance - Check your SOL and USDC balance\n` +
       `/deposit - Show deposit address with QR code\n` +
-      `/stats - View your game statistics\n\n` +
+      (this.chain.fund ? `/faucet <amount> <token> - Add test funds (simulated chain)\n` : '') +
+      `/withdraw <amount> <token> <address> - Withdraw to another wallet\n` +
+      `/stats - View your game statistics\n` +
+      `/history - Your recent bets\n` +
+      `/export - Get a CSV of your bets and balance movements\n\n` +
+      `**House Games (Private Chat):**\n` +
+      `/under <amount> <token> <number> - Win if a D100 rolls under your number\n` +
+      `  Example: /under 0.1 SOL 50\n\n` +
       `**Test Commands:**\n` +
       `/test - Test dice mechanics (single player)\n\n` +
       `**Game Commands (Groups Only):**\n` +
       `/startgame - Start a new dice game\n` +
       `/dice <amount> <token> <number> - Join game\n` +
-      `  Example: /dice 0.5 USDC 4\n` +
+      `  Example: /dice 0.5 USDC 4 (or tap 🎯 Join on the game message)\n` +
+      `/changebet <amount> <token> <number> - Change your bet\n` +
+      `/leave - Leave the game and get your stake back\n` +
       `/pot - Check current game pot\n` +
-      `/roll - Force roll dice (admin only)\n\n` +
+      `/leaderboard - Top players (profit, wins, volume, biggest win)\n` +
+      `/jackpot - Check the progressive jackpot\n` +
+      `/settings - Configure games in this group (group admins)\n` +
+      `/schedule - Schedule one-off or recurring games (group admins)\n` +
+      `/roll - Roll now (game creator or admins)\n` +
+      `/extend [seconds] - Extend the countdown (game creator or admins)\n` +
+      `/kick @username - Remove a player and refund them (game creator or admins)\n` +
+      `/cancelgame - Cancel and refund everyone (game creator or admins)\n` +
+      `/verify <gameId> - Check a provably fair roll\n\n` +
       `**How to Play:**\n` +
-      `• Game creator chooses dice type (D6, D10, D20, D100)\n` +
+      `• Game creator chooses a mode and dice type (D6, D10, D20, D100, 2D6)\n` +
       `• Players pick numbers and stake SOL/USDC\n` +
-      `• After 30s, dice rolls automatically\n` +
-      `• Closest number wins the pot!\n` +
-      `• If tie, winners split the pot\n\n` +
-      `💡 House fee: 2%`,
+      `• After the countdown, dice rolls automatically (at least 2 players)\n` +
+      `• Modes: closest number, exact hit, over/under, high roller, dice sum\n` +
+      `• Each mode has its own rule for who wins the pot\n` +
+      `• If tie, winners split the pot equally, by stake, or winner takes all (chosen at start)\n\n` +
+      (settings
+        ? `💡 House fee in this group: ${settings.houseFeePercent}%`
+        : `💡 Each group has its own house fee, use /help in a group to see it`),
       { parse_mode: 'Markdown' }
     );
   }
@@ -146,18 +253,14 @@ class DiceItBot {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
 
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .single();
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
 
     if (!user) {
       await this.bot.sendMessage(chatId, '❌ Please use /start first!');
       return;
     }
 
-    const balances = await this.walletManager.refreshBalance(user.id);
+    const balances = await this.depositManager.refreshBalance(user.id);
 
     if (!balances) {
       await this.bot.sendMessage(chatId, '❌ Wallet not found!');
@@ -177,11 +280,7 @@ class DiceItBot {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
 
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .single();
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
 
     if (!user) {
       await this.bot.sendMessage(chatId, '❌ Please use /start first!');
@@ -197,40 +296,141 @@ class DiceItBot {
 
     const qrCode = await QRCode.toDataURL(wallet.address);
 
+    // A simulated chain only exists inside the bot, funds come from /faucet
+    const network = this.chain.fund
+      ? `🧪 **Simulated Chain!**\n` +
+        `Nothing can be sent here from outside, use /faucet <amount> <SOL|USDC> instead\n\n`
+      : `⚠️ **Devnet Only!**\n` +
+        `Send SOL or USDC (devnet) to this address\n\n`;
+
     await this.bot.sendPhoto(chatId, Buffer.from(qrCode.split(',')[1], 'base64'), {
       caption:
         `💾 **Deposit Address**\n\n` +
         `\`${wallet.address}\`\n\n` +
-        `⚠️ **Devnet Only!**\n` +
-        `Send SOL or USDC (devnet) to this address\n\n` +
-        `⏰ Balance updates automatically`,
+        network +
+        `⏰ Balance updates automatically, we'll message you when your deposit arrives`,
       parse_mode: 'Markdown'
     });
   }
 
-  async handleStartGame(msg) {
+  // Mint test funds into the user's wallet, simulated chain only
+  async handleFaucet(msg, args) {
     const chatId = msg.chat.id;
+    const telegramId = msg.from.id;
 
-    // Check if in group
-    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
-      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+    if (!this.chain.fund) {
+      await this.bot.sendMessage(chatId, '❌ The faucet only works on the simulated chain. Use /deposit instead.');
+      return;
+    }
+
+    const match = (args || '').trim().match(/^([\d.]+)\s+(SOL|USDC)$/i);
+    if (!match) {
+      await this.bot.sendMessage(chatId,
+        `🚰 **Faucet**\n\n` +
+        `Usage: /faucet <amount> <SOL|USDC>\n` +
+        `Example: /faucet 2 SOL`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const amount = parseFloat(match[1]);
+    const token = match[2].toUpperCase();
+
+    if (!(amount > 0)) {
+      await this.bot.sendMessage(chatId, '❌ Amount must be greater than 0');
+      return;
+    }
+
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
+
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Please use /start first!');
+      return;
+    }
+
+    const wallet = await this.walletManager.getWallet(user.id);
+
+    if (!wallet) {
+      await this.bot.sendMessage(chatId, '❌ Wallet not found!');
+      return;
+    }
+
+    try {
+      await this.chain.fund(wallet.address, amount, token);
+    } catch (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error.message}`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId, `🚰 Sent ${formatAmount(amount, token)} to your wallet`);
+
+    // Credit it now rather than on the next poll
+    await this.depositManager.refreshBalance(user.id);
+  }
+
+  // Markdown line pointing at a transaction, on an explorer if the chain has one
+  transactionLink(signature) {
+    const url = this.chain.getExplorerUrl(signature);
+    return url ? `🔗 [View transaction](${url})` : `🔗 Transaction: \`${signature}\``;
+  }
+
+  async handleWithdraw(msg, args) {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id;
+
+    // Withdrawals reveal addresses and amounts, keep them out of groups
+    if (msg.chat.type !== 'private') {
+      await this.bot.sendMessage(chatId, '❌ Withdrawals only work in private chat with the bot!');
+      return;
+    }
+
+    const match = (args || '').trim().match(/^([\d.]+)\s+(SOL|USDC)\s+(\S+)$/i);
+    if (!match) {
+      await this.bot.sendMessage(chatId,
+        `💸 **Withdraw**\n\n` +
+        `Usage: /withdraw <amount> <SOL|USDC> <address>\n` +
+        `Example: /withdraw 0.5 SOL 7xKX...`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const amount = parseFloat(match[1]);
+    const token = match[2].toUpperCase();
+    const address = match[3];
+
+    if (!(amount > 0)) {
+      await this.bot.sendMessage(chatId, '❌ Amount must be greater than 0');
+      return;
+    }
+
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
+
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Please use /start first!');
+      return;
+    }
+
+    const result = await this.walletManager.createWithdrawal(user.id, amount, token, address);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
       return;
     }
 
-    // Show dice type selection
     await this.bot.sendMessage(chatId,
-      '🎲 **Starting New Game**\n\nChoose dice type:',
+      `💸 **Confirm Withdrawal**\n\n` +
+      `💰 Amount: ${amount} ${token}\n` +
+      `📬 To: \`${address}\`\n\n` +
+      `⚠️ Transactions cannot be reversed. The network fee is paid in SOL from your balance.`,
       {
         parse_mode: 'Markdown',
         reply_markup: {
           inline_keyboard: [
             [
-              { text: 'D6 (1-6) 🎲', callback_data: 'start_D6_telegram' },
-              { text: 'D10 (1-10) 🔟', callback_data: 'start_D10_chainlink' }
-            ],
-            [
-              { text: 'D20 (1-20) 🎯', callback_data: 'start_D20_chainlink' },
-              { text: 'D100 (1-100) 💯', callback_data: 'start_D100_chainlink' }
+              { text: '✅ Confirm', callback_data: `withdraw_confirm_${result.withdrawal.id}` },
+              { text: '❌ Cancel', callback_data: `withdraw_cancel_${result.withdrawal.id}` }
             ]
           ]
         }
@@ -238,302 +438,1705 @@ class DiceItBot {
     );
   }
 
-  async handleDice(msg, amount, token, number) {
-    const chatId = msg.chat.id;
-    const telegramId = msg.from.id;
-    const username = msg.from.username || msg.from.first_name || 'User';
+  async handleWithdrawCallback(query, action, withdrawalId) {
+    const chatId = query.message.chat.id;
+    const messageId = query.message.message_id;
 
-    // Check if in group
-    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
-      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+    const { data: user } = await this.storage.users.findByTelegramId(query.from.id);
+
+    if (!user) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Please use /start first!' });
       return;
     }
 
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .single();
-
-    if (!user) {
-      await this.bot.sendMessage(chatId, '❌ Please use /start first in private chat!');
+    if (action === 'cancel') {
+      const result = await this.walletManager.cancelWithdrawal(withdrawalId, user.id);
+      await this.bot.answerCallbackQuery(query.id, result.error ? { text: result.error } : {});
+      if (!result.error) {
+        await this.bot.editMessageText('❌ Withdrawal cancelled.', { chat_id: chatId, message_id: messageId });
+      }
       return;
     }
 
-    const result = await this.gameManager.joinGame(chatId, user.id, username, amount, token, number);
+    await this.bot.answerCallbackQuery(query.id, { text: 'Processing withdrawal...' });
+    await this.bot.editMessageText('🔄 Sending your withdrawal...', { chat_id: chatId, message_id: messageId });
+
+    const result = await this.walletManager.processWithdrawal(withdrawalId, user.id);
 
     if (result.error) {
-      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      await this.bot.editMessageText(`❌ ${result.error}`, { chat_id: chatId, message_id: messageId });
       return;
     }
 
-    const gameData = this.gameManager.getActiveGame(chatId);
+    const { withdrawal, signature } = result;
+    const status = result.confirmed
+      ? '✅ **Withdrawal Sent!**'
+      : '⏳ **Withdrawal Submitted**\n\nConfirmation is taking longer than usual.';
 
-    await this.bot.sendMessage(chatId,
-      `✅ **${username} joined!**\n\n` +
-      `💰 Stake: ${amount} ${token}\n` +
-      `🎯 Chosen number: ${number}\n\n` +
-      `**Current Pot:**\n` +
-      `🔵 SOL: ${gameData.pot.SOL.toFixed(4)}\n` +
-      `💵 USDC: ${gameData.pot.USDC.toFixed(2)}\n` +
-      `👥 Players: ${gameData.players.length}`,
-      { parse_mode: 'Markdown' }
+    await this.bot.editMessageText(
+      `${status}\n\n` +
+      `💰 Amount: ${parseFloat(withdrawal.amount)} ${withdrawal.token}\n` +
+      `📬 To: \`${withdrawal.destination_address}\`\n` +
+      this.transactionLink(signature),
+      {
+        chat_id: chatId,
+        message_id: messageId,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      }
     );
   }
 
-  async handlePot(msg) {
-    const chatId = msg.chat.id;
-
-    const potInfo = this.gameManager.getPotInfo(chatId);
+  async notifyDeposit(deposit) {
+    let telegramId = deposit.telegramId;
 
-    if (!potInfo) {
-      await this.bot.sendMessage(chatId, '❌ No active game in this group!');
-      return;
+    if (!telegramId) {
+      const { data: user } = await this.storage.users.findById(deposit.userId);
+      telegramId = user?.telegram_id;
     }
 
-    await this.bot.sendMessage(chatId,
-      `💰 **Current Pot**\n\n` +
-      `🎲 Dice: ${potInfo.diceType}\n` +
-      `🔵 SOL: ${potInfo.pot.SOL.toFixed(4)}\n` +
-      `💵 USDC: ${potInfo.pot.USDC.toFixed(2)}\n` +
-      `👥 Players: ${potInfo.players}\n\n` +
-      `Use /dice to join!`,
-      { parse_mode: 'Markdown' }
+    if (!telegramId) return;
+
+    const wallet = await this.walletManager.getWallet(deposit.userId);
+    const amount = deposit.token === 'SOL' ? deposit.amount.toFixed(4) : deposit.amount.toFixed(2);
+
+    await this.bot.sendMessage(telegramId,
+      `💳 **Deposit Received!**\n\n` +
+      `➕ ${amount} ${deposit.token}\n\n` +
+      `**New Balance:**\n` +
+      `🔵 SOL: ${parseFloat(wallet?.sol_balance || 0).toFixed(4)}\n` +
+      `💵 USDC: ${parseFloat(wallet?.usdc_balance || 0).toFixed(2)}\n\n` +
+      this.transactionLink(deposit.signature),
+      { parse_mode: 'Markdown', disable_web_page_preview: true }
     );
   }
 
-  async handleStats(msg) {
+  // A withdrawal that was still unconfirmed when it was sent has settled
+  async notifyWithdrawal({ confirmed, signature, withdrawal }) {
+    const { data: user } = await this.storage.users.findById(withdrawal.user_id);
+    if (!user?.telegram_id) return;
+
+    const amount = `${parseFloat(withdrawal.amount)} ${withdrawal.token}`;
+    const text = confirmed
+      ? `✅ **Withdrawal Confirmed**\n\n` +
+        `💰 Amount: ${amount}\n` +
+        `📬 To: \`${withdrawal.destination_address}\`\n` +
+        this.transactionLink(signature)
+      : `❌ **Withdrawal Failed**\n\n` +
+        `Your withdrawal of ${amount} never reached the chain. Your balance has been restored.`;
+
+    await this.bot.sendMessage(user.telegram_id, text, { parse_mode: 'Markdown', disable_web_page_preview: true });
+  }
+
+  async handleUnder(msg, args) {
     const chatId = msg.chat.id;
     const telegramId = msg.from.id;
 
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .single();
+    // Instant games against the house are played one-on-one
+    if (msg.chat.type !== 'private') {
+      await this.bot.sendMessage(chatId, '❌ House games only work in private chat with the bot!');
+      return;
+    }
+
+    const match = (args || '').trim().match(/^([\d.]+)\s+(SOL|USDC)\s+(\d+)$/i);
+    if (!match) {
+      const { min, max } = this.houseManager.getTargetRange();
+      await this.bot.sendMessage(chatId,
+        `🏠 **Roll Under**\n\n` +
+        `Bet that a D100 rolls under your number (${min}-${max}).\n` +
+        `Lower numbers pay more: under 50 pays ${this.houseManager.getMultiplier(50).toFixed(4)}x.\n\n` +
+        `Usage: /under <amount> <SOL|USDC> <number>\n` +
+        `Example: /under 0.1 SOL 50\n\n` +
+        `💡 House edge: ${this.houseManager.getEdgePercent()}%`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    const amount = parseFloat(match[1]);
+    const token = match[2].toUpperCase();
+    const target = parseInt(match[3]);
+
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
 
     if (!user) {
       await this.bot.sendMessage(chatId, '❌ Please use /start first!');
       return;
     }
 
-    const winRate = user.total_games > 0 ? (user.total_wins / user.total_games * 100).toFixed(1) : 0;
+    const result = await this.houseManager.placeBet(user.id, amount, token, target);
 
-    await this.bot.sendMessage(chatId,
-      `📊 **Your Statistics**\n\n` +
-      `🎮 Total Games: ${user.total_games}\n` +
-      `🏆 Wins: ${user.total_wins}\n` +
-      `📈 Win Rate: ${winRate}%\n\n` +
-      `**Wagered:**\n` +
-      `🔵 SOL: ${parseFloat(user.total_wagered_sol || 0).toFixed(4)}\n` +
-      `💵 USDC: ${parseFloat(user.total_wagered_usdc || 0).toFixed(2)}\n\n` +
-      `**Won:**\n` +
-      `🔵 SOL: ${parseFloat(user.total_won_sol || 0).toFixed(4)}\n` +
-      `💵 USDC: ${parseFloat(user.total_won_usdc || 0).toFixed(2)}`,
-      { parse_mode: 'Markdown' }
-    );
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    const { bet } = result;
+    let message = `🎲 **Rolled ${result.result}** (needed under ${bet.target})\n\n`;
+
+    if (result.won) {
+      message += `🎉 You won ${formatAmount(result.payout, bet.token)}!`;
+    } else {
+      message += `😢 You lost ${formatAmount(bet.stake_amount, bet.token)}.`;
+    }
+
+    if (bet.server_seed) {
+      message +=
+        `\n\n🔐 Seed hash: \`${bet.server_seed_hash}\`\n` +
+        `🔑 Server seed: \`${bet.server_seed}\`\n` +
+        `🧾 Client seed: \`${result.proof.clientSeed}\``;
+    }
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   }
 
-  async handleRoll(msg) {
+  async handleBankroll(msg, args) {
     const chatId = msg.chat.id;
-    const telegramId = msg.from.id;
 
-    // Check admin
-    const adminIds = (process.env.ADMIN_USER_IDS || '').split(',').map(id => parseInt(id.trim()));
-    if (!adminIds.includes(telegramId)) {
-      return;
+    if (!(await this.authorize(msg, 'bankroll'))) return;
+
+    const fund = (args || '').trim().match(/^fund\s+([\d.]+)\s+(SOL|USDC)$/i);
+    if (fund) {
+      const amount = parseFloat(fund[1]);
+      const token = fund[2].toUpperCase();
+      const result = await this.houseManager.fundBankroll(amount, token);
+
+      if (result.error) {
+        const reason = result.code === 'insufficient_funds' ? 'Not enough collected house fees' : result.error;
+        await this.bot.sendMessage(chatId, `❌ ${reason}`);
+        return;
+      }
+
+      await this.bot.sendMessage(chatId, `✅ Moved ${amount} ${token} from house fees into the bankroll`);
     }
 
-    const gameData = this.gameManager.getActiveGame(chatId);
+    const info = await this.houseManager.getBankrollInfo();
+    let message = `🏦 **Bankroll**\n\n`;
 
-    if (!gameData) {
-      await this.bot.sendMessage(chatId, '❌ No active game!');
-      return;
+    for (const [token, { emoji }] of Object.entries(TOKENS)) {
+      message +=
+        `${emoji} **${token}**\n` +
+        `Bankroll: ${formatAmount(info[token].bankroll, token)}\n` +
+        `In play: ${formatAmount(info[token].exposure, token)}\n` +
+        `House fees: ${formatAmount(info[token].houseFees, token)}\n\n`;
     }
 
-    // Roll dice
-    await this.executeRoll(chatId);
+    message += `Use /bankroll fund <amount> <SOL|USDC> to top it up from house fees`;
+
+    await this.bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   }
 
-  async handleTest(msg) {
+  async handleStartGame(msg) {
     const chatId = msg.chat.id;
-    const telegramId = msg.from.id;
-
-    // Check if user exists
-    const { data: user } = await supabase
-      .from('users')
-      .select('*')
-      .eq('telegram_id', telegramId)
-      .single();
 
-    if (!user) {
-      await this.bot.sendMessage(chatId, '❌ Please use /start first!');
+    // Check if in group
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
       return;
     }
 
-    // Show test mode dice selection
+    const settings = await this.settingsManager.get(chatId);
+    if (!settings.anyoneCanStart && !(await this.authorize(msg, 'startgame'))) return;
+
+    // Only offer modes that can be played with a dice type this group allows
+    const modes = Object.values(GAME_MODES)
+      .filter(mode => mode.diceTypes.some(dice => settings.allowedDice.includes(dice)));
+
+    // Show game mode selection
     await this.bot.sendMessage(chatId,
-      '🧪 **Test Mode**\n\nChoose dice type to test:',
+      '🎲 **Starting New Game**\n\nChoose game mode:',
       {
         parse_mode: 'Markdown',
         reply_markup: {
-          inline_keyboard: [
-            [
-              { text: 'D6 (1-6) 🎲', callback_data: 'test_D6' },
-              { text: 'D10 (1-10) 🔟', callback_data: 'test_D10' }
-            ],
-            [
-              { text: 'D20 (1-20) 🎯', callback_data: 'test_D20' },
-              { text: 'D100 (1-100) 💯', callback_data: 'test_D100' }
-            ]
-          ]
+          inline_keyboard: modes.map(mode => [
+            { text: `${mode.emoji} ${mode.label}`, callback_data: `mode_${mode.id}` }
+          ])
         }
       }
     );
   }
 
-  async executeRoll(chatId) {
-    const gameData = this.gameManager.getActiveGame(chatId);
-
-    if (!gameData) return;
-
-    await this.bot.sendMessage(chatId, '🎲 Rolling dice...');
-
-    // Use Telegram dice if D6 and telegram method
-    if (gameData.diceType === 'D6' && gameData.randomnessMethod === 'telegram') {
-      const diceMsg = await this.bot.sendDice(chatId, { emoji: '🎲' });
-      const diceResult = diceMsg.dice.value;
-
-      // Wait for animation
-      setTimeout(async () => {
-        await this.finishGame(chatId, diceResult);
-      }, 4000);
-    } else {
-      // Generate random number
-      const { min, max } = gameData.diceConfig;
-      const diceResult = Math.floor(Math.random() * (max - min + 1)) + min;
+  // Roles the sender holds in this chat, see src/lib/permissions.js
+  async getRoles(chatId, telegramId) {
+    let chatMember = null;
+    try {
+      chatMember = await this.bot.getChatMember(chatId, telegramId);
+    } catch (error) {
+      logger.error(`Error checking chat member ${telegramId} in ${chatId}: ${error.message}`);
+    }
 
-      // Show dice animation (visual only for D6)
-      await this.bot.sendDice(chatId, { emoji: '🎲' });
+    return resolveRoles(telegramId, chatMember, this.gameManager.getActiveGame(chatId));
+  }
 
-      setTimeout(async () => {
-        await this.bot.sendMessage(chatId, `🎯 **Result: ${diceResult}**`, { parse_mode: 'Markdown' });
-        await this.finishGame(chatId, diceResult);
-      }, 4000);
+  // Check a message or callback sender may take an action, replying if not
+  async authorize(msgOrQuery, action) {
+    const chatId = (msgOrQuery.message || msgOrQuery).chat.id;
+    const roles = await this.getRoles(chatId, msgOrQuery.from.id);
+    const permission = checkPermission(action, roles);
+
+    if (permission.error) {
+      if (msgOrQuery.message) {
+        await this.bot.answerCallbackQuery(msgOrQuery.id, { text: `⛔ ${permission.error}`, show_alert: true });
+      } else {
+        await this.bot.sendMessage(chatId, `⛔ ${permission.error}`);
+      }
+      return false;
     }
-  }
 
-  async executeTestRoll(chatId, diceType) {
-    // Get dice configuration
-    const diceConfigs = {
-      'D6': { min: 1, max: 6, name: '6-sided dice 🎲' },
-      'D10': { min: 1, max: 10, name: '10-sided dice 🔟' },
-      'D20': { min: 1, max: 20, name: '20-sided dice 🎯' },
-      'D100': { min: 1, max: 100, name: '100-sided dice 💯' }
-    };
+    return true;
+  }
 
-    const config = diceConfigs[diceType];
-    if (!config) return;
+  async handleSettings(msg) {
+    const chatId = msg.chat.id;
 
-    await this.bot.sendMessage(chatId, `🧪 **Testing ${config.name}**\n\n🎲 Rolling...`);
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+      return;
+    }
 
-    // Use Telegram dice for D6, random for others
-    if (diceType === 'D6') {
-      const diceMsg = await this.bot.sendDice(chatId, { emoji: '🎲' });
-      const diceResult = diceMsg.dice.value;
+    if (!(await this.authorize(msg, 'settings'))) return;
 
-      setTimeout(async () => {
-        await this.bot.sendMessage(chatId,
-          `🎯 **Test Result: ${diceResult}**\n\n` +
-          `📊 Dice: ${diceType} (${config.min}-${config.max})\n` +
-          `🎲 Range: ${config.min} to ${config.max}\n\n` +
-          `Use /test to try again!`,
-          { parse_mode: 'Markdown' }
-        );
-      }, 4000);
-    } else {
-      // Generate random number for non-D6 dice
-      const diceResult = Math.floor(Math.random() * (config.max - config.min + 1)) + config.min;
+    const settings = await this.settingsManager.get(chatId);
+    const menu = this.settingsMenu(settings, 'main');
 
-      // Show dice animation for visual effect
-      await this.bot.sendDice(chatId, { emoji: '🎲' });
+    await this.bot.sendMessage(chatId, menu.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: menu.keyboard }
+    });
+  }
 
-      setTimeout(async () => {
-        await this.bot.sendMessage(chatId,
-          `🎯 **Test Result: ${diceResult}**\n\n` +
-          `📊 Dice: ${diceType} (${config.min}-${config.max})\n` +
-          `🎲 Range: ${config.min} to ${config.max}\n\n` +
-          `Use /test to try again!`,
-          { parse_mode: 'Markdown' }
-        );
-      }, 4000);
+  // Text and keyboard for one screen of the /settings menu
+  settingsMenu(settings, view) {
+    const back = [{ text: '⬅️ Back', callback_data: 'settings_view_main' }];
+    const pick = (options, label, action, current) => options.map(value => ({
+      text: `${value === current ? '✅ ' : ''}${label(value)}`,
+      callback_data: `settings_${action}_${value}`
+    }));
+    const rows = (buttons, size = 3) => buttons.reduce((result, button, index) => {
+      if (index % size === 0) result.push([]);
+      result[result.length - 1].push(button);
+      return result;
+    }, []);
+
+    if (view === 'countdown') {
+      return {
+        text: '⏱ **Countdown**\n\nHow long can players join before the roll?',
+        keyboard: [
+          ...rows(pick(SETTING_OPTIONS.countdownSeconds, value => `${value}s`, 'countdown', settings.countdownSeconds)),
+          back
+        ]
+      };
     }
-  }
 
-  async finishGame(chatId, diceResult) {
-    const result = await this.gameManager.rollDice(chatId, diceResult);
+    if (view === 'maxplayers') {
+      return {
+        text: '👥 **Max Players**\n\nHow many players can join one game?',
+        keyboard: [
+          ...rows(pick(SETTING_OPTIONS.maxPlayers, value => value === 0 ? 'No limit' : `${value}`, 'maxplayers', settings.maxPlayers)),
+          back
+        ]
+      };
+    }
 
-    if (result.error) {
-      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
-      return;
+    if (view === 'jackpot') {
+      return {
+        text:
+          '🏆 **Jackpot**\n\n' +
+          'What share of every pot goes into the progressive jackpot?' +
+          (this.jackpotManager.isFromFee() ? ' It is taken out of the house fee.' : ''),
+        keyboard: [
+          ...rows(pick(SETTING_OPTIONS.jackpotPercent, value => value === 0 ? 'Off' : `${value}%`, 'jackpot', settings.jackpotPercent)),
+          back
+        ]
+      };
     }
 
-    const winnersText = result.winners.map(w => `@${w.username}`).join(', ');
-    const payout = result.winners[0].token === 'SOL' ? 
-      `${result.payoutSOL.toFixed(4)} SOL` : 
-      `${result.payoutUSDC.toFixed(2)} USDC`;
+    // Callback data is untrusted, an unknown token gets the main menu
+    const token = view.replace(/^stake/, '');
+    if (view.startsWith('stake') && Object.hasOwn(TOKENS, token)) {
+      const limits = settings.stakeLimits[token];
+      const options = SETTING_OPTIONS.stakes[token];
+
+      return {
+        text:
+          `${TOKENS[token].emoji} **${token} Stakes**\n\n` +
+          `Min: ${limits.min} ${token}\n` +
+          `Max: ${limits.max} ${token}\n\n` +
+          `Pick the minimum (first rows) and maximum (last rows):`,
+        keyboard: [
+          ...rows(pick(options, value => `Min ${value}`, `min_${token}`, limits.min)),
+          ...rows(pick(options, value => `Max ${value}`, `max_${token}`, limits.max)),
+          back
+        ]
+      };
+    }
 
-    await this.bot.sendMessage(chatId,
-      `🎉 **Game Finished!**\n\n` +
-      `🎲 Result: **${diceResult}**\n` +
-      `🏆 Winner(s): ${winnersText}\n` +
-      `💰 Payout each: ${payout}\n\n` +
-      `👥 Total players: ${result.totalPlayers}\n` +
-      `💎 Total pot: ${result.pot.SOL.toFixed(4)} SOL + ${result.pot.USDC.toFixed(2)} USDC\n\n` +
-      `Use /startgame to play again!`,
-      { parse_mode: 'Markdown' }
-    );
+    const stakeLine = (token) =>
+      `${TOKENS[token].emoji} ${token}: ${settings.stakeLimits[token].min} - ${settings.stakeLimits[token].max}` +
+      (settings.allowedTokens.includes(token) ? '' : ' (disabled)');
+
+    return {
+      text:
+        `⚙️ **Game Settings**\n\n` +
+        `⏱ Countdown: ${settings.countdownSeconds}s\n` +
+        `👥 Max players: ${settings.maxPlayers || 'No limit'}\n` +
+        `🎲 Dice: ${settings.allowedDice.join(', ')}\n` +
+        `🚀 Who can start games: ${settings.anyoneCanStart ? 'Everyone' : 'Admins only'}\n` +
+        `🏆 Jackpot: ${settings.jackpotPercent ? `${settings.jackpotPercent}% of each pot` : 'Off'}\n\n` +
+        `**Stakes:**\n` +
+        Object.keys(TOKENS).map(stakeLine).join('\n'),
+      keyboard: [
+        [
+          { text: `⏱ Countdown: ${settings.countdownSeconds}s`, callback_data: 'settings_view_countdown' },
+          { text: `👥 Max players: ${settings.maxPlayers || '∞'}`, callback_data: 'settings_view_maxplayers' }
+        ],
+        Object.keys(TOKENS).map(token => ({
+          text: `${settings.allowedTokens.includes(token) ? '✅' : '⬜'} ${token}`,
+          callback_data: `settings_token_${token}`
+        })),
+        ...rows(DICE_TYPES.map(dice => ({
+          text: `${settings.allowedDice.includes(dice) ? '✅' : '⬜'} ${dice}`,
+          callback_data: `settings_dice_${dice}`
+        }))),
+        Object.keys(TOKENS).map(token => ({
+          text: `${TOKENS[token].emoji} ${token} stakes`,
+          callback_data: `settings_view_stake${token}`
+        })),
+        [
+          { text: settings.anyoneCanStart ? '🚀 Everyone can start' : '🔒 Admins start games', callback_data: 'settings_anyone' },
+          { text: `🏆 Jackpot: ${settings.jackpotPercent ? `${settings.jackpotPercent}%` : 'Off'}`, callback_data: 'settings_view_jackpot' }
+        ],
+        [{ text: '✅ Done', callback_data: 'settings_close' }]
+      ]
+    };
   }
 
-  async handleCallbackQuery(query) {
+  async handleSettingsCallback(query, parts) {
     const chatId = query.message.chat.id;
-    const data = query.data;
 
-    // Handle game start with dice type selection
-    if (data.startsWith('start_')) {
-      const [, diceType, randomnessMethod] = data.split('_');
-      const groupName = query.message.chat.title || 'Group';
+    if (!(await this.authorize(query, 'settings'))) return;
+
+    const [action, ...args] = parts;
+
+    if (action === 'close') {
+      await this.bot.deleteMessage(chatId, query.message.message_id);
+      await this.bot.answerCallbackQuery(query.id, { text: 'Settings saved' });
+      return;
+    }
 
-      const result = await this.gameManager.startGame(chatId, groupName, diceType, randomnessMethod);
+    let settings = await this.settingsManager.get(chatId);
+    let view = 'main';
+
+    if (action === 'view') {
+      view = args[0] || 'main';
+    } else {
+      const change = (action === 'min' || action === 'max')
+        ? { type: action, token: args[0], value: parseFloat(args[1]) }
+        : { type: action, value: ['countdown', 'maxplayers', 'jackpot'].includes(action) ? parseFloat(args[0]) : args[0] };
 
+      const result = await this.settingsManager.update(chatId, change);
       if (result.error) {
         await this.bot.answerCallbackQuery(query.id, { text: result.error });
         return;
       }
 
-      await this.bot.editMessageText(
-        `🎲 **Game Started!**\n\n` +
-        `📊 Dice: ${diceType}\n` +
-        `🔐 Randomness: ${randomnessMethod}\n\n` +
-        `Players have 30 seconds to join!\n` +
-        `Use: /dice <amount> <SOL|USDC> <number>\n\n` +
-        `Example: /dice 0.5 USDC 4`,
-        {
-          chat_id: chatId,
-          message_id: query.message.message_id,
-          parse_mode: 'Markdown'
+      settings = result.settings;
+      if (action === 'min' || action === 'max') {
+        view = `stake${args[0]}`;
+      }
+    }
+
+    const menu = this.settingsMenu(settings, view);
+
+    // Re-picking the current value leaves the menu unchanged, which Telegram rejects
+    await this.bot.editMessageText(menu.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: menu.keyboard }
+    }).catch(error => {
+      if (!error.message.includes('message is not modified')) throw error;
+    });
+
+    await this.bot.answerCallbackQuery(query.id);
+  }
+
+  async handleLobbyCallback(query, action) {
+    const chatId = query.message.chat.id;
+
+    if (!this.lobby.isLobbyMessage(chatId, query.message.message_id)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'This game is over' });
+      return;
+    }
+
+    if (action === 'join') {
+      await this.openJoinWizard(query);
+      return;
+    }
+
+    if (action === 'roll') {
+      if (!(await this.authorize(query, 'roll'))) return;
+
+      const minPlayers = this.gameManager.getMinPlayers();
+      if (this.gameManager.getActiveGame(chatId).players.length < minPlayers) {
+        await this.bot.answerCallbackQuery(query.id, { text: `Need at least ${minPlayers} players to roll`, show_alert: true });
+        return;
+      }
+
+      await this.bot.answerCallbackQuery(query.id);
+      await this.executeRoll(chatId);
+      return;
+    }
+
+    const { data: user } = await this.storage.users.findByTelegramId(query.from.id);
+
+    if (!user) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Please use /start in private chat first!', show_alert: true });
+      return;
+    }
+
+    let result;
+    if (action === 'leave') {
+      result = await this.gameManager.leaveGame(chatId, user.id);
+    } else if (action === 'rejoin') {
+      const lastBet = await this.gameManager.getLastBet(user.id);
+      if (!lastBet) {
+        await this.bot.answerCallbackQuery(query.id, { text: 'No previous bet, join with /dice', show_alert: true });
+        return;
+      }
+
+      const username = query.from.username || query.from.first_name || 'User';
+      result = await this.gameManager.joinGame(chatId, user.id, username, lastBet.amount, lastBet.token, lastBet.pick);
+    } else {
+      return;
+    }
+
+    if (result.error) {
+      await this.bot.answerCallbackQuery(query.id, { text: result.error, show_alert: true });
+      return;
+    }
+
+    await this.bot.answerCallbackQuery(query.id, {
+      text: action === 'leave'
+        ? `Refunded ${formatAmount(result.player.amount, result.player.token)}`
+        : `Joined with ${formatAmount(result.player.amount, result.player.token)}`
+    });
+    this.lobby.refresh(chatId);
+  }
+
+  // Start a bet slip for whoever tapped Join. Each step is encoded in
+  // the callback data as join_<telegramId>_..., see handleJoinCallback.
+  async openJoinWizard(query) {
+    const chatId = query.message.chat.id;
+    const gameData = this.gameManager.getActiveGame(chatId);
+    const name = query.from.username ? `@${query.from.username}` : query.from.first_name;
+
+    const { data: user } = await this.storage.users.findByTelegramId(query.from.id);
+
+    if (!user) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Please use /start in private chat first!', show_alert: true });
+      return;
+    }
+
+    if (gameData.players.some(p => p.userId === user.id)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'You already joined, use /changebet to change your bet' });
+      return;
+    }
+
+    const screen = await this.joinWizardScreen(chatId, query.from.id, []);
+    await this.bot.sendMessage(chatId, `🎯 ${name}, ${screen.text}`, {
+      reply_to_message_id: query.message.message_id,
+      reply_markup: { inline_keyboard: screen.keyboard }
+    });
+    await this.bot.answerCallbackQuery(query.id);
+  }
+
+  // One step of the join wizard. `steps` is the callback data after the
+  // owner's id: [] for tokens, ['t', token] for stakes and
+  // ['s', token, amount, ('r', start)?] for the pick.
+  async joinWizardScreen(chatId, ownerId, steps) {
+    const gameData = this.gameManager.getActiveGame(chatId);
+    const settings = await this.settingsManager.get(chatId);
+    const base = `join_${ownerId}`;
+    const cancel = { text: '✖️ Cancel', callback_data: `${base}_x` };
+
+    const [step, token, amount, , rangeStart] = steps;
+    const { fixedStake } = gameData;
+
+    if (step === 't') {
+      const amounts = fixedStake
+        ? [fixedStake.amount]
+        : stakeChoices(settings.stakeLimits[token], SETTING_OPTIONS.stakes[token], token);
+      return {
+        text: `how much ${token}?`,
+        keyboard: [
+          ...amounts.reduce((rows, value, index) => {
+            if (index % 3 === 0) rows.push([]);
+            rows[rows.length - 1].push({ text: `${value} ${token}`, callback_data: `${base}_s_${token}_${value}` });
+            return rows;
+          }, []),
+          [{ text: '⬅️ Back', callback_data: `${base}_back` }, cancel]
+        ]
+      };
+    }
+
+    if (step === 's') {
+      const choices = gameData.mode.pickChoices(gameData);
+      const prefix = `${base}_s_${token}_${amount}`;
+      const back = rangeStart !== undefined
+        ? { text: '⬅️ Back', callback_data: prefix }
+        : { text: '⬅️ Back', callback_data: `${base}_t_${token}` };
+
+      return {
+        text: `${amount} ${token} on... ${choices.options ? 'pick a side' : 'pick a number'}:`,
+        keyboard: [
+          ...pickKeyboard(choices, prefix, rangeStart !== undefined ? parseInt(rangeStart) : null),
+          [back, cancel]
+        ]
+      };
+    }
+
+    return {
+      text: `which token do you want to bet?`,
+      keyboard: [
+        (fixedStake ? [fixedStake.token] : settings.allowedTokens).map(allowed => ({
+          text: `${TOKENS[allowed].emoji} ${allowed}`,
+          callback_data: `${base}_t_${allowed}`
+        })),
+        [cancel]
+      ]
+    };
+  }
+
+  async handleJoinCallback(query, parts) {
+    const chatId = query.message.chat.id;
+    const [ownerId, ...steps] = parts;
+
+    if (parseInt(ownerId) !== query.from.id) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'This bet slip isn\'t yours, tap 🎯 Join on the game message' });
+      return;
+    }
+
+    const gameData = this.gameManager.getActiveGame(chatId);
+    if (steps[0] === 'x' || !gameData) {
+      await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+      await this.bot.answerCallbackQuery(query.id, gameData ? {} : { text: 'This game is over' });
+      return;
+    }
+
+    const [step, token, amount, next, pick] = steps;
+
+    if (token !== undefined && !Object.hasOwn(TOKENS, token)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Unknown token' });
+      return;
+    }
+
+    // Last step, or the stake step of a mode without picks
+    const noPick = step === 's' && !next && !gameData.mode.pickChoices(gameData);
+    if ((step === 's' && next === 'p') || noPick) {
+      const { data: user } = await this.storage.users.findByTelegramId(query.from.id);
+
+      const username = query.from.username || query.from.first_name || 'User';
+      const result = user
+        ? await this.gameManager.joinGame(chatId, user.id, username, parseFloat(amount), token, noPick ? undefined : pick)
+        : { error: 'Please use /start in private chat first!' };
+
+      if (result.error) {
+        await this.bot.answerCallbackQuery(query.id, { text: result.error, show_alert: true });
+        return;
+      }
+
+      await this.bot.deleteMessage(chatId, query.message.message_id).catch(() => {});
+      await this.bot.answerCallbackQuery(query.id, { text: `Joined with ${formatAmount(result.player.amount, token)}` });
+      this.lobby.refresh(chatId);
+      return;
+    }
+
+    const screen = await this.joinWizardScreen(chatId, ownerId, step === 'back' ? [] : steps);
+    const name = query.from.username ? `@${query.from.username}` : query.from.first_name;
+
+    await this.bot.editMessageText(`🎯 ${name}, ${screen.text}`, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      reply_markup: { inline_keyboard: screen.keyboard }
+    });
+    await this.bot.answerCallbackQuery(query.id);
+  }
+
+  // One line per schedule for /schedule and reminders
+  describeSchedule(schedule) {
+    const mode = getMode(schedule.game_mode);
+    const when = schedule.cron
+      ? `cron \`${schedule.cron}\`, next ${this.formatUtc(schedule.next_run_at)}`
+      : this.formatUtc(schedule.next_run_at);
+
+    return (
+      `${mode.emoji} ${mode.label} · 📊 ${schedule.dice_type} · ${when}` +
+      (schedule.stake_amount ? ` · 🎟 ${formatAmount(schedule.stake_amount, schedule.stake_token)} entry` : '') +
+      (schedule.pot_amount ? ` · 🎁 ${formatAmount(schedule.pot_amount, schedule.pot_token)} starting pot` : '')
+    );
+  }
+
+  formatUtc(timestamp) {
+    return `${new Date(timestamp).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+  }
+
+  async handleSchedule(msg, args) {
+    const chatId = msg.chat.id;
+
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+      return;
+    }
+
+    if (!(await this.authorize(msg, 'schedule'))) return;
+
+    const [subcommand, id] = (args || '').trim().split(/\s+/);
+
+    if (!subcommand || subcommand.toLowerCase() === 'list') {
+      const schedules = await this.scheduleManager.list(chatId);
+      await this.bot.sendMessage(chatId,
+        `⏰ **Scheduled Games**\n\n` +
+        (schedules.length > 0
+          ? schedules.map(schedule => `\`${schedule.id.slice(0, 8)}\` ${this.describeSchedule(schedule)}`).join('\n')
+          : 'Nothing scheduled yet.') +
+        `\n\n**Usage** (times in UTC):\n` +
+        `\`/schedule at 2026-12-31 20:00 D100 closest\`\n` +
+        `\`/schedule cron 0 20 * * * D100 closest pot 10 USDC\`\n` +
+        `Options: \`stake <amount> <token>\` (fixed entry), \`pot <amount> <token>\` (starting pot from your balance), \`policy equal|prorata|wta\`\n` +
+        `\`/schedule cancel <id>\``,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    if (subcommand.toLowerCase() === 'cancel') {
+      const result = id ? await this.scheduleManager.cancel(chatId, id) : { error: 'Usage: /schedule cancel <id>' };
+      await this.bot.sendMessage(chatId, result.error ? `❌ ${result.error}` : `🗑 Schedule \`${result.schedule.id.slice(0, 8)}\` cancelled`,
+        { parse_mode: 'Markdown' });
+      return;
+    }
+
+    const parsed = parseScheduleArgs(args);
+    if (parsed.error) {
+      await this.bot.sendMessage(chatId, `❌ ${parsed.error}\n\nSee /schedule for usage`);
+      return;
+    }
+
+    // The starting pot comes out of the admin's own balance at each start
+    let funderUserId = null;
+    if (parsed.pot) {
+      const user = await this.getUser(msg);
+      if (!user) return;
+      funderUserId = user.id;
+    }
+
+    const result = await this.scheduleManager.create(chatId, msg.chat.title || 'Group', msg.from.id, funderUserId, parsed);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId,
+      `✅ **Game scheduled** \`${result.schedule.id.slice(0, 8)}\`\n\n` +
+      `${this.describeSchedule(result.schedule)}` +
+      (parsed.pot ? `\n\n💡 The starting pot is taken from your balance when each game starts.` : ''),
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async remindScheduledGame(schedule) {
+    const minutes = Math.max(1, Math.round((new Date(schedule.next_run_at).getTime() - Date.now()) / 60000));
+    await this.bot.sendMessage(schedule.group_id,
+      `⏰ **Game starting in ${minutes} minute${minutes > 1 ? 's' : ''}!**\n\n${this.describeSchedule(schedule)}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async startScheduledGame(schedule) {
+    const chatId = Number(schedule.group_id);
+    const diceType = schedule.dice_type;
+
+    const result = await this.gameManager.startGame(
+      chatId,
+      schedule.group_name,
+      diceType,
+      this.gameManager.getDiceConfig(diceType).randomness,
+      schedule.payout_policy,
+      schedule.game_mode,
+      Number(schedule.created_by),
+      {
+        scheduleId: schedule.id,
+        fixedStake: schedule.stake_amount
+          ? { amount: parseFloat(schedule.stake_amount), token: schedule.stake_token }
+          : null,
+        seed: schedule.pot_amount
+          ? { amount: parseFloat(schedule.pot_amount), token: schedule.pot_token, userId: schedule.funder_user_id }
+          : null
+      }
+    );
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `⏰ Scheduled game skipped: ${result.error}`);
+      return;
+    }
+
+    const message = await this.bot.sendMessage(chatId, '🎲 Scheduled game starting...');
+    await this.lobby.open(chatId, message.message_id);
+    this.scheduleGame(chatId);
+
+    if (result.seedError) {
+      await this.bot.sendMessage(chatId, `⚠️ The game started without its starting pot: ${result.seedError}`);
+    }
+  }
+
+  // Keyboard for the payout policy step of /startgame
+  policyKeyboard(diceType, randomnessMethod, gameMode) {
+    return Object.entries(PAYOUT_POLICIES).map(([key, policy]) => [
+      { text: `${policy.emoji} ${policy.label}`, callback_data: `start_${diceType}_${randomnessMethod}_${key}_${gameMode}` }
+    ]);
+  }
+
+  // Parse /dice or /changebet arguments, replying with what's wrong
+  async parseBet(msg, command, args) {
+    const bet = parseBetArgs(args);
+    if (!bet.error) return bet;
+
+    const mode = this.gameManager.getActiveGame(msg.chat.id)?.mode || getMode('closest');
+    await this.bot.sendMessage(msg.chat.id,
+      `❌ ${bet.error}\n\n` +
+      `Usage: /${command} <amount> <SOL|USDC> ${mode.pickUsage}\n` +
+      `Example: /${command} 0.5 USDC ${mode.examplePick}` +
+      (command === 'dice' ? `\nOr tap 🎯 Join on the game message` : '')
+    );
+    return null;
+  }
+
+  async handleDice(msg, args) {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id;
+    const username = msg.from.username || msg.from.first_name || 'User';
+
+    // Check if in group
+    if (msg.chat.type !== 'group' && msg.chat.type !== 'supergroup') {
+      await this.bot.sendMessage(chatId, '❌ This command only works in groups!');
+      return;
+    }
+
+    const bet = await this.parseBet(msg, 'dice', args);
+    if (!bet) return;
+    const { amount, token, pick } = bet;
+
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
+
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Please use /start first in private chat!');
+      return;
+    }
+
+    const result = await this.gameManager.joinGame(chatId, user.id, username, amount, token, pick);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    // The lobby message shows the new player, no need for another message
+    this.lobby.refresh(chatId);
+  }
+
+  // Look up the sender's user row, replying if they never used /start
+  async getUser(msg) {
+    const { data: user } = await this.storage.users.findByTelegramId(msg.from.id);
+
+    if (!user) {
+      await this.bot.sendMessage(msg.chat.id, '❌ Please use /start first in private chat!');
+    }
+    return user;
+  }
+
+  async handleLeave(msg) {
+    const chatId = msg.chat.id;
+
+    const user = await this.getUser(msg);
+    if (!user) return;
+
+    const result = await this.gameManager.leaveGame(chatId, user.id);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    this.lobby.refresh(chatId);
+  }
+
+  async handleChangeBet(msg, args) {
+    const chatId = msg.chat.id;
+
+    const bet = await this.parseBet(msg, 'changebet', args);
+    if (!bet) return;
+    const { amount, token, pick } = bet;
+
+    const user = await this.getUser(msg);
+    if (!user) return;
+
+    const result = await this.gameManager.changeBet(chatId, user.id, amount, token, pick);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    this.lobby.refresh(chatId);
+  }
+
+  async handlePot(msg) {
+    const chatId = msg.chat.id;
+
+    const potInfo = this.gameManager.getPotInfo(chatId);
+
+    if (!potInfo) {
+      await this.bot.sendMessage(chatId, '❌ No active game in this group!');
+      return;
+    }
+
+    await this.bot.sendMessage(chatId,
+      `💰 **Current Pot**\n\n` +
+      `${potInfo.mode.emoji} Mode: ${potInfo.mode.label}\n` +
+      `🎲 Dice: ${potInfo.diceType}\n` +
+      `🔵 SOL: ${potInfo.pot.SOL.toFixed(4)}\n` +
+      `💵 USDC: ${potInfo.pot.USDC.toFixed(2)}\n` +
+      `👥 Players: ${potInfo.players}\n\n` +
+      `Use /dice <amount> <SOL|USDC> ${potInfo.mode.pickUsage} to join!`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleJackpot(msg) {
+    const chatId = msg.chat.id;
+    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+    const global = this.jackpotManager.getScope() === 'global';
+
+    if (!isGroup && !global) {
+      await this.bot.sendMessage(chatId, '❌ Each group has its own jackpot, use /jackpot in a group!');
+      return;
+    }
+
+    const amounts = await this.jackpotManager.getAmounts(chatId);
+    const settings = isGroup ? await this.settingsManager.get(chatId) : null;
+
+    await this.bot.sendMessage(chatId,
+      `🏆 **${global ? 'Global' : 'Group'} Jackpot**\n\n` +
+      Object.keys(TOKENS).map(token => `${TOKENS[token].emoji} ${formatAmount(amounts[token], token)}`).join('\n') + '\n\n' +
+      (settings
+        ? (settings.jackpotPercent > 0
+          ? `💸 ${settings.jackpotPercent}% of every pot here feeds the jackpot\n\n`
+          : `⚠️ The jackpot is off in this group, group admins can turn it on in /settings\n\n`)
+        : '') +
+      `**How to win it:**\n` +
+      `🎯 Hit the exact number on a D100 (closest or exact hit)\n` +
+      `🎲 Call 12 and roll double sixes (dice sum)`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleStats(msg) {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id;
+
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
+
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Please use /start first!');
+      return;
+    }
+
+    const winRate = user.total_games > 0 ? (user.total_wins / user.total_games * 100).toFixed(1) : 0;
+
+    await this.bot.sendMessage(chatId,
+      `📊 **Your Statistics**\n\n` +
+      `🎮 Total Games: ${user.total_games}\n` +
+      `🏆 Wins: ${user.total_wins}\n` +
+      `📈 Win Rate: ${winRate}%\n\n` +
+      `**Wagered:**\n` +
+      `🔵 SOL: ${parseFloat(user.total_wagered_sol || 0).toFixed(4)}\n` +
+      `💵 USDC: ${parseFloat(user.total_wagered_usdc || 0).toFixed(2)}\n\n` +
+      `**Won:**\n` +
+      `🔵 SOL: ${parseFloat(user.total_won_sol || 0).toFixed(4)}\n` +
+      `💵 USDC: ${parseFloat(user.total_won_usdc || 0).toFixed(2)}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  // Bet history and exports go to the player's private chat
+  async sendPrivately(msg, send) {
+    try {
+      await send(msg.from.id);
+    } catch (error) {
+      // 403: the user never opened a private chat with the bot
+      if (error.response?.statusCode !== 403) throw error;
+      await this.bot.sendMessage(msg.chat.id, '❌ Start a private chat with me first, then try again!');
+      return;
+    }
+
+    if (msg.chat.type !== 'private') {
+      await this.bot.sendMessage(msg.chat.id, `📬 @${msg.from.username || msg.from.first_name}, check your DMs!`);
+    }
+  }
+
+  async handleHistory(msg) {
+    const user = await this.getUser(msg);
+    if (!user) return;
+
+    const view = await this.historyView(user.id, 0);
+
+    await this.sendPrivately(msg, (chatId) => this.bot.sendMessage(chatId, view.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: view.keyboard }
+    }));
+  }
+
+  async handleHistoryCallback(query, page) {
+    const { data: user } = await this.storage.users.findByTelegramId(query.from.id);
+
+    if (!user || !(page >= 0)) {
+      await this.bot.answerCallbackQuery(query.id);
+      return;
+    }
+
+    const view = await this.historyView(user.id, page);
+
+    await this.bot.editMessageText(view.text, {
+      chat_id: query.message.chat.id,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: view.keyboard }
+    }).catch(error => {
+      if (!error.message.includes('message is not modified')) throw error;
+    });
+
+    await this.bot.answerCallbackQuery(query.id);
+  }
+
+  // One page of /history with previous/next buttons
+  async historyView(userId, page) {
+    const result = await this.history.getBets(userId, page);
+
+    if (result.error) {
+      return { text: `❌ ${result.error}`, keyboard: [] };
+    }
+
+    if (result.total === 0) {
+      return { text: '📜 No bets yet. Join a game in a group with /dice!', keyboard: [] };
+    }
+
+    const statusEmoji = { won: '✅', lost: '❌', refunded: '↩️', cancelled: '🚫', open: '⏳' };
+    const signed = (amount, token) => `${amount > 0 ? '+' : ''}${formatAmount(amount, token)}`;
+
+    const lines = result.bets.map(bet => {
+      const mode = getMode(bet.mode);
+      return `${statusEmoji[bet.status]} **${bet.status.toUpperCase()}** · \`${bet.gameId.slice(0, 8)}\`\n` +
+        `👥 ${escapeMarkdown(bet.group || 'Unknown group')} · ${bet.diceType} ${mode ? mode.emoji : ''}\n` +
+        `🎯 Pick: ${escapeMarkdown(bet.pick ?? '-')} · 🎲 Result: ${bet.result ?? '-'}\n` +
+        `💰 Stake ${formatAmount(bet.stake, bet.token)}` +
+        (bet.net !== null
+          ? ` · Payout ${formatAmount(bet.payout + bet.jackpot, bet.token)} · Net ${signed(bet.net, bet.token)}`
+          : '');
+    });
+
+    const nav = [];
+    if (page > 0) nav.push({ text: '⬅️ Newer', callback_data: `history_${page - 1}` });
+    if (page + 1 < result.pages) nav.push({ text: 'Older ➡️', callback_data: `history_${page + 1}` });
+
+    return {
+      text:
+        `📜 **Your Bets** (page ${page + 1}/${result.pages}, ${result.total} total)\n\n` +
+        lines.join('\n\n') +
+        `\n\n📥 /export for a CSV of everything`,
+      keyboard: nav.length > 0 ? [nav] : []
+    };
+  }
+
+  async handleExport(msg) {
+    const user = await this.getUser(msg);
+    if (!user) return;
+
+    const result = await this.history.exportCsv(user.id);
+    if (result.error) {
+      await this.bot.sendMessage(msg.chat.id, `❌ ${result.error}`);
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    const document = (csv, name) => [
+      Buffer.from(csv, 'utf8'),
+      {},
+      { filename: `diceit-${name}-${date}.csv`, contentType: 'text/csv' }
+    ];
+
+    await this.sendPrivately(msg, async (chatId) => {
+      await this.bot.sendMessage(chatId,
+        `📥 **Your Export**\n\n` +
+        `🎲 ${result.counts.bets} bets\n` +
+        `📒 ${result.counts.entries} balance movements (deposits, stakes, payouts, refunds, withdrawals)\n\n` +
+        `Amounts in the ledger file are signed: + added to your balance, - taken from it.`,
+        { parse_mode: 'Markdown' }
+      );
+      await this.bot.sendDocument(chatId, ...document(result.bets, 'bets'));
+      await this.bot.sendDocument(chatId, ...document(result.ledger, 'ledger'));
+    });
+  }
+
+  async handleLeaderboard(msg, args) {
+    const chatId = msg.chat.id;
+    const isGroup = msg.chat.type === 'group' || msg.chat.type === 'supergroup';
+
+    const options = parseLeaderboardArgs(args);
+    if (options.error) {
+      await this.bot.sendMessage(chatId,
+        `❌ ${options.error}\n\n` +
+        `Usage: /leaderboard [group|global] [profit|wins|volume|biggest] [day|week|month|all]`);
+      return;
+    }
+
+    // Outside a group there is only the global board
+    const scope = isGroup ? (options.scope || 'group') : 'global';
+    const view = await this.leaderboardView(chatId, scope, options.ranking || 'profit', options.window || 'week');
+
+    await this.bot.sendMessage(chatId, view.text, {
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: view.keyboard }
+    });
+  }
+
+  async handleLeaderboardCallback(query, scope, ranking, window) {
+    const chatId = query.message.chat.id;
+
+    if (!Object.hasOwn(LEADERBOARD_RANKINGS, ranking) || !Object.hasOwn(LEADERBOARD_WINDOWS, window) || !['group', 'global'].includes(scope)) {
+      await this.bot.answerCallbackQuery(query.id, { text: 'Unknown leaderboard' });
+      return;
+    }
+
+    const view = await this.leaderboardView(chatId, scope, ranking, window);
+
+    await this.bot.editMessageText(view.text, {
+      chat_id: chatId,
+      message_id: query.message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: { inline_keyboard: view.keyboard }
+    }).catch(error => {
+      if (!error.message.includes('message is not modified')) throw error;
+    });
+
+    await this.bot.answerCallbackQuery(query.id);
+  }
+
+  // Text and ranking/window buttons for one leaderboard
+  async leaderboardView(chatId, scope, ranking, window) {
+    const { label, emoji } = LEADERBOARD_RANKINGS[ranking];
+    const result = await this.leaderboard.getLeaderboard(scope === 'global' ? null : chatId, ranking, window);
+
+    let body;
+    if (result.error) {
+      body = `❌ ${result.error}`;
+    } else if (result.players === 0) {
+      body = '🤷 No finished games yet. Use /startgame to get on the board!';
+    } else {
+      body = result.boards.map(({ token, rows }) => {
+        const title = token ? `${TOKENS[token].emoji} **${token}**\n` : '';
+        const lines = rows.length === 0
+          ? ['—']
+          : rows.map((row, index) => `${this.rankBadge(index)} @${escapeMarkdown(row.username)} - ${this.leaderboardValue(ranking, row.value, token)}`);
+        return title + lines.join('\n');
+      }).join('\n\n') +
+        `\n\n🎮 ${result.games} games, 👥 ${result.players} players`;
+    }
+
+    const button = (text, selected, nextRanking, nextWindow) => ({
+      text: `${selected ? '✅ ' : ''}${text}`,
+      callback_data: `lb_${scope}_${nextRanking}_${nextWindow}`
+    });
+
+    return {
+      text:
+        `${emoji} **${scope === 'global' ? 'Global' : 'Group'} Leaderboard: ${label}**\n` +
+        `📅 ${LEADERBOARD_WINDOWS[window].label}\n\n` +
+        body,
+      keyboard: [
+        Object.entries(LEADERBOARD_RANKINGS).map(([key, option]) =>
+          button(option.emoji, key === ranking, key, window)),
+        Object.keys(LEADERBOARD_WINDOWS).map(key =>
+          button(key === 'all' ? 'All' : key[0].toUpperCase() + key.slice(1), key === window, ranking, key))
+      ]
+    };
+  }
+
+  rankBadge(index) {
+    return ['🥇', '🥈', '🥉'][index] || `${index + 1}.`;
+  }
+
+  leaderboardValue(ranking, value, token) {
+    if (ranking === 'wins') return `${value} ${value === 1 ? 'win' : 'wins'}`;
+    if (ranking === 'profit' && value > 0) return `+${formatAmount(value, token)}`;
+    return formatAmount(value, token);
+  }
+
+  // Weekly recap for a group that played this week
+  async postWeeklySummary(groupId) {
+    const week = await this.leaderboard.getLeaderboards(groupId, 'week', ['profit', 'wins', 'biggest'], 3);
+    if (week.error || week.games === 0) return;
+
+    const topProfit = week.boards.profit
+      .map(({ token, rows }) => ({ token, rows: rows.filter(row => row.value > 0) }))
+      .filter(({ rows }) => rows.length > 0)
+      .map(({ token, rows }) =>
+        `${TOKENS[token].emoji} ${token}\n` +
+        rows.map((row, index) => `${this.rankBadge(index)} @${escapeMarkdown(row.username)} ${this.leaderboardValue('profit', row.value, token)}`).join('\n')
+      ).join('\n\n');
+
+    const bigWins = week.boards.biggest
+      .filter(({ rows }) => rows.length > 0)
+      .map(({ token, rows }) => `💥 Biggest ${token} win: @${escapeMarkdown(rows[0].username)} ${this.leaderboardValue('biggest', rows[0].value, token)}`);
+
+    const mostWins = week.boards.wins[0].rows[0];
+
+    await this.bot.sendMessage(groupId,
+      `📊 **Weekly Recap**\n\n` +
+      `🎮 ${week.games} games, 👥 ${week.players} players this week\n\n` +
+      (topProfit ? `**Top earners:**\n${topProfit}\n\n` : '') +
+      (mostWins ? `🏆 Most wins: @${escapeMarkdown(mostWins.username)} (${mostWins.value})\n` : '') +
+      bigWins.join('\n') +
+      `\n\nFull standings: /leaderboard`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleRoll(msg) {
+    const chatId = msg.chat.id;
+
+    const gameData = this.gameManager.getActiveGame(chatId);
+
+    if (!gameData) {
+      await this.bot.sendMessage(chatId, '❌ No active game!');
+      return;
+    }
+
+    if (!(await this.authorize(msg, 'roll'))) return;
+
+    if (gameData.status !== 'waiting') {
+      await this.bot.sendMessage(chatId, '🎲 The dice are already rolling!');
+      return;
+    }
+
+    const minPlayers = this.gameManager.getMinPlayers();
+    if (gameData.players.length < minPlayers) {
+      await this.bot.sendMessage(chatId, `❌ Need at least ${minPlayers} players to roll, there are ${gameData.players.length}`);
+      return;
+    }
+
+    // Roll dice
+    await this.executeRoll(chatId);
+  }
+
+  // Start (or restart) the countdown timers of the chat's game
+  scheduleGame(chatId) {
+    return this.gameManager.scheduleRoll(chatId,
+      (id) => this.guard(`countdown end in ${id}`, () => this.onCountdownEnd(id)),
+      (id) => this.guard(`countdown warning in ${id}`, () => this.warnBeforeRoll(id)));
+  }
+
+  async warnBeforeRoll(chatId) {
+    const gameData = this.gameManager.getActiveGame(chatId);
+    if (!gameData || gameData.status !== 'waiting') return;
+
+    const seconds = Math.ceil((gameData.startedAt + gameData.countdownSeconds * 1000 - Date.now()) / 1000);
+    const needed = this.gameManager.getMinPlayers() - gameData.players.length;
+
+    await this.bot.sendMessage(chatId, needed > 0
+      ? `⏳ ${seconds} seconds left and ${needed} more player${needed > 1 ? 's' : ''} needed, ` +
+        (gameData.autoExtended ? 'otherwise the game is cancelled and refunded!' : 'otherwise the countdown is extended once!')
+      : `⏳ ${seconds} seconds left! Last chance to join.`);
+  }
+
+  async onCountdownEnd(chatId) {
+    const result = await this.gameManager.endCountdown(chatId);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+    }
+
+    if (result.action === 'roll') {
+      await this.executeRoll(chatId);
+    }
+
+    if (result.action === 'extended') {
+      const delay = this.scheduleGame(chatId);
+      this.lobby.refresh(chatId);
+      await this.bot.sendMessage(chatId,
+        `⏱ Not enough players yet, ${result.needed} more needed. ` +
+        `The countdown was extended by ${result.seconds}s, rolling in ${Math.ceil(delay / 1000)} seconds!`);
+    }
+
+    if (result.action === 'cancelled') {
+      await this.lobby.close(chatId, '🛑 Not enough players, game cancelled and stakes refunded');
+      await this.bot.sendMessage(chatId,
+        `🛑 **Game cancelled**: it needed ${this.gameManager.getMinPlayers()} players.\n\n` +
+        (result.gameData.players.length > 0
+          ? `All ${result.gameData.players.length} stakes were refunded.`
+          : `Nobody had joined.`),
+        { parse_mode: 'Markdown' }
+      );
+    }
+  }
+
+  async handleCancelGame(msg) {
+    const chatId = msg.chat.id;
+
+    if (!this.gameManager.getActiveGame(chatId)) {
+      await this.bot.sendMessage(chatId, '❌ No active game!');
+      return;
+    }
+
+    if (!(await this.authorize(msg, 'cancel'))) return;
+
+    const result = await this.gameManager.cancelGame(chatId);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    await this.lobby.close(chatId, '🛑 Game cancelled, all stakes refunded');
+
+    await this.bot.sendMessage(chatId,
+      `🛑 **Game cancelled** by ${escapeMarkdown(msg.from.username ? '@' + msg.from.username : msg.from.first_name)}\n\n` +
+      `All ${result.gameData.players.length} stakes were refunded.`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleExtend(msg, seconds) {
+    const chatId = msg.chat.id;
+    const extraSeconds = seconds ? parseInt(seconds) : 30;
+
+    if (!this.gameManager.getActiveGame(chatId)) {
+      await this.bot.sendMessage(chatId, '❌ No active game!');
+      return;
+    }
+
+    if (!(await this.authorize(msg, 'extend'))) return;
+
+    if (extraSeconds < 1 || extraSeconds > 300) {
+      await this.bot.sendMessage(chatId, '❌ You can extend by 1 to 300 seconds at a time');
+      return;
+    }
+
+    const result = await this.gameManager.extendGame(chatId, extraSeconds);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    const delay = this.scheduleGame(chatId);
+
+    await this.bot.sendMessage(chatId,
+      `⏱ Countdown extended by ${extraSeconds}s. Rolling in ${Math.ceil(delay / 1000)} seconds!`);
+
+    this.lobby.refresh(chatId);
+  }
+
+  // /kick @username, or /kick as a reply to the player's message
+  async handleKick(msg, username) {
+    const chatId = msg.chat.id;
+    const gameData = this.gameManager.getActiveGame(chatId);
+
+    if (!gameData) {
+      await this.bot.sendMessage(chatId, '❌ No active game!');
+      return;
+    }
+
+    if (!(await this.authorize(msg, 'kick'))) return;
+
+    let player;
+    if (msg.reply_to_message && !username) {
+      const { data: user } = await this.storage.users.findByTelegramId(msg.reply_to_message.from.id);
+      player = user && gameData.players.find(p => p.userId === user.id);
+    } else if (username) {
+      player = gameData.players.find(p => p.username.toLowerCase() === username.toLowerCase());
+    } else {
+      await this.bot.sendMessage(chatId, 'Usage: /kick @username, or reply to the player\'s message with /kick');
+      return;
+    }
+
+    if (!player) {
+      await this.bot.sendMessage(chatId, '❌ That player is not in this game');
+      return;
+    }
+
+    const result = await this.gameManager.removePlayer(chatId, player.userId);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    await this.bot.sendMessage(chatId,
+      `👢 **${escapeMarkdown(player.username)} was removed** from the game\n\n` +
+      `↩️ Refunded ${formatAmount(player.amount, player.token)}\n` +
+      `👥 Players: ${result.gameData.players.length}`,
+      { parse_mode: 'Markdown' }
+    );
+
+    this.lobby.refresh(chatId);
+  }
+
+  async handleTest(msg) {
+    const chatId = msg.chat.id;
+    const telegramId = msg.from.id;
+
+    // Check if user exists
+    const { data: user } = await this.storage.users.findByTelegramId(telegramId);
+
+    if (!user) {
+      await this.bot.sendMessage(chatId, '❌ Please use /start first!');
+      return;
+    }
+
+    // Show test mode dice selection
+    await this.bot.sendMessage(chatId,
+      '🧪 **Test Mode**\n\nChoose dice type to test:',
+      {
+        parse_mode: 'Markdown',
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: 'D6 (1-6) 🎲', callback_data: 'test_D6' },
+              { text: 'D10 (1-10) 🔟', callback_data: 'test_D10' }
+            ],
+            [
+              { text: 'D20 (1-20) 🎯', callback_data: 'test_D20' },
+              { text: 'D100 (1-100) 💯', callback_data: 'test_D100' }
+            ]
+          ]
+        }
+      }
+    );
+  }
+
+  // Lets Telegram-dice providers post the animated dice to this chat
+  diceChannel(chatId) {
+    return {
+      sendDice: async () => {
+        const diceMsg = await this.bot.sendDice(chatId, { emoji: '🎲' });
+        return diceMsg.dice.value;
+      }
+    };
+  }
+
+  async executeRoll(chatId) {
+    // Close betting; a game that is already rolling is left alone
+    const { gameData, error } = await this.gameManager.beginRoll(chatId);
+
+    if (error) return;
+
+    await this.lobby.close(chatId, '🎲 Bets closed, rolling now!');
+    await this.bot.sendMessage(chatId, '🎲 Rolling dice...');
+
+    const roll = await this.gameManager.drawResult(gameData, this.diceChannel(chatId));
+
+    if (roll.error) {
+      const cancelled = await this.gameManager.cancelGame(chatId);
+      await this.bot.sendMessage(chatId, `❌ ${roll.error}. ${cancelled.error || 'The game was cancelled and all stakes refunded.'}`);
+      return;
+    }
+
+    // Show dice animation (visual only unless the provider rolled it)
+    if (!roll.animated) {
+      await this.bot.sendDice(chatId, { emoji: '🎲' });
+    }
+
+    // Wait for animation
+    setTimeout(() => this.guard(`roll in ${chatId}`, async () => {
+      if (!roll.animated && roll.values.length === 1) {
+        await this.bot.sendMessage(chatId, `🎯 **Result: ${roll.values[0]}**`, { parse_mode: 'Markdown' });
+      }
+      await this.finishGame(chatId, roll.values, roll.proof);
+    }), 4000);
+  }
+
+  async executeTestRoll(chatId, diceType) {
+    if (!['D6', 'D10', 'D20', 'D100'].includes(diceType)) return;
+
+    // Get dice configuration
+    const config = this.gameManager.getDiceConfig(diceType);
+
+    await this.bot.sendMessage(chatId, `🧪 **Testing ${config.name}**\n\n🎲 Rolling...`);
+
+    // Use Telegram dice for D6, secure RNG for others
+    const provider = this.gameManager.randomness.get(diceType === 'D6' ? 'telegram' : 'crypto');
+    const roll = await provider.roll({ diceConfig: config, count: 1, channel: this.diceChannel(chatId) });
+    const diceResult = roll.values[0];
+
+    // Show dice animation for visual effect
+    if (!roll.animated) {
+      await this.bot.sendDice(chatId, { emoji: '🎲' });
+    }
+
+    setTimeout(() => this.guard(`test roll in ${chatId}`, async () => {
+      await this.bot.sendMessage(chatId,
+        `🎯 **Test Result: ${diceResult}**\n\n` +
+        `📊 Dice: ${diceType} (${config.min}-${config.max})\n` +
+        `🎲 Range: ${config.min} to ${config.max}\n\n` +
+        `Use /test to try again!`,
+        { parse_mode: 'Markdown' }
+      );
+    }), 4000);
+  }
+
+  async finishGame(chatId, diceValues, proof = {}) {
+    const result = await this.gameManager.rollDice(chatId, diceValues, proof);
+
+    if (result.error) {
+      await this.bot.sendMessage(chatId, `❌ ${result.error}`);
+      return;
+    }
+
+    const { mode, gameData } = result;
+
+    // One section per token pool, itemised per winner
+    const poolsText = result.settlement.map(pool =>
+      `${TOKENS[pool.token].emoji} **${pool.token} pool:** ${formatAmount(pool.pot, pool.token)} ` +
+      `(fee ${formatAmount(pool.fee, pool.token)}` +
+      (pool.jackpot > 0 ? `, jackpot ${formatAmount(pool.jackpot, pool.token)}` : '') + `)\n` +
+      (pool.payouts.length === 0 ? `🤷 No winner, stakes refunded\n` : '') +
+      (pool.seedReturn > 0 ? `🎁 Starting pot of ${formatAmount(pool.seedReturn, pool.token)} returned\n` : '') +
+      pool.payouts.map(w =>
+        `🏆 @${escapeMarkdown(w.username)} (${mode.describePick(w, gameData)}) → ${formatAmount(w.payout, pool.token)}`
+      ).concat(pool.refunds.map(p =>
+        `↩️ @${escapeMarkdown(p.username)} refunded ${formatAmount(p.refund, pool.token)}`
+      )).join('\n')
+    ).join('\n\n');
+
+    await this.bot.sendMessage(chatId,
+      `🎉 **Game Finished!**\n\n` +
+      `${mode.describeOutcome(result.outcome, gameData)}\n\n` +
+      `${poolsText}\n\n` +
+      `👥 Total players: ${result.totalPlayers}\n` +
+      `💎 Total pot: ${result.pot.SOL.toFixed(4)} SOL + ${result.pot.USDC.toFixed(2)} USDC\n\n` +
+      (result.serverSeed
+        ? `🔐 Server seed: \`${result.serverSeed}\`\n` +
+          `✅ Verify: \`/verify ${result.gameId}\`\n\n`
+        : '') +
+      `Use /startgame to play again!`,
+      { parse_mode: 'Markdown' }
+    );
+
+    if (result.jackpotWins.length > 0) {
+      await this.announceJackpot(chatId, result);
+    }
+  }
+
+  async announceJackpot(chatId, result) {
+    const { mode, gameData } = result;
+
+    await this.bot.sendMessage(chatId,
+      `🚨🚨🚨 **JACKPOT!** 🚨🚨🚨\n\n` +
+      `${mode.describeOutcome(result.outcome, gameData)}\n\n` +
+      result.jackpotWins.map(w =>
+        `💰 @${escapeMarkdown(w.username)} (${mode.describePick(w, gameData)}) wins **${formatAmount(w.jackpot, w.token)}**!`
+      ).join('\n') +
+      `\n\n🏆 The jackpot starts growing again from the next game. Check it with /jackpot`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleVerify(msg, gameId) {
+    const chatId = msg.chat.id;
+
+    if (!gameId) {
+      await this.bot.sendMessage(chatId, 'Usage: /verify <gameId>');
+      return;
+    }
+
+    const { game, diceConfig, error } = await this.gameManager.getGameForVerification(gameId);
+
+    if (error) {
+      await this.bot.sendMessage(chatId, `❌ ${error}`);
+      return;
+    }
+
+    if (game.randomness_method !== 'fair') {
+      await this.bot.sendMessage(chatId, `❌ Game used ${game.randomness_method} randomness, which can't be verified.`);
+      return;
+    }
+
+    // The seed stays secret until the game is over
+    if (game.status !== 'finished') {
+      await this.bot.sendMessage(chatId,
+        `🔐 **Game ${game.status}**\n\n` +
+        `Server seed hash: \`${game.server_seed_hash}\`\n\n` +
+        `The server seed is revealed once the game finishes.`,
+        { parse_mode: 'Markdown' }
+      );
+      return;
+    }
+
+    // Rebuild the client seed from the bets rather than trusting the stored one
+    const clientSeed = buildClientSeed(game.bets.map(bet => bet.id));
+    const { min, max } = diceConfig.die;
+    const values = game.dice_values || [game.dice_result];
+    const check = verifyRoll({
+      serverSeed: game.server_seed,
+      serverSeedHash: game.server_seed_hash,
+      clientSeed,
+      min,
+      max,
+      values
+    });
+
+    await this.bot.sendMessage(chatId,
+      `${check.valid ? '✅' : '❌'} **Verification ${check.valid ? 'passed' : 'FAILED'}**\n\n` +
+      `🎲 Dice: ${game.dice_type} (${min}-${max} per die)\n` +
+      `🔐 Hash: \`${game.server_seed_hash}\` ${check.hashMatches ? '✅' : '❌'}\n` +
+      `🔑 Server seed: \`${game.server_seed}\`\n` +
+      `👥 Client seed (sorted bet ids): \`${clientSeed}\`\n\n` +
+      `🎯 Recorded dice: ${values.join(', ')}\n` +
+      `🧮 Recomputed dice: ${check.expected.join(', ')}\n\n` +
+      `Formula: HMAC-SHA256(serverSeed, clientSeed + ":" + nonce) for nonce 0, 1, ..., ` +
+      `first unbiased 32-bit word mod ${max - min + 1} + ${min}`,
+      { parse_mode: 'Markdown' }
+    );
+  }
+
+  async handleCallbackQuery(query) {
+    const chatId = query.message.chat.id;
+    const data = query.data;
+
+    // Mode chosen, ask for the dice type (skipped if the mode has only one)
+    if (data.startsWith('mode_')) {
+      const mode = getMode(data.replace('mode_', ''));
+      if (!mode) {
+        await this.bot.answerCallbackQuery(query.id, { text: 'Unknown game mode' });
+        return;
+      }
+
+      const diceButton = (diceType) => {
+        const config = this.gameManager.getDiceConfig(diceType);
+        return { text: `${diceType} (${config.min}-${config.max})`, callback_data: `setup_${diceType}_${config.randomness}_${mode.id}` };
+      };
+
+      const settings = await this.settingsManager.get(chatId);
+      const diceTypes = mode.diceTypes.filter(dice => settings.allowedDice.includes(dice));
+      if (diceTypes.length === 0) {
+        await this.bot.answerCallbackQuery(query.id, { text: `${mode.label} has no dice enabled in this group` });
+        return;
+      }
+
+      const singleDice = diceTypes.length === 1 ? diceTypes[0] : null;
+
+      await this.bot.editMessageText(
+        `🎲 **Starting New Game**\n\n` +
+        `${mode.emoji} ${mode.label}: ${mode.description}\n\n` +
+        (singleDice ? `How should tied winners share the pot?` : `Choose dice type:`),
+        {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: singleDice
+              ? this.policyKeyboard(singleDice, this.gameManager.getDiceConfig(singleDice).randomness, mode.id)
+              : diceTypes.map(diceButton).reduce((rows, button, index) => {
+                if (index % 2 === 0) rows.push([]);
+                rows[rows.length - 1].push(button);
+                return rows;
+              }, [])
+          }
+        }
+      );
+
+      await this.bot.answerCallbackQuery(query.id);
+    }
+
+    // Dice type chosen, ask how tied winners should share the pot
+    if (data.startsWith('setup_')) {
+      const [, diceType, randomnessMethod, gameMode = 'closest'] = data.split('_');
+
+      await this.bot.editMessageText(
+        `🎲 **Starting New Game**\n\n` +
+        `📊 Dice: ${diceType}\n\n` +
+        `How should tied winners share the pot?`,
+        {
+          chat_id: chatId,
+          message_id: query.message.message_id,
+          parse_mode: 'Markdown',
+          reply_markup: {
+            inline_keyboard: this.policyKeyboard(diceType, randomnessMethod, gameMode)
+          }
         }
       );
 
+      await this.bot.answerCallbackQuery(query.id);
+    }
+
+    // Handle game start with dice type and payout policy selection
+    if (data.startsWith('start_')) {
+      const [, diceType, randomnessMethod, payoutPolicy = 'equal', gameMode = 'closest'] = data.split('_');
+      const groupName = query.message.chat.title || 'Group';
+
+      const settings = await this.settingsManager.get(chatId);
+      if (!settings.anyoneCanStart && !(await this.authorize(query, 'startgame'))) return;
+
+      const result = await this.gameManager.startGame(chatId, groupName, diceType, randomnessMethod, payoutPolicy, gameMode, query.from.id);
+
+      if (result.error) {
+        await this.bot.answerCallbackQuery(query.id, { text: result.error });
+        return;
+      }
+
+      // The setup message becomes the game's lobby
+      await this.lobby.open(chatId, query.message.message_id);
+
       // Start countdown timer
-      const countdownSeconds = parseInt(process.env.GAME_COUNTDOWN_SECONDS || 30);
-      setTimeout(() => {
-        this.executeRoll(chatId);
-      }, countdownSeconds * 1000);
+      this.scheduleGame(chatId);
 
       await this.bot.answerCallbackQuery(query.id);
     }
 
+    // Steps of the inline join wizard
+    if (data.startsWith('join_')) {
+      await this.handleJoinCallback(query, data.split('_').slice(1));
+    }
+
+    // Buttons on the game lobby message
+    if (data.startsWith('lobby_')) {
+      await this.handleLobbyCallback(query, data.replace('lobby_', ''));
+    }
+
+    // Paging through /history
+    if (data.startsWith('history_')) {
+      await this.handleHistoryCallback(query, parseInt(data.replace('history_', '')));
+    }
+
+    // Switching ranking or window on a leaderboard
+    if (data.startsWith('lb_')) {
+      const [, scope, ranking, window] = data.split('_');
+      await this.handleLeaderboardCallback(query, scope, ranking, window);
+    }
+
+    // Group admins editing /settings
+    if (data.startsWith('settings_')) {
+      await this.handleSettingsCallback(query, data.split('_').slice(1));
+    }
+
+    // Handle withdrawal confirmation
+    if (data.startsWith('withdraw_')) {
+      const [, action, withdrawalId] = data.split('_');
+      await this.handleWithdrawCallback(query, action, withdrawalId);
+    }
+
     // Handle test mode dice selection
     if (data.startsWith('test_')) {
       const diceType = data.replace('test_', '');
@@ -543,8 +2146,12 @@ class DiceItBot {
   }
 
   async stop() {
+    this.depositManager.stop();
+    this.scheduleManager.stop();
+    this.leaderboard.stop();
+    this.lobby.stopAll();
     if (this.bot) {
-      await this.bot.stopPolling();
+      await this.bot.stop();
     }
     this.isRunning = false;
     logger.info('🛑 Bot stopped');
@@ -0,0 +1,85 @@
+import pg from 'pg';
+import dotenv from 'dotenv';
+import { loadMigrations, planMigrations, getApplied, runMigrations } from './src/lib/migrations.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run migrate                        apply pending migrations
+  npm run migrate -- status              list applied and pending migrations
+  npm run migrate -- --baseline <NNN>    record migrations up to NNN as applied
+                                         without running them (databases set
+                                         up by hand from the old sql/ folder)
+
+Connects to DATABASE_URL (Supabase: Settings > Database > Connection string).`;
+
+const parseArgs = (args) => {
+  const options = { command: 'up', baseline: null };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === 'status') {
+      options.command = 'status';
+    } else if (args[i] === '--baseline' && /^\d{3}$/.test(args[i + 1] || '')) {
+      options.baseline = args[++i];
+    } else {
+      return null;
+    }
+  }
+
+  return options;
+};
+
+const warn = ({ changed, missing }) => {
+  for (const migration of changed) {
+    console.warn(`⚠️ ${migration.file} was edited after it was applied; add a new migration instead`);
+  }
+  for (const row of missing) {
+    console.warn(`⚠️ ${row.version}_${row.name} was applied but its file is gone`);
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options) {
+    console.log(USAGE);
+    process.exit(1);
+  }
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    if (options.command === 'status') {
+      const migrations = await loadMigrations();
+      const applied = await getApplied(client);
+      const plan = planMigrations(migrations, applied);
+      const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+      for (const migration of migrations) {
+        const at = appliedAt.get(migration.version);
+        console.log(`${at ? '✅' : '⏳'} ${migration.file}${at ? `  ${new Date(at).toISOString()}` : ''}`);
+      }
+      warn(plan);
+      console.log(`\n${plan.pending.length} pending`);
+      return;
+    }
+
+    const result = await runMigrations(client, { baseline: options.baseline, log: console.log });
+    warn(result);
+    console.log(result.applied.length + result.recorded.length === 0
+      ? '✅ Database is up to date'
+      : `✅ Applied ${result.applied.length}, recorded ${result.recorded.length}`);
+  } finally {
+    await client.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+-- Core tables: players, their wallets, group games and the bets placed
+-- in them. Later migrations add to these.
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  telegram_id BIGINT NOT NULL UNIQUE,
+  username TEXT,
+  -- Lifetime stats, bumped by increment_user_stats when a game settles
+  total_games INTEGER NOT NULL DEFAULT 0,
+  total_wins INTEGER NOT NULL DEFAULT 0,
+  total_wagered_sol NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  total_wagered_usdc NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  total_won_sol NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  total_won_usdc NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Dynamic-managed wallets. The balances mirror the user's ledger account.
+CREATE TABLE IF NOT EXISTS wallets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id),
+  chain TEXT NOT NULL DEFAULT 'solana',
+  address TEXT NOT NULL,
+  dynamic_wallet_id TEXT,
+  sol_balance NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  usdc_balance NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS games (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id BIGINT NOT NULL, -- Telegram chat id
+  group_name TEXT,
+  dice_type TEXT NOT NULL,
+  randomness_method TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'waiting',
+  num_players INTEGER NOT NULL DEFAULT 0,
+  pot_sol NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  pot_usdc NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  dice_result INTEGER,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS bets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  game_id UUID NOT NULL REFERENCES games(id),
+  user_id UUID NOT NULL REFERENCES users(id),
+  chosen_number INTEGER NOT NULL,
+  stake_amount NUMERIC(20, 9) NOT NULL CHECK (stake_amount > 0),
+  token TEXT NOT NULL CHECK (token IN ('SOL', 'USDC')),
+  won BOOLEAN, -- NULL until the game settles
+  payout NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Written by the bot since the first release but missing from some
+-- hand-made schemas
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS last_balance_update TIMESTAMPTZ; -- last /balance refresh
+ALTER TABLE games ADD COLUMN IF NOT EXISTS winner_ids UUID[]; -- users paid out of the pot
+ALTER TABLE games ADD COLUMN IF NOT EXISTS house_fee_sol NUMERIC(20, 9) NOT NULL DEFAULT 0; -- fee taken from the SOL pool
+ALTER TABLE games ADD COLUMN IF NOT EXISTS house_fee_usdc NUMERIC(20, 9) NOT NULL DEFAULT 0; -- fee taken from the USDC pool
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS distance_from_result INTEGER; -- |pick - result| in number-picking modes
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wallets_user_chain ON wallets(user_id, chain);
+CREATE INDEX IF NOT EXISTS idx_games_group_id ON games(group_id);
+CREATE INDEX IF NOT EXISTS idx_bets_user_id ON bets(user_id, created_at);
@@ -0,0 +1,19 @@
+-- Withdrawals from users' Dynamic wallets to external addresses
+CREATE TABLE IF NOT EXISTS withdrawals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id),
+  token TEXT NOT NULL CHECK (token IN ('SOL', 'USDC')),
+  amount NUMERIC(20, 9) NOT NULL CHECK (amount > 0),
+  destination_address TEXT NOT NULL,
+  -- pending -> processing -> submitted -> completed
+  -- pending -> cancelled, processing -> failed, submitted -> unconfirmed
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'submitted', 'completed', 'unconfirmed', 'failed', 'cancelled')),
+  tx_signature TEXT UNIQUE,
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_user_id ON withdrawals(user_id);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_status ON withdrawals(status);
@@ -0,0 +1,128 @@
+-- Double-entry ledger. Every balance change is an entry that moves an
+-- amount out of debit_account and into credit_account.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  entry_type TEXT NOT NULL
+    CHECK (entry_type IN ('deposit', 'stake', 'payout', 'refund', 'house_fee', 'withdrawal')),
+  token TEXT NOT NULL CHECK (token IN ('SOL', 'USDC')),
+  amount NUMERIC(20, 9) NOT NULL CHECK (amount > 0),
+  debit_account TEXT NOT NULL,
+  credit_account TEXT NOT NULL,
+  user_id UUID REFERENCES users(id),
+  game_id UUID REFERENCES games(id),
+  bet_id UUID REFERENCES bets(id),
+  reference TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (debit_account <> credit_account)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_debit ON ledger_entries(debit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_credit ON ledger_entries(credit_account);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_game_id ON ledger_entries(game_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_user_id ON ledger_entries(user_id);
+
+-- External references (deposit signatures, withdrawal ids) are recorded once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_entries_reference
+  ON ledger_entries(entry_type, token, reference)
+  WHERE reference IS NOT NULL;
+
+-- Running balance per account, maintained by post_ledger_entries
+CREATE TABLE IF NOT EXISTS ledger_balances (
+  account TEXT NOT NULL,
+  token TEXT NOT NULL,
+  balance NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (account, token)
+);
+
+-- Apply one side of an entry and mirror user accounts onto wallets
+CREATE OR REPLACE FUNCTION apply_ledger_delta(p_account TEXT, p_token TEXT, p_delta NUMERIC)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_balance NUMERIC;
+BEGIN
+  INSERT INTO ledger_balances (account, token, balance)
+  VALUES (p_account, p_token, p_delta)
+  ON CONFLICT (account, token)
+  DO UPDATE SET balance = ledger_balances.balance + p_delta, updated_at = NOW()
+  RETURNING balance INTO v_balance;
+
+  -- Only the chain itself may go negative
+  IF v_balance < 0 AND p_account <> 'external' THEN
+    RAISE EXCEPTION 'insufficient_funds: % %', p_account, p_token;
+  END IF;
+
+  IF p_account LIKE 'user:%' THEN
+    IF p_token = 'SOL' THEN
+      UPDATE wallets SET sol_balance = v_balance
+      WHERE user_id = substring(p_account FROM 6)::UUID AND chain = 'solana';
+    ELSE
+      UPDATE wallets SET usdc_balance = v_balance
+      WHERE user_id = substring(p_account FROM 6)::UUID AND chain = 'solana';
+    END IF;
+  END IF;
+
+  RETURN v_balance;
+END;
+$$;
+
+-- Post a batch of entries in one transaction
+CREATE OR REPLACE FUNCTION post_ledger_entries(p_entries JSONB)
+RETURNS SETOF ledger_entries
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_item JSONB;
+  v_entry ledger_entries;
+BEGIN
+  FOR v_item IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+    BEGIN
+      INSERT INTO ledger_entries (entry_type, token, amount, debit_account, credit_account, user_id, game_id, bet_id, reference)
+      VALUES (
+        v_item->>'entry_type',
+        v_item->>'token',
+        (v_item->>'amount')::NUMERIC,
+        v_item->>'debit_account',
+        v_item->>'credit_account',
+        NULLIF(v_item->>'user_id', '')::UUID,
+        NULLIF(v_item->>'game_id', '')::UUID,
+        NULLIF(v_item->>'bet_id', '')::UUID,
+        v_item->>'reference'
+      )
+      RETURNING * INTO v_entry;
+    EXCEPTION WHEN unique_violation THEN
+      RAISE EXCEPTION 'duplicate_reference: %', v_item->>'reference';
+    END;
+
+    PERFORM apply_ledger_delta(v_entry.debit_account, v_entry.token, -v_entry.amount);
+    PERFORM apply_ledger_delta(v_entry.credit_account, v_entry.token, v_entry.amount);
+
+    RETURN NEXT v_entry;
+  END LOOP;
+END;
+$$;
+
+-- Opening balances for wallets that existed before the ledger
+INSERT INTO ledger_entries (entry_type, token, amount, debit_account, credit_account, user_id, reference)
+SELECT 'deposit', 'SOL', sol_balance, 'external', 'user:' || user_id, user_id, 'opening:' || user_id
+FROM wallets
+WHERE sol_balance > 0
+ON CONFLICT DO NOTHING;
+
+INSERT INTO ledger_entries (entry_type, token, amount, debit_account, credit_account, user_id, reference)
+SELECT 'deposit', 'USDC', usdc_balance, 'external', 'user:' || user_id, user_id, 'opening:' || user_id
+FROM wallets
+WHERE usdc_balance > 0
+ON CONFLICT DO NOTHING;
+
+INSERT INTO ledger_balances (account, token, balance)
+SELECT account, token, SUM(delta)
+FROM (
+  SELECT credit_account AS account, token, amount AS delta FROM ledger_entries
+  UNION ALL
+  SELECT debit_account AS account, token, -amount AS delta FROM ledger_entries
+) movements
+GROUP BY account, token
+ON CONFLICT (account, token) DO UPDATE SET balance = EXCLUDED.balance;
@@ -0,0 +1,8 @@
+-- Deposit detection. Deposits are credited as ledger entries whose
+-- reference is the transaction signature, so each one is credited once.
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS last_sol_signature TEXT;
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS last_usdc_signature TEXT;
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS last_balance_update TIMESTAMPTZ;
+
+-- Transfers before this time are already part of the opening balance
+ALTER TABLE wallets ADD COLUMN IF NOT EXISTS deposits_scanned_from TIMESTAMPTZ NOT NULL DEFAULT NOW();
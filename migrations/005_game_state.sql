@@ -0,0 +1,12 @@
+-- Game lifecycle: waiting -> rolling -> finished, or cancelled on the way.
+-- Open games are reloaded from here when the bot restarts.
+ALTER TABLE games DROP CONSTRAINT IF EXISTS games_status_check;
+ALTER TABLE games ADD CONSTRAINT games_status_check
+  CHECK (status IN ('waiting', 'rolling', 'finished', 'cancelled'));
+
+CREATE INDEX IF NOT EXISTS idx_games_status ON games(status);
+
+-- At most one open game per group
+CREATE UNIQUE INDEX IF NOT EXISTS idx_games_open_per_group
+  ON games(group_id)
+  WHERE status IN ('waiting', 'rolling');
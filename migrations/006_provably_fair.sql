@@ -0,0 +1,5 @@
+-- Commit-reveal seeds for 'fair' games. server_seed is only shown to
+-- players once the game has finished; server_seed_hash is published at start.
+ALTER TABLE games ADD COLUMN IF NOT EXISTS server_seed TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS server_seed_hash TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS client_seed TEXT;
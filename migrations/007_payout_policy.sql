@@ -0,0 +1,3 @@
+-- How tied winners share a pool, chosen by the game creator
+ALTER TABLE games ADD COLUMN IF NOT EXISTS payout_policy TEXT NOT NULL DEFAULT 'equal'
+  CHECK (payout_policy IN ('equal', 'prorata', 'wta'));
@@ -0,0 +1,9 @@
+-- Game modes. Picks that aren't a number (over/under) go in selection;
+-- high roller bets have no pick and record their own roll instead.
+ALTER TABLE games ADD COLUMN IF NOT EXISTS game_mode TEXT NOT NULL DEFAULT 'closest'
+  CHECK (game_mode IN ('closest', 'exact', 'overunder', 'highroller', 'sum'));
+ALTER TABLE games ADD COLUMN IF NOT EXISTS dice_values INTEGER[];
+
+ALTER TABLE bets ALTER COLUMN chosen_number DROP NOT NULL;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS selection TEXT;
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS roll_value INTEGER;
@@ -0,0 +1,30 @@
+-- Player-vs-house instant bets, backed by the 'bankroll' ledger account.
+-- The bankroll is funded from collected house fees with 'transfer' entries.
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+  CHECK (entry_type IN ('deposit', 'stake', 'payout', 'refund', 'house_fee', 'withdrawal', 'transfer'));
+
+CREATE TABLE IF NOT EXISTS house_bets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id),
+  token TEXT NOT NULL CHECK (token IN ('SOL', 'USDC')),
+  stake_amount NUMERIC(20, 9) NOT NULL CHECK (stake_amount > 0),
+  -- Wins when the D100 roll is below target
+  target INTEGER NOT NULL CHECK (target BETWEEN 2 AND 100),
+  multiplier NUMERIC(12, 6) NOT NULL,
+  potential_payout NUMERIC(20, 9) NOT NULL,
+  payout NUMERIC(20, 9) NOT NULL DEFAULT 0,
+  dice_result INTEGER,
+  randomness_method TEXT NOT NULL,
+  server_seed TEXT,
+  server_seed_hash TEXT,
+  client_seed TEXT,
+  -- open -> won | lost | refunded, open -> rejected when the stake never posted
+  status TEXT NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'won', 'lost', 'refunded', 'rejected')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  settled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_house_bets_user_id ON house_bets(user_id);
+CREATE INDEX IF NOT EXISTS idx_house_bets_status ON house_bets(status);
@@ -0,0 +1,20 @@
+-- Per-group game settings edited with /settings. Missing rows (or NULL
+-- columns) fall back to the env defaults.
+CREATE TABLE IF NOT EXISTS group_settings (
+  group_id BIGINT PRIMARY KEY,
+  countdown_seconds INTEGER CHECK (countdown_seconds > 0),
+  house_fee_percent NUMERIC(5, 2) CHECK (house_fee_percent >= 0 AND house_fee_percent < 100),
+  min_stake_sol NUMERIC(20, 9),
+  max_stake_sol NUMERIC(20, 9),
+  min_stake_usdc NUMERIC(20, 9),
+  max_stake_usdc NUMERIC(20, 9),
+  allowed_tokens TEXT[],
+  allowed_dice TEXT[],
+  max_players INTEGER CHECK (max_players >= 0), -- 0 = no limit
+  anyone_can_start BOOLEAN,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Games keep the countdown and fee they started with
+ALTER TABLE games ADD COLUMN IF NOT EXISTS countdown_seconds INTEGER;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS house_fee_percent NUMERIC(5, 2);
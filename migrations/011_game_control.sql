@@ -0,0 +1,9 @@
+-- Telegram id of whoever started the game; they may roll, extend,
+-- cancel and remove players from it.
+ALTER TABLE games ADD COLUMN IF NOT EXISTS created_by BIGINT;
+
+-- Players removed before the roll have their bets row deleted. Their
+-- stake and refund entries stay on the ledger under the game and user.
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_bet_id_fkey;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_bet_id_fkey
+  FOREIGN KEY (bet_id) REFERENCES bets(id) ON DELETE SET NULL;
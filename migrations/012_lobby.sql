@@ -0,0 +1,2 @@
+-- Message id of the game's pinned lobby, edited in place until the roll
+ALTER TABLE games ADD COLUMN IF NOT EXISTS lobby_message_id BIGINT;
@@ -0,0 +1,2 @@
+-- Games short of MIN_PLAYERS are extended once before being cancelled
+ALTER TABLE games ADD COLUMN IF NOT EXISTS auto_extended BOOLEAN NOT NULL DEFAULT FALSE;
@@ -0,0 +1,39 @@
+-- Scheduled and recurring games, created with /schedule. next_run_at is
+-- moved forward before each run starts so a run is claimed only once.
+CREATE TABLE IF NOT EXISTS game_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id BIGINT NOT NULL,
+  group_name TEXT,
+  created_by BIGINT NOT NULL, -- Telegram id of the admin
+  funder_user_id UUID REFERENCES users(id), -- pays the starting pot
+  kind TEXT NOT NULL CHECK (kind IN ('once', 'cron')),
+  cron TEXT, -- five fields, UTC
+  next_run_at TIMESTAMPTZ NOT NULL,
+  reminded_for TIMESTAMPTZ, -- next_run_at the reminder was posted for
+  last_run_at TIMESTAMPTZ,
+  dice_type TEXT NOT NULL,
+  game_mode TEXT NOT NULL,
+  payout_policy TEXT NOT NULL DEFAULT 'equal',
+  stake_amount NUMERIC(20, 9),
+  stake_token TEXT CHECK (stake_token IN ('SOL', 'USDC')),
+  pot_amount NUMERIC(20, 9),
+  pot_token TEXT CHECK (pot_token IN ('SOL', 'USDC')),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (kind = 'once' OR cron IS NOT NULL),
+  CHECK (pot_amount IS NULL OR funder_user_id IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_game_schedules_due ON game_schedules(next_run_at) WHERE active;
+
+-- Fixed entry stake and starting pot of scheduled games
+ALTER TABLE games ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES game_schedules(id);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS fixed_stake_amount NUMERIC(20, 9);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS fixed_stake_token TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS seed_amount NUMERIC(20, 9);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS seed_token TEXT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS seed_user_id UUID REFERENCES users(id);
+
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+  CHECK (entry_type IN ('deposit', 'stake', 'payout', 'refund', 'house_fee', 'withdrawal', 'transfer', 'seed'));
@@ -0,0 +1,11 @@
+-- Progressive jackpot. Contributions ('jackpot') and wins ('jackpot_win')
+-- go through the 'jackpot:<group id>' or 'jackpot:global' ledger account.
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+  CHECK (entry_type IN ('deposit', 'stake', 'payout', 'refund', 'house_fee', 'withdrawal', 'transfer', 'seed', 'jackpot', 'jackpot_win'));
+
+-- Share of each pot for the jackpot, 0 = off
+ALTER TABLE group_settings ADD COLUMN IF NOT EXISTS jackpot_percent NUMERIC(5, 2);
+ALTER TABLE games ADD COLUMN IF NOT EXISTS jackpot_percent NUMERIC(5, 2) NOT NULL DEFAULT 0;
+
+ALTER TABLE bets ADD COLUMN IF NOT EXISTS jackpot_payout NUMERIC(20, 9) NOT NULL DEFAULT 0;
@@ -0,0 +1,4 @@
+-- Leaderboards read the bets of finished games in a time window
+CREATE INDEX IF NOT EXISTS idx_games_finished ON games(group_id, finished_at) WHERE status = 'finished';
+CREATE INDEX IF NOT EXISTS idx_games_finished_at ON games(finished_at) WHERE status = 'finished';
+CREATE INDEX IF NOT EXISTS idx_bets_game_id ON bets(game_id);
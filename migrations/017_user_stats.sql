@@ -0,0 +1,19 @@
+-- Add to a user's lifetime stats in one statement, so settling two games
+-- at once can't lose an update. p_increments is { column: amount };
+-- columns it doesn't name are left alone.
+CREATE OR REPLACE FUNCTION increment_user_stats(p_user_id UUID, p_increments JSONB)
+RETURNS VOID
+LANGUAGE sql
+AS $$
+  UPDATE users SET
+    total_games = total_games + COALESCE((p_increments->>'total_games')::INTEGER, 0),
+    total_wins = total_wins + COALESCE((p_increments->>'total_wins')::INTEGER, 0),
+    total_wagered_sol = total_wagered_sol + COALESCE((p_increments->>'total_wagered_sol')::NUMERIC, 0),
+    total_wagered_usdc = total_wagered_usdc + COALESCE((p_increments->>'total_wagered_usdc')::NUMERIC, 0),
+    total_won_sol = total_won_sol + COALESCE((p_increments->>'total_won_sol')::NUMERIC, 0),
+    total_won_usdc = total_won_usdc + COALESCE((p_increments->>'total_won_usdc')::NUMERIC, 0)
+  WHERE id = p_user_id;
+$$;
+
+-- One bet per player per game; two joins racing each other can't both land
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bets_game_user ON bets(game_id, user_id);
@@ -0,0 +1,5 @@
+-- Withdrawals also post the SOL network fee ('network_fee') they paid,
+-- so a user's ledger balance keeps matching their wallet on chain.
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+  CHECK (entry_type IN ('deposit', 'stake', 'payout', 'refund', 'house_fee', 'withdrawal', 'network_fee', 'transfer', 'seed', 'jackpot', 'jackpot_win'));
@@ -0,0 +1,10 @@
+-- Deposits are swept from the players' wallets into one house wallet
+-- per chain, which pays every withdrawal. Balances live on the ledger,
+-- so winnings can be withdrawn although the coins came from the losers.
+CREATE TABLE IF NOT EXISTS house_wallets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  chain TEXT NOT NULL UNIQUE,
+  address TEXT NOT NULL,
+  dynamic_wallet_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
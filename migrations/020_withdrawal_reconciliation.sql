@@ -0,0 +1,4 @@
+-- Withdrawals whose confirmation timed out are settled later from the
+-- chain. A transaction that was never seen can only be given up on once
+-- its blockhash has expired, so keep the block height that happens at.
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS last_valid_block_height BIGINT;
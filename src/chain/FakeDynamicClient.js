@@ -0,0 +1,40 @@
+import { randomBytes, randomUUID } from 'crypto';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+
+/**
+ * Stands in for Dynamic's Solana wallet client. It hands out fresh
+ * addresses and signs for them when given the password the wallet was
+ * created with, the same checks the real service makes. Signatures are
+ * random bytes, so they are only accepted by the SimulatedChain.
+ */
+class FakeDynamicClient {
+  constructor() {
+    this.wallets = new Map(); // address -> { accountId, password }
+  }
+
+  async createWalletAccount({ password }) {
+    const accountAddress = Keypair.generate().publicKey.toBase58();
+    const accountId = randomUUID();
+    this.wallets.set(accountAddress, { accountId, password });
+
+    return { accountAddress, accountId };
+  }
+
+  async signTransaction({ senderAddress, transaction, password }) {
+    const wallet = this.wallets.get(senderAddress);
+    if (!wallet) {
+      throw new Error(`Unknown wallet ${senderAddress}`);
+    }
+    if (wallet.password !== password) {
+      throw new Error(`Wrong password for wallet ${senderAddress}`);
+    }
+    if (!transaction) {
+      throw new Error('Nothing to sign');
+    }
+
+    return bs58.encode(randomBytes(64));
+  }
+}
+
+export default FakeDynamicClient;
@@ -0,0 +1,222 @@
+import { randomBytes } from 'crypto';
+import { Keypair, PublicKey } from '@solana/web3.js';
+import { getAssociatedTokenAddress } from '@solana/spl-token';
+import bs58 from 'bs58';
+import FakeDynamicClient from './FakeDynamicClient.js';
+import { toBaseUnits, fromBaseUnits } from '../lib/tokens.js';
+
+// What a signature costs on Solana
+const FEE_LAMPORTS = 5000;
+
+const newSignature = () => bs58.encode(randomBytes(64));
+
+/**
+ * A Solana stand-in that lives in the bot process: SOL balances, USDC
+ * token accounts at the real associated token addresses, and a history
+ * of transactions with signatures the deposit watcher can page through.
+ * Transfers must be signed by the FakeDynamicClient it hands out, and
+ * cost the fee payer the usual 5000 lamports per signature.
+ *
+ * Nothing is persisted; pair it with the memory storage backend.
+ *
+ *   const chain = new SimulatedChain({ usdcMint });
+ *   await chain.fund(wallet.address, 2, 'SOL'); // shows up as a deposit
+ *   chain.failNext('confirm'); // the next withdrawal lands, but confirming it times out
+ *   chain.failNext('drop'); // the next withdrawal is sent and never lands
+ */
+class SimulatedChain {
+  constructor({ usdcMint, feeLamports = FEE_LAMPORTS }) {
+    this.name = 'simulated';
+    this.usdcMint = new PublicKey(usdcMint);
+    this.feeLamports = feeLamports;
+    this.faucetAddress = Keypair.generate().publicKey.toBase58();
+    this.walletClient = new FakeDynamicClient();
+    this.lamports = new Map(); // address -> lamports
+    this.tokenUnits = new Map(); // token account address -> USDC base units
+    this.transactions = []; // oldest first
+    this.slot = 0;
+    this.failures = { send: [], drop: [], confirm: [] };
+  }
+
+  // Every WalletManager shares the chain's client, so it can sign for
+  // every wallet created on this chain
+  async createWalletClient() {
+    return this.walletClient;
+  }
+
+  isValidAddress(address) {
+    try {
+      return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+    } catch {
+      return false;
+    }
+  }
+
+  async getDepositAddress(owner, token) {
+    if (token === 'SOL') return owner;
+
+    const tokenAccount = await getAssociatedTokenAddress(this.usdcMint, new PublicKey(owner));
+    return tokenAccount.toBase58();
+  }
+
+  async getBalance(owner, token) {
+    if (token === 'SOL') {
+      return fromBaseUnits(this.lamports.get(owner) || 0, 'SOL');
+    }
+
+    const tokenAccount = await this.getDepositAddress(owner, token);
+    return fromBaseUnits(this.tokenUnits.get(tokenAccount) || 0, 'USDC');
+  }
+
+  // Same paging as getSignaturesForAddress: newest first, starting
+  // below `before` and stopping above `until`
+  async getSignatures(address, { until, before, limit = 1000 } = {}) {
+    const touching = this.transactions.filter(tx => tx.accounts.includes(address)).reverse();
+
+    let start = 0;
+    if (before) {
+      start = touching.findIndex(tx => tx.signature === before) + 1;
+      if (start === 0) return [];
+    }
+
+    const page = [];
+    for (const tx of touching.slice(start)) {
+      if (tx.signature === until || page.length === limit) break;
+      page.push({ signature: tx.signature, slot: tx.slot, blockTime: tx.blockTime, err: null });
+    }
+
+    return page;
+  }
+
+  async getIncomingAmount(signature, owner, token) {
+    const tx = this.transactions.find(t => t.signature === signature);
+    if (!tx || tx.token !== token || tx.to !== owner) return 0;
+
+    return tx.amount;
+  }
+
+  // Send funds from the faucet, like a user depositing from an exchange
+  async fund(owner, amount, token = 'SOL') {
+    if (!this.isValidAddress(owner)) {
+      throw new Error(`Invalid address ${owner}`);
+    }
+
+    const units = toBaseUnits(amount, token);
+    if (!(units > 0)) {
+      throw new Error('Amount must be greater than 0');
+    }
+
+    const to = await this.getDepositAddress(owner, token);
+    this.credit(token, to, units);
+
+    return this.record(newSignature(), { token, from: this.faucetAddress, to: owner, amount: fromBaseUnits(units, token), accounts: [this.faucetAddress, to] });
+  }
+
+  // Make the next sendTransfer or confirmTransfer throw, or drop the
+  // next transfer
+  failNext(stage, message = `Simulated ${stage} failure`) {
+    this.failures[stage].push(message);
+  }
+
+  // Let blocks pass without transactions, e.g. until a dropped
+  // transfer's blockhash expires
+  skipSlots(count) {
+    this.slot += count;
+  }
+
+  // There is no rent here, token accounts exist as soon as they are credited
+  async estimateFee({ from, feePayer = from }) {
+    return fromBaseUnits(this.feeLamports * new Set([feePayer, from]).size, 'SOL');
+  }
+
+  async sendTransfer({ from, to, token, amount, feePayer = from }, sign) {
+    const units = toBaseUnits(amount, token);
+    const blockhash = newSignature().slice(0, 44);
+    const lastValidBlockHeight = this.slot + 150;
+    const transaction = { from, to, token, amount, recentBlockhash: blockhash, feePayer };
+
+    // The fee payer signs first, its signature identifies the transaction
+    const signers = [...new Set([feePayer, from])];
+    const signatures = [];
+    for (const signer of signers) {
+      const signed = await sign(transaction, signer);
+      if (typeof signed !== 'string' || bs58.decode(signed).length !== 64) {
+        throw new Error('Transaction is not signed');
+      }
+      signatures.push(signed);
+    }
+    const [signature] = signatures;
+
+    const failure = this.failures.send.shift();
+    if (failure) throw new Error(failure);
+
+    // Malformed addresses throw here, as they do building a real transaction
+    const source = await this.getDepositAddress(new PublicKey(from).toBase58(), token);
+    const destination = await this.getDepositAddress(new PublicKey(to).toBase58(), token);
+    const fee = this.feeLamports * signers.length;
+    const lamportsNeeded = new Map(signers.map(signer => [signer, 0]));
+    lamportsNeeded.set(feePayer, fee);
+    if (token === 'SOL') {
+      lamportsNeeded.set(from, lamportsNeeded.get(from) + units);
+    }
+
+    for (const [address, needed] of lamportsNeeded) {
+      if ((this.lamports.get(address) || 0) < needed) {
+        throw new Error('Transaction simulation failed: insufficient lamports');
+      }
+    }
+    if (token !== 'SOL' && (this.tokenUnits.get(source) || 0) < units) {
+      throw new Error('Transaction simulation failed: insufficient funds');
+    }
+
+    if (this.failures.drop.shift()) {
+      return { signature, blockhash, lastValidBlockHeight };
+    }
+
+    this.debit('SOL', feePayer, fee);
+    this.debit(token, source, units);
+    this.credit(token, destination, units);
+
+    const accounts = token === 'SOL' ? [...signers, to] : [...signers, source, destination];
+    this.record(signature, { token, from, to, amount: fromBaseUnits(units, token), accounts });
+
+    return { signature, blockhash, lastValidBlockHeight };
+  }
+
+  async confirmTransfer({ signature }) {
+    const failure = this.failures.confirm.shift();
+    if (failure) throw new Error(failure);
+
+    if (!this.transactions.some(tx => tx.signature === signature)) {
+      throw new Error(`Transaction ${signature} not found`);
+    }
+  }
+
+  async getTransferStatus({ signature, lastValidBlockHeight }) {
+    if (this.transactions.some(tx => tx.signature === signature)) return 'confirmed';
+
+    return this.slot > lastValidBlockHeight ? 'failed' : 'pending';
+  }
+
+  // There is no explorer for a chain that only exists in this process
+  getExplorerUrl() {
+    return null;
+  }
+
+  credit(token, address, units) {
+    const balances = token === 'SOL' ? this.lamports : this.tokenUnits;
+    balances.set(address, (balances.get(address) || 0) + units);
+  }
+
+  debit(token, address, units) {
+    this.credit(token, address, -units);
+  }
+
+  record(signature, fields) {
+    this.slot += 1;
+    this.transactions.push({ signature, slot: this.slot, blockTime: Math.floor(Date.now() / 1000), ...fields });
+    return signature;
+  }
+}
+
+export default SimulatedChain;
@@ -0,0 +1,184 @@
+import { Connection, PublicKey, Transaction, SystemProgram } from '@solana/web3.js';
+import { getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, createTransferInstruction, getAccount, TOKEN_PROGRAM_ID, ACCOUNT_SIZE } from '@solana/spl-token';
+import bs58 from 'bs58';
+import { authenticatedSolanaClient } from '../lib/dynamic.js';
+import { toBaseUnits, fromBaseUnits } from '../lib/tokens.js';
+
+// What each signature on a transaction costs
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+/**
+ * A Solana cluster over JSON-RPC, with wallets held by Dynamic.
+ */
+class SolanaChain {
+  constructor({ rpcUrl, usdcMint }) {
+    this.name = 'solana';
+    this.connection = new Connection(rpcUrl);
+    this.usdcMint = new PublicKey(usdcMint);
+  }
+
+  createWalletClient() {
+    return authenticatedSolanaClient();
+  }
+
+  // Only accept regular wallet addresses, not PDAs or token accounts
+  isValidAddress(address) {
+    try {
+      return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+    } catch {
+      return false;
+    }
+  }
+
+  // Incoming SPL transfers only touch the owner's token account
+  async getDepositAddress(owner, token) {
+    if (token === 'SOL') return owner;
+
+    const tokenAccount = await getAssociatedTokenAddress(this.usdcMint, new PublicKey(owner));
+    return tokenAccount.toBase58();
+  }
+
+  async getBalance(owner, token) {
+    if (token === 'SOL') {
+      return fromBaseUnits(await this.connection.getBalance(new PublicKey(owner)), 'SOL');
+    }
+
+    const tokenAccount = new PublicKey(await this.getDepositAddress(owner, token));
+    const accountInfo = await this.connection.getAccountInfo(tokenAccount);
+    if (!accountInfo) {
+      return 0;
+    }
+
+    const account = await getAccount(this.connection, tokenAccount);
+    return fromBaseUnits(Number(account.amount), 'USDC');
+  }
+
+  getSignatures(address, { until, before, limit }) {
+    return this.connection.getSignaturesForAddress(new PublicKey(address), { until, before, limit });
+  }
+
+  // Amount the wallet received in a transaction, 0 for outgoing ones
+  async getIncomingAmount(signature, owner, token) {
+    const tx = await this.connection.getParsedTransaction(signature, {
+      maxSupportedTransactionVersion: 0,
+      commitment: 'confirmed'
+    });
+
+    if (!tx?.meta || tx.meta.err) return 0;
+
+    if (token === 'SOL') {
+      const index = tx.transaction.message.accountKeys
+        .findIndex(key => key.pubkey.toBase58() === owner);
+      if (index === -1) return 0;
+
+      const lamports = tx.meta.postBalances[index] - tx.meta.preBalances[index];
+      return lamports > 0 ? fromBaseUnits(lamports, 'SOL') : 0;
+    }
+
+    const mint = this.usdcMint.toBase58();
+    const tokenUnits = (balances) => {
+      const entry = (balances || []).find(b => b.mint === mint && b.owner === owner);
+      return entry ? Number(entry.uiTokenAmount.amount) : 0;
+    };
+
+    const units = tokenUnits(tx.meta.postTokenBalances) - tokenUnits(tx.meta.preTokenBalances);
+    return units > 0 ? fromBaseUnits(units, 'USDC') : 0;
+  }
+
+  // SOL the fee payer pays on top of the amount: a fee per signature,
+  // plus rent for the recipient's USDC account if buildTransfer creates it
+  async estimateFee({ from, to, token, feePayer = from }) {
+    let lamports = SIGNATURE_FEE_LAMPORTS * new Set([feePayer, from]).size;
+
+    if (token !== 'SOL') {
+      const destinationAccount = new PublicKey(await this.getDepositAddress(to, token));
+      if (!await this.connection.getAccountInfo(destinationAccount)) {
+        lamports += await this.connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE);
+      }
+    }
+
+    return fromBaseUnits(lamports, 'SOL');
+  }
+
+  async buildTransfer({ from, to, token, amount, feePayer = from }) {
+    const sender = new PublicKey(from);
+    const recipient = new PublicKey(to);
+    const payer = new PublicKey(feePayer);
+
+    const transaction = new Transaction();
+
+    if (token === 'SOL') {
+      transaction.add(SystemProgram.transfer({
+        fromPubkey: sender,
+        toPubkey: recipient,
+        lamports: toBaseUnits(amount, 'SOL')
+      }));
+    } else {
+      const sourceAccount = await getAssociatedTokenAddress(this.usdcMint, sender);
+      const destinationAccount = await getAssociatedTokenAddress(this.usdcMint, recipient);
+
+      // Create the recipient's USDC account if they never held USDC
+      const destinationInfo = await this.connection.getAccountInfo(destinationAccount);
+      if (!destinationInfo) {
+        transaction.add(createAssociatedTokenAccountInstruction(
+          payer,
+          destinationAccount,
+          recipient,
+          this.usdcMint
+        ));
+      }
+
+      transaction.add(createTransferInstruction(
+        sourceAccount,
+        destinationAccount,
+        sender,
+        toBaseUnits(amount, 'USDC'),
+        [],
+        TOKEN_PROGRAM_ID
+      ));
+    }
+
+    const { blockhash, lastValidBlockHeight } = await this.connection.getLatestBlockhash();
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = payer;
+
+    return { transaction, blockhash, lastValidBlockHeight };
+  }
+
+  async sendTransfer(transfer, sign) {
+    const { transaction, blockhash, lastValidBlockHeight } = await this.buildTransfer(transfer);
+
+    for (const signer of new Set([transfer.feePayer || transfer.from, transfer.from])) {
+      const signed = await sign(transaction, signer);
+      transaction.addSignature(new PublicKey(signer), Buffer.from(bs58.decode(signed)));
+    }
+
+    const signature = await this.connection.sendRawTransaction(transaction.serialize());
+    return { signature, blockhash, lastValidBlockHeight };
+  }
+
+  async confirmTransfer({ signature, blockhash, lastValidBlockHeight }) {
+    await this.connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, 'confirmed');
+  }
+
+  async getTransferStatus({ signature, lastValidBlockHeight }) {
+    const { value: [status] } = await this.connection.getSignatureStatuses([signature], {
+      searchTransactionHistory: true
+    });
+
+    if (status) {
+      if (status.err) return 'failed';
+      return ['confirmed', 'finalized'].includes(status.confirmationStatus) ? 'confirmed' : 'pending';
+    }
+
+    // Never seen: it can no longer land once its blockhash has expired
+    const blockHeight = await this.connection.getBlockHeight('confirmed');
+    return lastValidBlockHeight && blockHeight > lastValidBlockHeight ? 'failed' : 'pending';
+  }
+
+  getExplorerUrl(signature) {
+    return `https://explorer.solana.com/tx/${signature}?cluster=devnet`;
+  }
+}
+
+export default SolanaChain;
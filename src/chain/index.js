@@ -0,0 +1,52 @@
+import SolanaChain from './SolanaChain.js';
+import SimulatedChain from './SimulatedChain.js';
+import FakeDynamicClient from './FakeDynamicClient.js';
+
+// Devnet USDC
+const DEFAULT_USDC_MINT = '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU';
+
+/**
+ * Where wallets live, picked with CHAIN_BACKEND. `solana` talks to
+ * SOLANA_RPC_URL and Dynamic's wallet API; `simulated` keeps balances
+ * and transactions in the bot process, so deposits and withdrawals
+ * work offline.
+ *
+ * Addresses are base58 strings and amounts are in whole tokens
+ * ('SOL' or 'USDC', the latter at USDC_MINT_ADDRESS). A chain has:
+ *
+ *   name
+ *   createWalletClient() -> client with createWalletAccount() and
+ *     signTransaction({ senderAddress, transaction, password }), like Dynamic's
+ *   isValidAddress(address) -> boolean, false for PDAs and token accounts
+ *   getDepositAddress(owner, token) -> the address that receives the owner's token
+ *   getBalance(owner, token) -> amount
+ *   getSignatures(address, { until, before, limit }) -> [{ signature, blockTime, err }], newest first
+ *   getIncomingAmount(signature, owner, token) -> amount the owner received, 0 if none
+ *   estimateFee({ from, to, token, feePayer }) -> SOL the fee payer pays on top of the amount
+ *   sendTransfer({ from, to, token, amount, feePayer }, sign) -> { signature, blockhash, lastValidBlockHeight };
+ *     feePayer defaults to the sender. sign(transaction, address) resolves to
+ *     that wallet's base58 signature, and is called once for each signer
+ *   confirmTransfer(sent) -> rejects if the transfer didn't land
+ *   getTransferStatus({ signature, lastValidBlockHeight }) -> 'confirmed', 'failed',
+ *     or 'pending' while it can still land
+ *   getExplorerUrl(signature) -> link to the transaction, or null
+ */
+export const CHAINS = {
+  solana: () => new SolanaChain({
+    rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com',
+    usdcMint: process.env.USDC_MINT_ADDRESS || DEFAULT_USDC_MINT
+  }),
+  simulated: () => new SimulatedChain({
+    usdcMint: process.env.USDC_MINT_ADDRESS || DEFAULT_USDC_MINT
+  })
+};
+
+export const createChain = (backend = process.env.CHAIN_BACKEND || 'solana') => {
+  const create = CHAINS[backend];
+  if (!create) {
+    throw new Error(`Unknown chain backend "${backend}"`);
+  }
+  return create();
+};
+
+export { SolanaChain, SimulatedChain, FakeDynamicClient };
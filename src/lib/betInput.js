@@ -0,0 +1,94 @@
+import { TOKENS, roundAmount } from './tokens.js';
+
+const TOKEN_NAMES = Object.keys(TOKENS);
+
+const AMOUNT_PATTERN = /^(\d+([.,]\d*)?|[.,]\d+)$/;
+
+const toToken = (text) => TOKEN_NAMES.find(token => token === String(text).toUpperCase()) || null;
+const toAmount = (text) => AMOUNT_PATTERN.test(text) ? parseFloat(text.replace(',', '.')) : null;
+
+/**
+ * Parse the arguments of /dice and /changebet leniently: any case,
+ * `.5` or `0,5`, `1sol` without a space, and the token before the
+ * amount. Anything else gets an error that says what's wrong.
+ *
+ * @param {string} text - everything after the command
+ * @returns {{ amount, token, pick }|{ error }}
+ */
+export const parseBetArgs = (text) => {
+  const parts = String(text ?? '')
+    .trim()
+    .replace(/^(\d*[.,]?\d+)([a-z]+)\b/i, '$1 $2')
+    .split(/\s+/)
+    .filter(Boolean);
+
+  if (parts.length === 0) {
+    return { error: 'Tell me how much to bet' };
+  }
+
+  // "/dice sol 1 4" reads the same as "/dice 1 sol 4"
+  if (toToken(parts[0]) && parts.length > 1 && toAmount(parts[1]) !== null) {
+    [parts[0], parts[1]] = [parts[1], parts[0]];
+  }
+
+  const amount = toAmount(parts[0]);
+  if (amount === null) {
+    return { error: `"${parts[0]}" isn't an amount` };
+  }
+  if (!(amount > 0)) {
+    return { error: 'Amount must be greater than 0' };
+  }
+
+  if (parts.length < 2) {
+    return { error: `Which token? Add ${TOKEN_NAMES.join(' or ')} after the amount` };
+  }
+
+  const token = toToken(parts[1]);
+  if (!token) {
+    return { error: `Unknown token "${parts[1]}", use ${TOKEN_NAMES.join(' or ')}` };
+  }
+
+  if (parts.length > 3) {
+    return { error: `Too many values after the token: ${parts.slice(2).join(' ')}` };
+  }
+
+  return { amount, token, pick: parts[2] };
+};
+
+// Stake buttons: the presets inside the group's limits, plus the limits
+export const stakeChoices = ({ min, max }, presets, token) => {
+  const amounts = [min, ...presets.filter(amount => amount > min && amount < max), max]
+    .map(amount => roundAmount(amount, token));
+  return [...new Set(amounts)];
+};
+
+// Ranges small enough to show every number; bigger dice pick tens first
+export const GRID_LIMIT = 20;
+
+// Buttons for the pick step of the join wizard. `prefix` is the callback
+// data so far; the picked value is appended to it.
+export const pickKeyboard = (choices, prefix, rangeStart = null) => {
+  const grid = (values, label, data, size = 5) => values.reduce((rows, value, index) => {
+    if (index % size === 0) rows.push([]);
+    rows[rows.length - 1].push({ text: label(value), callback_data: data(value) });
+    return rows;
+  }, []);
+
+  if (choices.options) {
+    return [choices.options.map(option => ({ text: option.label, callback_data: `${prefix}_p_${option.value}` }))];
+  }
+
+  const { min, max } = choices.range;
+  const span = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+  if (max - min + 1 <= GRID_LIMIT) {
+    return grid(span(min, max), String, value => `${prefix}_p_${value}`);
+  }
+
+  if (rangeStart === null) {
+    const starts = span(0, Math.ceil((max - min + 1) / 10) - 1).map(i => min + i * 10);
+    return grid(starts, start => `${start}-${Math.min(start + 9, max)}`, start => `${prefix}_r_${start}`);
+  }
+
+  return grid(span(rangeStart, Math.min(rangeStart + 9, max)), String, value => `${prefix}_p_${value}`);
+};
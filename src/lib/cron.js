@@ -0,0 +1,102 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC. Each field takes *, numbers, ranges (1-5), lists
+// (1,15) and steps (*/15, 0-30/10). Day-of-week 0 and 7 are Sunday.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const parseField = (text, { name, min, max }) => {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      return { error: `Can't read the ${name} field "${text}"` };
+    }
+
+    const from = match[1] === '*' ? min : parseInt(match[2]);
+    const to = match[1] === '*' ? max : match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from);
+    const step = match[4] ? parseInt(match[4]) : 1;
+
+    if (from < min || to > max || from > to || step < 1) {
+      return { error: `The ${name} field must be between ${min} and ${max}` };
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return { values };
+};
+
+/**
+ * @param {string} expression - e.g. "0 20 * * *" for every day at 20:00 UTC
+ * @returns {{ fields, restrictedDays }|{ error }}
+ */
+export const parseCron = (expression) => {
+  const parts = String(expression ?? '').trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    return { error: 'A cron expression has 5 fields: minute hour day month weekday' };
+  }
+
+  const fields = [];
+  for (let i = 0; i < FIELDS.length; i++) {
+    const field = parseField(parts[i], FIELDS[i]);
+    if (field.error) return field;
+    fields.push(field.values);
+  }
+
+  // Sunday can be written as 7
+  if (fields[4].has(7)) fields[4].add(0);
+
+  return {
+    fields,
+    // Like standard cron: when both day fields are restricted, either may match
+    restrictedDays: { month: parts[2] !== '*', week: parts[4] !== '*' }
+  };
+};
+
+const dayMatches = (cron, date) => {
+  const [, , days, months, weekdays] = cron.fields;
+  if (!months.has(date.getUTCMonth() + 1)) return false;
+
+  const byMonth = days.has(date.getUTCDate());
+  const byWeek = weekdays.has(date.getUTCDay());
+  const { month, week } = cron.restrictedDays;
+
+  if (month && week) return byMonth || byWeek;
+  return byMonth && byWeek;
+};
+
+// First matching minute strictly after `after`, or null within ~4 years
+export const nextCronRun = (cron, after) => {
+  const [minutes, hours] = cron.fields;
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + 4 * 366 * 24 * 60 * 60 * 1000;
+
+  while (date.getTime() <= limit) {
+    if (!dayMatches(cron, date)) {
+      date.setUTCHours(24, 0, 0, 0);
+      continue;
+    }
+    if (!hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+};
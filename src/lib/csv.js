@@ -0,0 +1,20 @@
+// Quote a value when it holds a separator, quote or line break. Text
+// that a spreadsheet would run as a formula (group names are user input)
+// is prefixed with a quote; numbers are left alone.
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build an RFC 4180 CSV document.
+ *
+ * @param {Array<string>} columns - header names, also the keys read from each row
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) =>
+  [columns, ...rows.map(row => columns.map(column => row[column]))]
+    .map(cells => cells.map(escapeCell).join(','))
+    .join('\r\n') + '\r\n';
@@ -0,0 +1,19 @@
+// Game lifecycle: waiting -> rolling -> finished, or cancelled on the way
+export const GAME_STATUS = {
+  WAITING: 'waiting',
+  ROLLING: 'rolling',
+  FINISHED: 'finished',
+  CANCELLED: 'cancelled'
+};
+
+const TRANSITIONS = {
+  [GAME_STATUS.WAITING]: [GAME_STATUS.ROLLING, GAME_STATUS.CANCELLED],
+  [GAME_STATUS.ROLLING]: [GAME_STATUS.FINISHED, GAME_STATUS.CANCELLED],
+  [GAME_STATUS.FINISHED]: [],
+  [GAME_STATUS.CANCELLED]: []
+};
+
+export const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Games that still hold stakes and must be resumed after a restart
+export const OPEN_STATUSES = [GAME_STATUS.WAITING, GAME_STATUS.ROLLING];
@@ -0,0 +1,4 @@
+// Telegram's legacy Markdown has no escape for text inside an entity, so
+// user input (usernames, group names) must not open one. An unmatched _
+// or * makes Telegram reject the whole message.
+export const escapeMarkdown = (text) => String(text).replace(/([_*`[])/g, '\\$1');
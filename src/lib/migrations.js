@@ -0,0 +1,128 @@
+import { readdir, readFile } from 'fs/promises';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+export const MIGRATIONS_DIR = fileURLToPath(new URL('../../migrations/', import.meta.url));
+
+// 001_base_schema.sql -> version '001', name 'base_schema'
+const FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+// Any constant works, it only has to be the same for every migrate run
+const LOCK_ID = 4206901;
+
+const checksum = (sql) => createHash('sha256').update(sql).digest('hex');
+
+/**
+ * The migration files in version order.
+ *
+ * @returns {Promise<Array<{ version, name, file, sql, checksum }>>}
+ */
+export const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const migrations = [];
+
+  for (const file of (await readdir(dir)).sort()) {
+    if (!file.endsWith('.sql')) continue;
+
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      throw new Error(`Migration file "${file}" must be named like 001_description.sql`);
+    }
+    if (migrations.some(m => m.version === match[1])) {
+      throw new Error(`Two migrations share version ${match[1]}`);
+    }
+
+    const sql = await readFile(path.join(dir, file), 'utf8');
+    migrations.push({ version: match[1], name: match[2], file, sql, checksum: checksum(sql) });
+  }
+
+  return migrations;
+};
+
+/**
+ * Compare the files with the schema_migrations rows of a database.
+ * changed are applied migrations whose file was edited afterwards,
+ * missing are applied versions with no file any more.
+ */
+export const planMigrations = (migrations, applied) => {
+  const byVersion = new Map(applied.map(row => [row.version, row]));
+  const versions = new Set(migrations.map(m => m.version));
+
+  return {
+    pending: migrations.filter(m => !byVersion.has(m.version)),
+    changed: migrations.filter(m => byVersion.has(m.version) && byVersion.get(m.version).checksum !== m.checksum),
+    missing: applied.filter(row => !versions.has(row.version))
+  };
+};
+
+const ensureTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  )
+`);
+
+const record = (client, migration) => client.query(
+  'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+  [migration.version, migration.name, migration.checksum]);
+
+export const getApplied = async (client) => {
+  await ensureTable(client);
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+/**
+ * Apply pending migrations in order, each in its own transaction together
+ * with its schema_migrations row, so a failed file leaves nothing behind
+ * and is retried on the next run. An advisory lock keeps two runs from
+ * applying the same file.
+ *
+ * With baseline, versions up to and including it are only recorded, for
+ * databases that were set up by hand before migrations existed.
+ *
+ * @param {object} client - a connected pg Client
+ * @returns {Promise<{ applied: Array, recorded: Array, changed: Array, missing: Array }>}
+ */
+export const runMigrations = async (client, { dir = MIGRATIONS_DIR, baseline = null, log = () => {} } = {}) => {
+  const migrations = await loadMigrations(dir);
+
+  if (baseline !== null && !migrations.some(m => m.version === baseline)) {
+    throw new Error(`There is no migration ${baseline} to baseline at`);
+  }
+
+  await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+
+  try {
+    const { pending, changed, missing } = planMigrations(migrations, await getApplied(client));
+    const applied = [];
+    const recorded = [];
+
+    for (const migration of pending) {
+      if (baseline !== null && migration.version <= baseline) {
+        await record(client, migration);
+        recorded.push(migration);
+        log(`Recorded ${migration.file} as applied`);
+        continue;
+      }
+
+      log(`Applying ${migration.file}`);
+      try {
+        await client.query('BEGIN');
+        await client.query(migration.sql);
+        await record(client, migration);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`${migration.file} failed: ${error.message}`);
+      }
+      applied.push(migration);
+    }
+
+    return { applied, recorded, changed, missing };
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+  }
+};
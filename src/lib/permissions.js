@@ -0,0 +1,67 @@
+// Who someone is relative to a group and its current game
+export const ROLES = {
+  OWNER: 'owner', // listed in ADMIN_USER_IDS
+  GROUP_ADMIN: 'groupAdmin', // Telegram creator or administrator of the chat
+  GAME_CREATOR: 'gameCreator' // started the game in progress
+};
+
+const ROLE_LABELS = {
+  [ROLES.OWNER]: 'the bot owner',
+  [ROLES.GROUP_ADMIN]: 'group admins',
+  [ROLES.GAME_CREATOR]: 'the game creator'
+};
+
+// Roles allowed to take each action, and how the action reads in a denial
+export const PERMISSIONS = {
+  roll: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN, ROLES.GAME_CREATOR], verb: 'roll the dice early' },
+  cancel: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN, ROLES.GAME_CREATOR], verb: 'cancel the game' },
+  extend: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN, ROLES.GAME_CREATOR], verb: 'extend the countdown' },
+  kick: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN, ROLES.GAME_CREATOR], verb: 'remove players' },
+  settings: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN], verb: 'change game settings' },
+  startgame: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN], verb: 'start games here' },
+  schedule: { roles: [ROLES.OWNER, ROLES.GROUP_ADMIN], verb: 'schedule games' },
+  bankroll: { roles: [ROLES.OWNER], verb: 'manage the bankroll' }
+};
+
+export const getOwnerIds = () =>
+  (process.env.ADMIN_USER_IDS || '').split(',').map(id => parseInt(id.trim())).filter(Boolean);
+
+/**
+ * Roles a Telegram user holds.
+ *
+ * @param {number} telegramId
+ * @param {Object} [chatMember] - result of getChatMember, if known
+ * @param {Object} [gameData] - the chat's active game, if any
+ */
+export const resolveRoles = (telegramId, chatMember = null, gameData = null) => {
+  const roles = [];
+
+  if (getOwnerIds().includes(telegramId)) {
+    roles.push(ROLES.OWNER);
+  }
+  if (chatMember && ['creator', 'administrator'].includes(chatMember.status)) {
+    roles.push(ROLES.GROUP_ADMIN);
+  }
+  if (gameData?.createdBy && gameData.createdBy === telegramId) {
+    roles.push(ROLES.GAME_CREATOR);
+  }
+
+  return roles;
+};
+
+// { allowed: true } or { error } explaining who may do it instead
+export const checkPermission = (action, roles) => {
+  const permission = PERMISSIONS[action];
+  if (!permission) {
+    throw new Error(`Unknown action ${action}`);
+  }
+
+  if (permission.roles.some(role => roles.includes(role))) {
+    return { allowed: true };
+  }
+
+  const who = permission.roles.map(role => ROLE_LABELS[role]);
+  const list = who.length > 1 ? `${who.slice(0, -1).join(', ')} or ${who[who.length - 1]}` : who[0];
+
+  return { error: `Only ${list} can ${permission.verb}` };
+};
@@ -0,0 +1,59 @@
+import crypto from 'crypto';
+
+/**
+ * Provably fair commit-reveal rolls.
+ *
+ * The server seed is generated when a game starts and only its SHA-256
+ * hash is published. The client seed is built from the bet ids, which
+ * don't exist until players join, so neither side can steer the result.
+ * After the roll the server seed is revealed and anyone can recompute:
+ *
+ *   HMAC-SHA256(key = serverSeed, message = `${clientSeed}:${nonce}`)
+ *
+ * Games that throw several dice use nonce 0, 1, 2... for each die.
+ */
+
+export const generateServerSeed = () => crypto.randomBytes(32).toString('hex');
+
+export const hashServerSeed = (serverSeed) =>
+  crypto.createHash('sha256').update(serverSeed).digest('hex');
+
+// Sorted so the seed doesn't depend on join order
+export const buildClientSeed = (betIds) => [...betIds].map(String).sort().join(':');
+
+/**
+ * Turn the seeds into a number in [min, max].
+ * Reads the HMAC as 32-bit words and skips any word that would bias the
+ * modulo, moving to the next nonce if a whole digest is rejected.
+ */
+export const computeRoll = (serverSeed, clientSeed, min, max, nonce = 0) => {
+  const range = max - min + 1;
+  const limit = Math.floor(0x100000000 / range) * range;
+
+  for (let round = nonce; ; round++) {
+    const digest = crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${round}`)
+      .digest();
+
+    for (let offset = 0; offset + 4 <= digest.length; offset += 4) {
+      const value = digest.readUInt32BE(offset);
+      if (value < limit) {
+        return min + (value % range);
+      }
+    }
+  }
+};
+
+// Check a revealed seed against the published hash and the dice values.
+// Value i of a multi-dice roll uses nonce i.
+export const verifyRoll = ({ serverSeed, serverSeedHash, clientSeed, min, max, values }) => {
+  const hashMatches = hashServerSeed(serverSeed) === serverSeedHash;
+  const expected = values.map((_, nonce) => computeRoll(serverSeed, clientSeed, min, max, nonce));
+
+  return {
+    hashMatches,
+    expected,
+    valid: hashMatches && expected.every((value, index) => value === values[index])
+  };
+};
@@ -0,0 +1,170 @@
+import { TOKENS, toBaseUnits, fromBaseUnits } from './tokens.js';
+
+/**
+ * Settle a finished game. Each token is its own pool: winners are picked
+ * among the players who staked that token, and the pool minus the house
+ * fee is split between them. All math is in base units, and the units a
+ * split can't divide evenly go to the first winners one at a time, so
+ * every unit of the pot is accounted for.
+ *
+ * If a pool has no winner (nobody hit the exact number, say) every stake
+ * in it is refunded without a fee. A winner's payout can be capped; the
+ * excess is refunded to the pool's other players by stake.
+ *
+ * A pool can be seeded with units nobody staked (a guaranteed starting
+ * pot). The seed is won like the stakes, and handed back as
+ * seedReturnUnits when the pool has no winner or no players.
+ *
+ * Pools with a winner also pay a share into the progressive jackpot,
+ * either on top of the house fee or carved out of it.
+ *
+ * @param {Array} players - { userId, amount, token, ... }
+ * @param {Function} pickWinners - (poolPlayers) => winning players
+ * @param {number} feePercent - house fee, e.g. 2 for 2%
+ * @param {string} policy - key of PAYOUT_POLICIES
+ * @param {Function} [payoutCap] - (player, token) => max base units, or null
+ * @param {Object} [seedUnits] - token => base units added to that pool
+ * @param {Object} [jackpot] - { percent, fromFee } share of the pot for the jackpot
+ * @returns {Array} one pool per staked or seeded token:
+ *   { token, potUnits, feeUnits, jackpotUnits, seedReturnUnits, payouts: [{ player, units }], refunds: [{ player, units }] }
+ */
+export const settlePools = (players, pickWinners, feePercent, policy = 'equal', payoutCap = null, seedUnits = {}, jackpot = null) => {
+  const split = (PAYOUT_POLICIES[policy] || PAYOUT_POLICIES.equal).split;
+  const pools = [];
+
+  for (const token of Object.keys(TOKENS)) {
+    const poolPlayers = players.filter(p => p.token === token);
+    const seed = seedUnits[token] || 0;
+
+    if (poolPlayers.length === 0) {
+      if (seed > 0) {
+        pools.push({ token, potUnits: seed, feeUnits: 0, jackpotUnits: 0, seedReturnUnits: seed, payouts: [], refunds: [] });
+      }
+      continue;
+    }
+
+    const potUnits = poolPlayers.reduce((sum, p) => sum + toBaseUnits(p.amount, token), 0) + seed;
+    const winners = pickWinners(poolPlayers);
+
+    if (winners.length === 0) {
+      pools.push({
+        token,
+        potUnits,
+        feeUnits: 0,
+        jackpotUnits: 0,
+        seedReturnUnits: seed,
+        payouts: [],
+        refunds: poolPlayers.map(player => ({ player, units: toBaseUnits(player.amount, token) }))
+      });
+      continue;
+    }
+
+    let feeUnits = Math.floor(potUnits * feePercent / 100);
+    let jackpotUnits = jackpot ? Math.floor(potUnits * jackpot.percent / 100) : 0;
+    if (jackpot?.fromFee) {
+      jackpotUnits = Math.min(jackpotUnits, feeUnits);
+      feeUnits -= jackpotUnits;
+    }
+    let excess = 0;
+
+    const payouts = split(potUnits - feeUnits - jackpotUnits, winners, token).map(({ player, units }) => {
+      const cap = payoutCap ? payoutCap(player, token) : null;
+      if (cap !== null && units > cap) {
+        excess += units - cap;
+        return { player, units: cap };
+      }
+      return { player, units };
+    });
+
+    const losers = poolPlayers.filter(p => !winners.some(w => w.betId === p.betId));
+    let refunds = [];
+    if (excess > 0 && losers.length > 0) {
+      refunds = splitProRata(excess, losers, token);
+    } else {
+      feeUnits += excess;
+    }
+
+    pools.push({ token, potUnits, feeUnits, jackpotUnits, seedReturnUnits: 0, payouts, refunds });
+  }
+
+  return pools;
+};
+
+// Equal shares, remainder handed out one unit per winner in order
+export const splitEqually = (units, winners) => {
+  if (winners.length === 0) return [];
+
+  const share = Math.floor(units / winners.length);
+  let remainder = units - share * winners.length;
+
+  return winners.map(player => {
+    const extra = remainder > 0 ? 1 : 0;
+    remainder -= extra;
+    return { player, units: share + extra };
+  });
+};
+
+// Shares proportional to each winner's stake. BigInt because pot units
+// times stake units can exceed Number.MAX_SAFE_INTEGER. Units lost to
+// rounding go to the largest remainders first.
+export const splitProRata = (units, winners, token) => {
+  if (winners.length === 0) return [];
+
+  const stakes = winners.map(p => BigInt(toBaseUnits(p.amount, token)));
+  const totalStake = stakes.reduce((sum, stake) => sum + stake, 0n);
+  const total = BigInt(units);
+
+  const shares = stakes.map((stake, index) => ({
+    index,
+    units: total * stake / totalStake,
+    remainder: total * stake % totalStake
+  }));
+
+  let leftover = total - shares.reduce((sum, share) => sum + share.units, 0n);
+  [...shares]
+    .sort((a, b) => (b.remainder > a.remainder ? 1 : b.remainder < a.remainder ? -1 : a.index - b.index))
+    .forEach(share => {
+      if (leftover > 0n) {
+        share.units += 1n;
+        leftover -= 1n;
+      }
+    });
+
+  return shares.map(share => ({ player: winners[share.index], units: Number(share.units) }));
+};
+
+// Everything to one winner: highest stake, then whoever joined first
+export const splitWinnerTakesAll = (units, winners, token) => {
+  if (winners.length === 0) return [];
+
+  const winner = winners.reduce((best, player) =>
+    toBaseUnits(player.amount, token) > toBaseUnits(best.amount, token) ? player : best
+  );
+
+  return [{ player: winner, units }];
+};
+
+// How tied winners share a pool. Keys are stored in games.payout_policy
+// and used in callback data, so they must not contain underscores.
+export const PAYOUT_POLICIES = {
+  equal: { label: 'Equal split', emoji: '⚖️', split: splitEqually },
+  prorata: { label: 'Split by stake', emoji: '📊', split: splitProRata },
+  wta: { label: 'Winner takes all', emoji: '👑', split: splitWinnerTakesAll }
+};
+
+// Pools with amounts converted back to token units, for messages and bets
+export const describePools = (pools) => pools.map(pool => ({
+  token: pool.token,
+  pot: fromBaseUnits(pool.potUnits, pool.token),
+  fee: fromBaseUnits(pool.feeUnits, pool.token),
+  jackpot: fromBaseUnits(pool.jackpotUnits, pool.token),
+  seedReturn: fromBaseUnits(pool.seedReturnUnits, pool.token),
+  payouts: pool.payouts.map(({ player, units }) => ({
+    ...player,
+    payout: fromBaseUnits(units, pool.token)
+  })),
+  refunds: pool.refunds.map(({ player, units }) => ({
+    ...player,
+    refund: fromBaseUnits(units, pool.token)
+  }))
+}));
@@ -3,15 +3,22 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
+let client = null;
 
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables');
-}
+// Created on first use, so only the Supabase storage backend needs the
+// credentials and everything else can be imported without them
+export const getSupabase = () => {
+  if (client) return client;
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+  const supabaseUrl = process.env.SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_KEY;
 
-export default supabase;
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables');
+  }
 
+  client = createClient(supabaseUrl, supabaseKey);
+  return client;
+};
 
+export default getSupabase;
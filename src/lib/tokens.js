@@ -0,0 +1,29 @@
+// Supported stake tokens and their on-chain precision
+export const TOKENS = {
+  SOL: { decimals: 9, displayDecimals: 4, emoji: '🔵', balanceField: 'sol_balance' },
+  USDC: { decimals: 6, displayDecimals: 2, emoji: '💵', balanceField: 'usdc_balance' }
+};
+
+/**
+ * Convert a token amount to integer base units (lamports, micro-USDC)
+ */
+export const toBaseUnits = (amount, token) =>
+  Math.round(parseFloat(amount) * 10 ** TOKENS[token].decimals);
+
+/**
+ * Convert integer base units back to a token amount
+ */
+export const fromBaseUnits = (units, token) =>
+  units / 10 ** TOKENS[token].decimals;
+
+/**
+ * Round a token amount to the precision the chain can represent
+ */
+export const roundAmount = (amount, token) =>
+  fromBaseUnits(toBaseUnits(amount, token), token);
+
+export const getBalanceField = (token) => TOKENS[token].balanceField;
+
+// Amount with the token's usual display precision, e.g. "0.5000 SOL"
+export const formatAmount = (amount, token) =>
+  `${parseFloat(amount).toFixed(TOKENS[token].displayDecimals)} ${token}`;
@@ -0,0 +1,203 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { ENTRY_TYPES, ACCOUNTS } from './LedgerManager.js';
+
+const SIGNATURE_PAGE_SIZE = 100;
+
+class DepositManager {
+  constructor(walletManager, ledger, storage = getStorage()) {
+    this.walletManager = walletManager;
+    this.ledger = ledger;
+    this.storage = storage;
+    this.chain = walletManager.chain;
+    this.timer = null;
+    this.isScanning = false;
+  }
+
+  // Poll every wallet for new deposits, and the chain for withdrawals
+  // that were still unconfirmed
+  start(handlers, intervalSeconds = parseInt(process.env.DEPOSIT_POLL_SECONDS || 30)) {
+    this.handlers = handlers; // { onDeposit(deposit), onWithdrawal(result) }
+    this.timer = setInterval(() => this.scanAll(), intervalSeconds * 1000);
+    this.scanAll();
+
+    logger.info(`💳 Deposit watcher started (every ${intervalSeconds}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async scanAll() {
+    // Skip this tick if the previous scan is still running
+    if (this.isScanning) return;
+    this.isScanning = true;
+
+    try {
+      const { data: wallets, error } = await this.storage.wallets.listWithOwners();
+
+      if (error) {
+        logger.error(`Error loading wallets for deposit scan: ${error.message}`);
+        return;
+      }
+
+      for (const wallet of wallets) {
+        try {
+          await this.scanWallet(wallet);
+          await this.walletManager.sweepWallet(wallet);
+        } catch (error) {
+          logger.error(`Error scanning deposits for ${wallet.address}: ${error.message}`);
+        }
+      }
+
+      for (const result of await this.walletManager.reconcileWithdrawals()) {
+        await this.notify('onWithdrawal', result, `withdrawal ${result.withdrawal.id}`);
+      }
+    } catch (error) {
+      // setInterval drops the promise, nobody else would see this
+      logger.error(`Error scanning deposits: ${error.message}`);
+    } finally {
+      this.isScanning = false;
+    }
+  }
+
+  // Credit new incoming SOL and USDC transfers for one wallet
+  async scanWallet(wallet) {
+    // Incoming SPL transfers only touch the token account, not the owner
+    const solAddress = await this.chain.getDepositAddress(wallet.address, 'SOL');
+    const usdcAddress = await this.chain.getDepositAddress(wallet.address, 'USDC');
+
+    const deposits = [
+      ...await this.scanAddress(wallet, 'SOL', solAddress, 'last_sol_signature'),
+      ...await this.scanAddress(wallet, 'USDC', usdcAddress, 'last_usdc_signature')
+    ];
+
+    return deposits;
+  }
+
+  async scanAddress(wallet, token, address, cursorField) {
+    const signatures = await this.getNewSignatures(address, wallet[cursorField]);
+    if (signatures.length === 0) return [];
+
+    // Ignore history from before the ledger opened this wallet
+    const scanFrom = wallet.deposits_scanned_from
+      ? new Date(wallet.deposits_scanned_from).getTime() / 1000
+      : 0;
+
+    const deposits = [];
+
+    // Oldest first, so the cursor only moves past credited transfers
+    for (const { signature, blockTime, err } of signatures.reverse()) {
+      if (!err && (!blockTime || blockTime >= scanFrom)) {
+        const amount = await this.chain.getIncomingAmount(signature, wallet.address, token);
+
+        if (amount > 0) {
+          const credited = await this.creditDeposit(wallet, token, amount, signature);
+          if (credited.error) {
+            break;
+          }
+          if (credited.deposit) {
+            deposits.push(credited.deposit);
+          }
+        }
+      }
+
+      await this.storage.wallets.update(wallet.id, { [cursorField]: signature });
+      wallet[cursorField] = signature;
+    }
+
+    return deposits;
+  }
+
+  // All signatures newer than the cursor, newest first
+  async getNewSignatures(address, until) {
+    const signatures = [];
+    let before;
+
+    while (true) {
+      const page = await this.chain.getSignatures(address, {
+        until: until || undefined,
+        before,
+        limit: SIGNATURE_PAGE_SIZE
+      });
+
+      signatures.push(...page);
+      if (page.length < SIGNATURE_PAGE_SIZE) break;
+      before = page[page.length - 1].signature;
+    }
+
+    return signatures;
+  }
+
+  // Credit a deposit once per signature and notify the owner
+  async creditDeposit(wallet, token, amount, signature) {
+    const result = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.DEPOSIT, token, amount, ACCOUNTS.EXTERNAL, ACCOUNTS.user(wallet.user_id), {
+        userId: wallet.user_id,
+        reference: signature
+      })
+    ]);
+
+    if (result.code === 'duplicate_reference') {
+      return { success: true };
+    }
+
+    if (result.error) {
+      logger.error(`Error crediting deposit ${signature}: ${result.error}`);
+      return { error: result.error };
+    }
+
+    const deposit = {
+      userId: wallet.user_id,
+      telegramId: wallet.users?.telegram_id,
+      address: wallet.address,
+      token,
+      amount,
+      signature
+    };
+
+    logger.info(`💳 Deposit of ${amount} ${token} to ${wallet.address} (${signature})`);
+
+    await this.notify('onDeposit', deposit, `deposit ${signature}`);
+
+    return { success: true, deposit };
+  }
+
+  async notify(handler, payload, label) {
+    if (!this.handlers?.[handler]) return;
+
+    try {
+      await this.handlers[handler](payload);
+    } catch (error) {
+      logger.error(`Error notifying ${label}: ${error.message}`);
+    }
+  }
+
+  // Pick up any pending deposits and sweep them into the house wallet,
+  // then return the recorded balances
+  async refreshBalance(userId) {
+    const wallet = await this.walletManager.getWallet(userId);
+    if (!wallet) return null;
+
+    try {
+      await this.scanWallet(wallet);
+      await this.walletManager.sweepWallet(wallet);
+    } catch (error) {
+      logger.error(`Error scanning deposits for ${wallet.address}: ${error.message}`);
+    }
+
+    await this.storage.wallets.update(wallet.id, { last_balance_update: new Date().toISOString() });
+
+    const updated = await this.walletManager.getWallet(userId);
+
+    return {
+      solBalance: parseFloat(updated.sol_balance),
+      usdcBalance: parseFloat(updated.usdc_balance)
+    };
+  }
+}
+
+export default DepositManager;
@@ -1,47 +1,96 @@
-import supabase from '../lib/supabase.js';
+import { getStorage } from '../storage/index.js';
 import logger from '../lib/logger.js';
+import LedgerManager, { ENTRY_TYPES, ACCOUNTS } from './LedgerManager.js';
+import SettingsManager from './SettingsManager.js';
+import JackpotManager from './JackpotManager.js';
+import { TOKENS, toBaseUnits, fromBaseUnits, roundAmount, getBalanceField } from '../lib/tokens.js';
+import { settlePools, describePools, PAYOUT_POLICIES } from '../lib/settlement.js';
+import { GAME_STATUS, OPEN_STATUSES, canTransition } from '../lib/gameState.js';
+import { createDefaultRegistry } from '../randomness/index.js';
+import { getMode, DEFAULT_MODE } from '../modes/index.js';
+import { closestWinners } from '../modes/closest.js';
 
 class GameManager {
-  constructor() {
+  constructor(ledger = new LedgerManager(), randomness = createDefaultRegistry(), settings = new SettingsManager(), jackpot = new JackpotManager(ledger), storage = getStorage()) {
+    this.storage = storage;
+    this.ledger = ledger;
+    this.randomness = randomness;
+    this.settings = settings;
+    this.jackpot = jackpot;
     this.activeGames = new Map(); // groupId -> gameData
-    this.gameTimers = new Map(); // groupId -> timeoutId
+    this.gameTimers = new Map(); // groupId -> { roll, warning } timeout ids
   }
 
   //
-  // Dice type configurations
+  // Dice type configurations. `die` is a single physical die, `count`
+  // how many are thrown; min/max is the range of the result.
   getDiceConfig(diceType) {
     const configs = {
-      'D6': { min: 1, max: 6, name: '6-sided dice 🎲' },
-      'D10': { min: 1, max: 10, name: '10-sided dice 🔟' },
-      'D20': { min: 1, max: 20, name: '20-sided dice 🎯' },
-      'D100': { min: 1, max: 100, name: '100-sided dice 💯' }
+      'D6': { min: 1, max: 6, name: '6-sided dice 🎲', randomness: 'telegram' },
+      'D10': { min: 1, max: 10, name: '10-sided dice 🔟', randomness: 'fair' },
+      'D20': { min: 1, max: 20, name: '20-sided dice 🎯', randomness: 'fair' },
+      'D100': { min: 1, max: 100, name: '100-sided dice 💯', randomness: 'fair' },
+      '2D6': { min: 2, max: 12, name: 'two 6-sided dice 🎲🎲', randomness: 'telegram', die: { min: 1, max: 6 }, count: 2 }
     };
-    return configs[diceType] || configs['D6'];
+    const config = configs[diceType] || configs['D6'];
+    return { die: { min: config.min, max: config.max }, count: 1, ...config };
   }
 
-  // Start a new game
-  async startGame(groupId, groupName, diceType, randomnessMethod) {
+  // Start a new game. Scheduled games can pass options:
+  //   fixedStake: { amount, token } every player must bet exactly
+  //   seed: { amount, token, userId } starting pot taken from userId's balance
+  //   scheduleId: the game_schedules row that started it
+  async startGame(groupId, groupName, diceType, randomnessMethod, payoutPolicy = 'equal', gameMode = DEFAULT_MODE, createdBy = null, options = {}) {
     // Check if there's already an active game
     if (this.activeGames.has(groupId)) {
       return { error: 'A game is already in progress in this group!' };
     }
 
-    // Validate dice type
-    const diceConfig = this.getDiceConfig(diceType);
-    
+    const mode = getMode(gameMode);
+    if (!mode) {
+      return { error: 'Unknown game mode' };
+    }
+
+    if (!mode.diceTypes.includes(diceType)) {
+      return { error: `${mode.label} can't be played with ${diceType}` };
+    }
+
+    const settings = await this.settings.get(groupId);
+    if (!settings.allowedDice.includes(diceType)) {
+      return { error: `${diceType} is disabled in this group` };
+    }
+
+    const provider = this.randomness.get(randomnessMethod);
+    if (!provider || !provider.supports(this.getDiceConfig(diceType).die)) {
+      return { error: `${randomnessMethod} randomness is not available for ${diceType}` };
+    }
+
+    if (!Object.hasOwn(PAYOUT_POLICIES, payoutPolicy)) {
+      return { error: 'Unknown payout policy' };
+    }
+
+    // Anything the provider commits to up front (e.g. a seed hash)
+    const commitment = await provider.commit();
+
     // Create game in database
-    const { data: game, error } = await supabase
-      .from('games')
-      .insert({
-        group_id: groupId,
-        group_name: groupName,
-        dice_type: diceType,
-        randomness_method: randomnessMethod,
-        status: 'waiting',
-        started_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const { data: game, error } = await this.storage.games.create({
+      group_id: groupId,
+      group_name: groupName,
+      dice_type: diceType,
+      randomness_method: randomnessMethod,
+      payout_policy: payoutPolicy,
+      game_mode: gameMode,
+      countdown_seconds: settings.countdownSeconds,
+      house_fee_percent: settings.houseFeePercent,
+      jackpot_percent: settings.jackpotPercent,
+      created_by: createdBy,
+      fixed_stake_amount: options.fixedStake?.amount ?? null,
+      fixed_stake_token: options.fixedStake?.token ?? null,
+      schedule_id: options.scheduleId ?? null,
+      status: GAME_STATUS.WAITING,
+      ...commitment,
+      started_at: new Date().toISOString()
+    });
 
     if (error) {
       logger.error(`Error creating game: ${error.message}`);
@@ -49,296 +98,936 @@ class GameManager {
     }
 
     // Store in active games
-    this.activeGames.set(groupId, {
+    const gameData = this.buildGameData(game, []);
+    this.activeGames.set(groupId, gameData);
+
+    logger.info(`🎲 Game ${game.id} started in group ${groupId}: ${gameMode} with ${diceType} (${randomnessMethod}, ${payoutPolicy})`);
+
+    // The game runs without the starting pot if the funder can't cover it
+    const seeded = options.seed ? await this.seedGame(gameData, options.seed) : null;
+
+    return { success: true, game, seedError: seeded?.error };
+  }
+
+  // Put a starting pot into a game from a user's balance
+  async seedGame(gameData, { amount, token, userId }) {
+    const posted = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.SEED, token, amount, ACCOUNTS.user(userId), ACCOUNTS.game(gameData.gameId), {
+        userId,
+        gameId: gameData.gameId
+      })
+    ]);
+
+    if (posted.error) {
+      logger.warn(`Could not seed game ${gameData.gameId}: ${posted.error}`);
+      return { error: posted.code === 'insufficient_funds' ? `Insufficient ${token} balance for the starting pot` : posted.error };
+    }
+
+    gameData.seed = { amount: roundAmount(amount, token), token, userId };
+
+    await this.storage.games.update(gameData.gameId, { seed_amount: gameData.seed.amount, seed_token: token, seed_user_id: userId });
+
+    return { success: true };
+  }
+
+  // In-memory state for a game row and its players
+  buildGameData(game, players) {
+    const pot = { SOL: 0, USDC: 0 };
+    for (const player of players) {
+      pot[player.token] += player.amount;
+    }
+
+    return {
       gameId: game.id,
-      diceType,
-      randomnessMethod,
-      diceConfig,
-      players: [],
-      pot: { SOL: 0, USDC: 0 }
+      status: game.status,
+      diceType: game.dice_type,
+      randomnessMethod: game.randomness_method,
+      payoutPolicy: game.payout_policy || 'equal',
+      gameMode: game.game_mode || DEFAULT_MODE,
+      mode: getMode(game.game_mode || DEFAULT_MODE),
+      diceConfig: this.getDiceConfig(game.dice_type),
+      countdownSeconds: game.countdown_seconds ?? parseInt(process.env.GAME_COUNTDOWN_SECONDS || 30),
+      houseFeePercent: game.house_fee_percent != null
+        ? parseFloat(game.house_fee_percent)
+        : parseFloat(process.env.HOUSE_FEE_PERCENT || 2),
+      jackpotPercent: game.jackpot_percent != null ? parseFloat(game.jackpot_percent) : 0,
+      startedAt: new Date(game.started_at).getTime(),
+      createdBy: game.created_by ? Number(game.created_by) : null, // Telegram id
+      lobbyMessageId: game.lobby_message_id ? Number(game.lobby_message_id) : null,
+      autoExtended: Boolean(game.auto_extended),
+      fixedStake: game.fixed_stake_amount
+        ? { amount: parseFloat(game.fixed_stake_amount), token: game.fixed_stake_token }
+        : null,
+      seed: game.seed_amount
+        ? { amount: parseFloat(game.seed_amount), token: game.seed_token, userId: game.seed_user_id }
+        : null,
+      serverSeed: game.server_seed,
+      serverSeedHash: game.server_seed_hash,
+      players,
+      joining: new Set(), // userIds whose join is in flight
+      pot
+    };
+  }
+
+  // Move a game to a new status. The update only matches while the row
+  // is still in the expected status, so two processes (or a timer and
+  // /roll) can never both move a game out of the same state.
+  async transition(gameData, to, fields = {}) {
+    const from = gameData.status;
+    if (!canTransition(from, to)) {
+      return { error: `Game is already ${from}` };
+    }
+
+    const { data, error } = await this.storage.games.update(gameData.gameId, { status: to, ...fields }, { status: from });
+
+    if (error) {
+      logger.error(`Error moving game ${gameData.gameId} to ${to}: ${error.message}`);
+      return { error: 'Failed to update game' };
+    }
+
+    if (!data || data.length === 0) {
+      return { error: `Game is no longer ${from}` };
+    }
+
+    gameData.status = to;
+    return { success: true };
+  }
+
+  getMinPlayers() {
+    return parseInt(process.env.MIN_PLAYERS || 2);
+  }
+
+  // Schedule the end of the countdown (measured from started_at), and a
+  // warning ROLL_WARNING_SECONDS before it. Rescheduling replaces both.
+  scheduleRoll(groupId, onRollDue, onWarning = null) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) return null;
+
+    const countdownMs = gameData.countdownSeconds * 1000;
+    const delay = Math.max(0, gameData.startedAt + countdownMs - Date.now());
+    const warningDelay = delay - parseInt(process.env.ROLL_WARNING_SECONDS || 10) * 1000;
+
+    this.clearTimer(groupId);
+
+    const timers = {
+      roll: setTimeout(() => {
+        this.gameTimers.delete(groupId);
+        onRollDue(groupId);
+      }, delay),
+      warning: onWarning && warningDelay > 0
+        ? setTimeout(() => onWarning(groupId), warningDelay)
+        : null
+    };
+    this.gameTimers.set(groupId, timers);
+
+    return delay;
+  }
+
+  clearTimer(groupId) {
+    const timers = this.gameTimers.get(groupId);
+    if (timers) {
+      clearTimeout(timers.roll);
+      clearTimeout(timers.warning);
+      this.gameTimers.delete(groupId);
+    }
+  }
+
+  // Decide what happens when the countdown runs out. Without enough
+  // players a game gets one extension of AUTO_EXTEND_SECONDS, and is
+  // cancelled with refunds if it's still short after that.
+  async endCountdown(groupId) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData || gameData.status !== GAME_STATUS.WAITING) {
+      return { action: 'none' };
+    }
+
+    const needed = this.getMinPlayers() - gameData.players.length;
+    if (needed <= 0) {
+      return { action: 'roll' };
+    }
+
+    if (!gameData.autoExtended) {
+      const seconds = parseInt(process.env.AUTO_EXTEND_SECONDS || 30);
+      const extended = await this.extendGame(groupId, seconds, { auto: true });
+      if (!extended.error) {
+        return { action: 'extended', seconds, needed, gameData };
+      }
+    }
+
+    const cancelled = await this.cancelGame(groupId);
+    if (cancelled.error) {
+      return { action: 'none', error: cancelled.error };
+    }
+
+    return { action: 'cancelled', needed, gameData: cancelled.gameData };
+  }
+
+  // Close betting before the dice are thrown. Only one caller wins.
+  async beginRoll(groupId) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) {
+      return { error: 'No active game found' };
+    }
+
+    const result = await this.transition(gameData, GAME_STATUS.ROLLING);
+    if (result.error) return result;
+
+    this.clearTimer(groupId);
+    return { success: true, gameData };
+  }
+
+  // Reload open games and their bets after a restart
+  async restoreGames() {
+    const { data: games, error } = await this.storage.games.listByStatus(OPEN_STATUSES);
+
+    if (error) {
+      logger.error(`Error loading open games: ${error.message}`);
+      return { waiting: [], rolling: [] };
+    }
+
+    const restored = { waiting: [], rolling: [] };
+
+    for (const game of games) {
+      const { data: bets, error: betsError } = await this.storage.bets.listByGame(game.id);
+      const { data: entries, error: entriesError } = await this.storage.ledger.listByAccount(ACCOUNTS.game(game.id));
+
+      if (betsError || entriesError) {
+        logger.error(`Error loading bets for game ${game.id}: ${(betsError || entriesError).message}`);
+        continue;
+      }
+
+      // The bet row is written before its stake is posted. A crash in
+      // between leaves a player who never paid; drop them like an
+      // unstaked house bet.
+      const staked = new Set(entries.filter(e => e.entry_type === ENTRY_TYPES.STAKE).map(e => e.bet_id));
+      const players = [];
+
+      for (const bet of bets) {
+        if (!staked.has(bet.id)) {
+          await this.storage.bets.delete(bet.id);
+          logger.warn(`♻️ Dropped bet ${bet.id} from game ${game.id}, its stake was never posted`);
+          continue;
+        }
+
+        players.push({
+          userId: bet.user_id,
+          username: bet.users?.username || 'User',
+          amount: parseFloat(bet.stake_amount),
+          token: bet.token,
+          chosenNumber: bet.chosen_number,
+          selection: bet.selection,
+          betId: bet.id
+        });
+      }
+
+      this.activeGames.set(game.group_id, this.buildGameData(game, players));
+      restored[game.status].push(game.group_id);
+
+      logger.info(`♻️ Restored game ${game.id} in group ${game.group_id} (${game.status}, ${players.length} players)`);
+    }
+
+    return restored;
+  }
+
+  // A game that was mid-roll when the process died. If the pot was
+  // already paid out, finish writing the results; if it still holds
+  // stakes, refund everyone.
+  async recoverRollingGame(groupId) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) return null;
+
+    const { data: entries, error } = await this.storage.ledger.listByAccount(ACCOUNTS.game(gameData.gameId));
+
+    if (error) {
+      logger.error(`Error loading ledger entries for game ${gameData.gameId}: ${error.message}`);
+      return null;
+    }
+
+    const reconciliation = await this.ledger.reconcileGame(gameData.gameId);
+    if (!reconciliation) return null;
+
+    if (!reconciliation.balanced) {
+      const cancelled = await this.cancelGame(groupId);
+      return cancelled.error ? { error: cancelled.error, gameData } : { refunded: true, gameData };
+    }
+
+    // Nothing is held: either the pot was settled, or a cancellation
+    // refunded it and stopped before marking the game cancelled
+    const settled = entries.some(e => [ENTRY_TYPES.PAYOUT, ENTRY_TYPES.HOUSE_FEE].includes(e.entry_type));
+    if (!settled) {
+      await this.transition(gameData, GAME_STATUS.CANCELLED, { finished_at: new Date().toISOString() });
+      this.activeGames.delete(groupId);
+      logger.info(`♻️ Game ${gameData.gameId} was already refunded, marked cancelled`);
+      return { refunded: true, gameData };
+    }
+
+    await this.writeBackSettlement(gameData, entries);
+    this.activeGames.delete(groupId);
+    logger.info(`♻️ Game ${gameData.gameId} was already settled, marked finished`);
+    return { settled: true, gameData };
+  }
+
+  // Record the results of a game settled on the ledger but not in its bet
+  // rows and player stats. Bets that already have a result were written
+  // before the crash and are left alone. The dice aren't known any more.
+  async writeBackSettlement(gameData, entries) {
+    const { data: bets, error } = await this.storage.bets.listByGame(gameData.gameId);
+
+    if (error) {
+      logger.error(`Error loading bets for game ${gameData.gameId}: ${error.message}`);
+      return;
+    }
+
+    const gameAccount = ACCOUNTS.game(gameData.gameId);
+    const paidOut = (type, betId) => entries
+      .filter(e => e.entry_type === type && e.bet_id === betId && e.debit_account === gameAccount)
+      .reduce((sum, e) => sum + parseFloat(e.amount), 0);
+
+    const unrecorded = new Set(bets.filter(bet => bet.won === null || bet.won === undefined).map(bet => bet.id));
+    const winners = [];
+
+    for (const player of gameData.players) {
+      const payout = roundAmount(paidOut(ENTRY_TYPES.PAYOUT, player.betId), player.token);
+      const won = payout > 0;
+      if (won) winners.push(player);
+
+      if (!unrecorded.has(player.betId)) continue;
+
+      await this.storage.bets.update(player.betId, {
+        won,
+        payout: won ? payout : roundAmount(paidOut(ENTRY_TYPES.REFUND, player.betId), player.token)
+      });
+
+      await this.storage.users.addStats(player.userId, {
+        total_games: 1,
+        ...(won ? { total_wins: 1 } : {}),
+        [`total_wagered_${player.token.toLowerCase()}`]: player.amount,
+        ...(won ? { [`total_won_${player.token.toLowerCase()}`]: payout } : {})
+      });
+    }
+
+    const houseFee = (token) => roundAmount(entries
+      .filter(e => e.entry_type === ENTRY_TYPES.HOUSE_FEE && e.token === token)
+      .reduce((sum, e) => sum + parseFloat(e.amount), 0), token);
+
+    await this.transition(gameData, GAME_STATUS.FINISHED, {
+      winner_ids: winners.map(w => w.userId),
+      house_fee_sol: houseFee('SOL'),
+      house_fee_usdc: houseFee('USDC'),
+      finished_at: new Date().toISOString()
     });
+  }
 
-    logger.info(`🎲 Game ${game.id} started in group ${groupId} with ${diceType} (${randomnessMethod})`);
+  // Check a stake and pick against the group's limits and the game mode
+  async validateBet(groupId, gameData, amount, token, pick) {
+    // Join buttons carry the token in callback data
+    if (!Object.hasOwn(TOKENS, token)) {
+      return { error: 'Unknown token' };
+    }
 
-    return { success: true, game };
+    // Stakes can't be more precise than the token itself. NaN fails
+    // every comparison, so it has to be ruled out explicitly.
+    amount = roundAmount(amount, token);
+    if (!(amount > 0)) {
+      return { error: 'Stake must be greater than 0' };
+    }
+
+    // Group limits apply from the moment an admin changes them
+    const settings = await this.settings.get(groupId);
+    if (!settings.allowedTokens.includes(token)) {
+      return { error: `${token} bets are disabled in this group` };
+    }
+
+    const { fixedStake } = gameData;
+    if (fixedStake && (token !== fixedStake.token || amount !== fixedStake.amount)) {
+      return { error: `Every player bets exactly ${fixedStake.amount} ${fixedStake.token} in this game` };
+    }
+
+    const limits = settings.stakeLimits[token];
+    if (!fixedStake && (amount < limits.min || amount > limits.max)) {
+      return { error: `${token} stakes must be between ${limits.min} and ${limits.max}` };
+    }
+
+    // Validate the pick against the game mode's rules
+    const parsed = gameData.mode.parsePick(pick, gameData);
+    if (parsed.error) {
+      return { error: parsed.error };
+    }
+
+    return {
+      amount,
+      chosenNumber: parsed.chosenNumber ?? null,
+      selection: parsed.selection ?? null,
+      settings
+    };
+  }
+
+  // Bets can be withdrawn or changed until BET_LOCK_SECONDS before the roll
+  getLockTime(gameData) {
+    const lockSeconds = parseInt(process.env.BET_LOCK_SECONDS || 5);
+    return gameData.startedAt + (gameData.countdownSeconds - lockSeconds) * 1000;
+  }
+
+  isBetLocked(gameData) {
+    return gameData.status !== GAME_STATUS.WAITING || Date.now() >= this.getLockTime(gameData);
   }
 
   // Join a game
-  async joinGame(groupId, userId, username, amount, token, chosenNumber) {
+  async joinGame(groupId, userId, username, amount, token, pick) {
     const gameData = this.activeGames.get(groupId);
     
     if (!gameData) {
       return { error: 'No active game in this group! Use /startgame first.' };
     }
 
-    // Validate number is within dice range
-    const { min, max } = gameData.diceConfig;
-    if (chosenNumber < min || chosenNumber > max) {
-      return { error: `Choose a number between ${min} and ${max}` };
+    if (gameData.status !== GAME_STATUS.WAITING) {
+      return { error: 'The dice are already rolling!' };
+    }
+
+    const validated = await this.validateBet(groupId, gameData, amount, token, pick);
+    if (validated.error) return validated;
+    ({ amount } = validated);
+    const { chosenNumber, selection, settings } = validated;
+
+    // Joins that are still waiting on storage hold their seat, so two
+    // can't take the last one and a double tap can't join twice
+    if (settings.maxPlayers > 0 && gameData.players.length + gameData.joining.size >= settings.maxPlayers) {
+      return { error: `This game is full (${settings.maxPlayers} players)` };
     }
 
     // Check if user already joined
-    if (gameData.players.some(p => p.userId === userId)) {
+    if (gameData.players.some(p => p.userId === userId) || gameData.joining.has(userId)) {
       return { error: 'You already joined this game!' };
     }
 
+    gameData.joining.add(userId);
+    try {
+      return await this.placeBet(gameData, userId, username, amount, token, chosenNumber, selection);
+    } finally {
+      gameData.joining.delete(userId);
+    }
+  }
+
+  // Stake a validated bet and add the player to the game
+  async placeBet(gameData, userId, username, amount, token, chosenNumber, selection) {
     // Get user's wallet and check balance
-    const { data: wallet } = await supabase
-      .from('wallets')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
+    const { data: wallet } = await this.storage.wallets.findByUserId(userId);
 
     if (!wallet) {
       return { error: 'Wallet not found! Use /start first.' };
     }
 
-    const balance = token === 'SOL' ? wallet.sol_balance : wallet.usdc_balance;
+    const balance = parseFloat(wallet[getBalanceField(token)]);
     if (balance < amount) {
       return { error: `Insufficient ${token} balance. You have ${balance} ${token}` };
     }
 
     // Create bet in database
-    const { data: bet, error } = await supabase
-      .from('bets')
-      .insert({
-        game_id: gameData.gameId,
-        user_id: userId,
-        chosen_number: chosenNumber,
-        stake_amount: amount,
-        token: token
-      })
-      .select()
-      .single();
+    const { data: bet, error } = await this.storage.bets.create({
+      game_id: gameData.gameId,
+      user_id: userId,
+      chosen_number: chosenNumber,
+      selection,
+      stake_amount: amount,
+      token: token
+    });
 
     if (error) {
       logger.error(`Error creating bet: ${error.message}`);
       return { error: 'Failed to place bet' };
     }
 
-    // Deduct balance from wallet
-    const newBalance = balance - amount;
-    const updateField = token === 'SOL' ? 'sol_balance' : 'usdc_balance';
-    await supabase
-      .from('wallets')
-      .update({ [updateField]: newBalance })
-      .eq('user_id', userId);
+    // Move the stake into the game's pot. The ledger rejects the
+    // entry if a concurrent bet already spent the balance.
+    const staked = await this.ledger.stake(userId, gameData.gameId, bet.id, amount, token);
+
+    if (staked.error) {
+      await this.storage.bets.delete(bet.id);
+      return { error: staked.code === 'insufficient_funds' ? `Insufficient ${token} balance` : 'Failed to place bet' };
+    }
+
+    // Betting closed while the stake was posted; it would never be settled
+    if (gameData.status !== GAME_STATUS.WAITING) {
+      await this.ledger.post([
+        this.ledger.entry(ENTRY_TYPES.REFUND, token, amount, ACCOUNTS.game(gameData.gameId), ACCOUNTS.user(userId), {
+          userId,
+          gameId: gameData.gameId,
+          betId: bet.id
+        })
+      ]);
+      await this.storage.bets.delete(bet.id);
+      return { error: 'The dice are already rolling!' };
+    }
 
     // Add player to game
-    gameData.players.push({
+    const player = {
       userId,
       username,
       amount,
       token,
       chosenNumber,
+      selection,
       betId: bet.id
-    });
+    };
+    gameData.players.push(player);
 
     // Update pot
     gameData.pot[token] += amount;
 
     // Update game in database
-    await supabase
-      .from('games')
-      .update({
-        num_players: gameData.players.length,
-        pot_sol: gameData.pot.SOL,
-        pot_usdc: gameData.pot.USDC
-      })
-      .eq('id', gameData.gameId);
+    await this.storage.games.update(gameData.gameId, {
+      num_players: gameData.players.length,
+      pot_sol: gameData.pot.SOL,
+      pot_usdc: gameData.pot.USDC
+    });
 
-    logger.info(`💰 ${username} joined game ${gameData.gameId} with ${amount} ${token} on number ${chosenNumber}`);
+    logger.info(`💰 ${username} joined game ${gameData.gameId} with ${amount} ${token}: ${gameData.mode.describePick(player, gameData)}`);
 
-    return { success: true, bet };
+    return { success: true, bet, player };
   }
 
-  // Calculate winners
-  calculateWinners(players, diceResult) {
-    // Calculate distance for each player
-    const playersWithDistance = players.map(player => ({
-      ...player,
-      distance: Math.abs(player.chosenNumber - diceResult)
-    }));
+  // Refund a player's stake and take them out of a game that hasn't rolled
+  async removePlayer(groupId, userId) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) {
+      return { error: 'No active game in this group!' };
+    }
+
+    if (gameData.status !== GAME_STATUS.WAITING) {
+      return { error: 'The dice are already rolling!' };
+    }
+
+    const player = gameData.players.find(p => p.userId === userId);
+    if (!player) {
+      return { error: 'That player is not in this game' };
+    }
+
+    // Take the player out first so the roll can't settle them mid-refund
+    gameData.players = gameData.players.filter(p => p !== player);
+    gameData.pot[player.token] = roundAmount(gameData.pot[player.token] - player.amount, player.token);
+
+    const refunded = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.REFUND, player.token, player.amount,
+        ACCOUNTS.game(gameData.gameId), ACCOUNTS.user(player.userId), {
+          userId: player.userId,
+          gameId: gameData.gameId,
+          betId: player.betId
+        })
+    ]);
+
+    if (refunded.error) {
+      gameData.players.push(player);
+      gameData.pot[player.token] += player.amount;
+      logger.error(`Error refunding ${player.username} in game ${gameData.gameId}: ${refunded.error}`);
+      return { error: 'Failed to refund the stake' };
+    }
+
+    // The bet no longer counts towards the client seed or the result
+    await this.storage.bets.delete(player.betId);
+
+    await this.storage.games.update(gameData.gameId, {
+      num_players: gameData.players.length,
+      pot_sol: gameData.pot.SOL,
+      pot_usdc: gameData.pot.USDC
+    });
+
+    logger.info(`🚪 ${player.username} removed from game ${gameData.gameId}, refunded ${player.amount} ${player.token}`);
+
+    return { success: true, player, gameData };
+  }
+
+  // A player withdraws their own bet
+  async leaveGame(groupId, userId) {
+    const gameData = this.activeGames.get(groupId);
+    if (gameData && this.isBetLocked(gameData)) {
+      return { error: 'Bets are locked, the dice are about to roll!' };
+    }
+
+    return this.removePlayer(groupId, userId);
+  }
+
+  // Replace a player's stake and pick. The old stake is refunded and the
+  // new one taken in a single ledger post, so either both apply or neither.
+  async changeBet(groupId, userId, amount, token, pick) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) {
+      return { error: 'No active game in this group!' };
+    }
+
+    if (this.isBetLocked(gameData)) {
+      return { error: 'Bets are locked, the dice are about to roll!' };
+    }
+
+    const player = gameData.players.find(p => p.userId === userId);
+    if (!player) {
+      return { error: 'You are not in this game! Use /dice to join.' };
+    }
+
+    const validated = await this.validateBet(groupId, gameData, amount, token, pick);
+    if (validated.error) return validated;
+    ({ amount } = validated);
+    const { chosenNumber, selection } = validated;
+
+    const gameAccount = ACCOUNTS.game(gameData.gameId);
+    const refs = { userId, gameId: gameData.gameId, betId: player.betId };
 
-    // Find minimum distance
-    const minDistance = Math.min(...playersWithDistance.map(p => p.distance));
+    const moved = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.REFUND, player.token, player.amount, gameAccount, ACCOUNTS.user(userId), refs),
+      this.ledger.entry(ENTRY_TYPES.STAKE, token, amount, ACCOUNTS.user(userId), gameAccount, refs)
+    ]);
+
+    if (moved.error) {
+      return { error: moved.code === 'insufficient_funds' ? `Insufficient ${token} balance` : 'Failed to change bet' };
+    }
 
-    // Get all winners with minimum distance
-    const winners = playersWithDistance.filter(p => p.distance === minDistance);
+    const { error } = await this.storage.bets.update(player.betId, { stake_amount: amount, token, chosen_number: chosenNumber, selection });
 
-    return winners;
+    if (error) {
+      // Put the original stake back so the ledger matches the bet row
+      logger.error(`Error updating bet ${player.betId}: ${error.message}`);
+      await this.ledger.post([
+        this.ledger.entry(ENTRY_TYPES.REFUND, token, amount, gameAccount, ACCOUNTS.user(userId), refs),
+        this.ledger.entry(ENTRY_TYPES.STAKE, player.token, player.amount, ACCOUNTS.user(userId), gameAccount, refs)
+      ]);
+      return { error: 'Failed to change bet' };
+    }
+
+    const previous = { ...player };
+
+    gameData.pot[player.token] = roundAmount(gameData.pot[player.token] - player.amount, player.token);
+    gameData.pot[token] += amount;
+    Object.assign(player, { amount, token, chosenNumber, selection });
+
+    await this.storage.games.update(gameData.gameId, { pot_sol: gameData.pot.SOL, pot_usdc: gameData.pot.USDC });
+
+    logger.info(`🔁 ${player.username} changed their bet in game ${gameData.gameId} to ${amount} ${token}: ${gameData.mode.describePick(player, gameData)}`);
+
+    return { success: true, player, previous, gameData };
+  }
+
+  // Remember which message is the game's lobby so a restart can keep editing it
+  async setLobbyMessage(groupId, messageId) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) return;
+
+    gameData.lobbyMessageId = messageId;
+
+    const { error } = await this.storage.games.update(gameData.gameId, { lobby_message_id: messageId });
+
+    if (error) {
+      logger.error(`Error saving lobby message for game ${gameData.gameId}: ${error.message}`);
+    }
+  }
+
+  // A user's most recent bet in any game, as /dice arguments
+  async getLastBet(userId) {
+    const { data: bet } = await this.storage.bets.findLatestByUser(userId);
+
+    if (!bet) return null;
+
+    return {
+      amount: parseFloat(bet.stake_amount),
+      token: bet.token,
+      pick: bet.selection ?? (bet.chosen_number != null ? String(bet.chosen_number) : undefined)
+    };
+  }
+
+  // Push the roll back. The countdown is stored on the games row so a
+  // restart keeps the extension.
+  async extendGame(groupId, seconds, { auto = false } = {}) {
+    const gameData = this.activeGames.get(groupId);
+    if (!gameData) {
+      return { error: 'No active game in this group!' };
+    }
+
+    if (gameData.status !== GAME_STATUS.WAITING) {
+      return { error: 'The dice are already rolling!' };
+    }
+
+    const countdownSeconds = gameData.countdownSeconds + seconds;
+
+    const { error } = await this.storage.games.update(gameData.gameId,
+      { countdown_seconds: countdownSeconds, ...(auto && { auto_extended: true }) },
+      { status: GAME_STATUS.WAITING });
+
+    if (error) {
+      logger.error(`Error extending game ${gameData.gameId}: ${error.message}`);
+      return { error: 'Failed to extend the game' };
+    }
+
+    gameData.countdownSeconds = countdownSeconds;
+    if (auto) gameData.autoExtended = true;
+
+    return { success: true, gameData };
+  }
+
+  // Draw the result from the game's randomness provider
+  async drawResult(gameData, channel) {
+    const provider = this.randomness.get(gameData.randomnessMethod);
+    if (!provider) {
+      return { error: `Unknown randomness method ${gameData.randomnessMethod}` };
+    }
+
+    try {
+      const { values, proof, animated } = await provider.roll({
+        diceConfig: gameData.diceConfig.die,
+        gameData,
+        count: gameData.mode.rollCount(gameData),
+        channel
+      });
+
+      return { values, proof, animated };
+    } catch (error) {
+      logger.error(`Error drawing result for game ${gameData.gameId}: ${error.message}`);
+      return { error: 'Failed to get a random result' };
+    }
+  }
+
+  // Calculate winners of the closest-number rule
+  calculateWinners(players, diceResult) {
+    return closestWinners(players, diceResult);
   }
 
   // Roll dice and finish game
-  async rollDice(groupId, diceResult) {
+  async rollDice(groupId, diceValues, proof = {}) {
     const gameData = this.activeGames.get(groupId);
     
     if (!gameData) {
       return { error: 'No active game found' };
     }
 
-    if (gameData.players.length === 0) {
-      await this.cancelGame(groupId);
-      return { error: 'No players in game! Game cancelled.' };
+    if (gameData.status !== GAME_STATUS.ROLLING) {
+      return { error: 'Game is not rolling' };
     }
 
-    // Update game status
-    await supabase
-      .from('games')
-      .update({ status: 'rolling' })
-      .eq('id', gameData.gameId);
+    // A lone player would only win back their own stake minus the fee
+    if (gameData.players.length < this.getMinPlayers()) {
+      const cancelled = await this.cancelGame(groupId);
+      return { error: `Not enough players (${gameData.players.length}/${this.getMinPlayers()})! ` +
+        (cancelled.error || 'Game cancelled and stakes refunded.') };
+    }
+
+    // Let the game mode read the dice
+    const { mode } = gameData;
+    const outcome = mode.outcome([].concat(diceValues), gameData);
+    const diceResult = outcome.result;
+
+    // Settle each token's pool among that token's bettors
+    const pools = settlePools(
+      gameData.players,
+      (poolPlayers) => mode.pickWinners(poolPlayers, outcome),
+      gameData.houseFeePercent,
+      gameData.payoutPolicy,
+      mode.payoutCap ? (player, token) => mode.payoutCap(player, token, gameData) : null,
+      gameData.seed ? { [gameData.seed.token]: toBaseUnits(gameData.seed.amount, gameData.seed.token) } : {},
+      gameData.jackpotPercent > 0 ? { percent: gameData.jackpotPercent, fromFee: this.jackpot.isFromFee() } : null
+    );
+
+    const gameAccount = ACCOUNTS.game(gameData.gameId);
+    const jackpotAccount = this.jackpot.getAccount(groupId);
+    const entries = [];
+
+    for (const pool of pools) {
+      for (const { player, units } of pool.payouts) {
+        entries.push(this.ledger.entry(ENTRY_TYPES.PAYOUT, pool.token, fromBaseUnits(units, pool.token),
+          gameAccount, ACCOUNTS.user(player.userId), {
+            userId: player.userId,
+            gameId: gameData.gameId,
+            betId: player.betId
+          }));
+      }
+
+      for (const { player, units } of pool.refunds) {
+        entries.push(this.ledger.entry(ENTRY_TYPES.REFUND, pool.token, fromBaseUnits(units, pool.token),
+          gameAccount, ACCOUNTS.user(player.userId), {
+            userId: player.userId,
+            gameId: gameData.gameId,
+            betId: player.betId
+          }));
+      }
+
+      entries.push(this.ledger.entry(ENTRY_TYPES.HOUSE_FEE, pool.token, fromBaseUnits(pool.feeUnits, pool.token),
+        gameAccount, ACCOUNTS.HOUSE, { gameId: gameData.gameId }));
 
-    // Calculate winners
-    const winners = this.calculateWinners(gameData.players, diceResult);
+      entries.push(this.ledger.entry(ENTRY_TYPES.JACKPOT, pool.token, fromBaseUnits(pool.jackpotUnits, pool.token),
+        gameAccount, jackpotAccount, { gameId: gameData.gameId }));
 
-    // Calculate house fee (2%)
-    const houseFeePercent = parseFloat(process.env.HOUSE_FEE_PERCENT || 2) / 100;
-    const houseFeeSOL = gameData.pot.SOL * houseFeePercent;
-    const houseFeeUSDC = gameData.pot.USDC * houseFeePercent;
+      // An unwon starting pot goes back to whoever put it up
+      if (pool.seedReturnUnits > 0) {
+        entries.push(this.ledger.entry(ENTRY_TYPES.REFUND, pool.token, fromBaseUnits(pool.seedReturnUnits, pool.token),
+          gameAccount, ACCOUNTS.user(gameData.seed.userId), {
+            userId: gameData.seed.userId,
+            gameId: gameData.gameId
+          }));
+      }
+    }
+
+    const settled = await this.ledger.post(entries);
+    if (settled.error) {
+      logger.error(`Error settling game ${gameData.gameId}: ${settled.error}`);
+      const cancelled = await this.cancelGame(groupId);
+      return { error: `Failed to pay out winners. ${cancelled.error || 'All stakes have been refunded.'}` };
+    }
+
+    const settlement = describePools(pools);
+    const winners = settlement.flatMap(pool => pool.payouts);
+    const refunds = new Map(settlement.flatMap(pool => pool.refunds).map(p => [p.betId, p.refund]));
+    const houseFee = { SOL: 0, USDC: 0 };
+    settlement.forEach(pool => { houseFee[pool.token] = pool.fee; });
 
-    // Calculate payout per winner
-    const payoutSOL = (gameData.pot.SOL - houseFeeSOL) / winners.length;
-    const payoutUSDC = (gameData.pot.USDC - houseFeeUSDC) / winners.length;
+    // The jackpot is paid on top of the pot, after this game's share went in
+    const jackpotHits = gameData.jackpotPercent > 0 && mode.jackpotHits
+      ? mode.jackpotHits(gameData.players, outcome, gameData)
+      : [];
+    const jackpotWins = jackpotHits.length > 0
+      ? await this.jackpot.award(groupId, gameData.gameId, jackpotHits)
+      : [];
 
-    // Update winners' balances and bet records
+    for (const win of jackpotWins) {
+      await this.storage.bets.update(win.betId, { jackpot_payout: win.jackpot });
+    }
+
+    // Update winners' bet records and stats
     for (const winner of winners) {
-      const payout = winner.token === 'SOL' ? payoutSOL : payoutUSDC;
+      const payout = winner.payout;
       
       // Update bet record
-      await supabase
-        .from('bets')
-        .update({
-          won: true,
-          payout: payout,
-          distance_from_result: winner.distance
-        })
-        .eq('id', winner.betId);
-
-      // Update wallet balance
-      const { data: wallet } = await supabase
-        .from('wallets')
-        .select('*')
-        .eq('user_id', winner.userId)
-        .single();
-
-      if (wallet) {
-        const updateField = winner.token === 'SOL' ? 'sol_balance' : 'usdc_balance';
-        const currentBalance = winner.token === 'SOL' ? wallet.sol_balance : wallet.usdc_balance;
-        const newBalance = parseFloat(currentBalance) + payout;
-
-        await supabase
-          .from('wallets')
-          .update({ [updateField]: newBalance })
-          .eq('user_id', winner.userId);
-      }
+      await this.storage.bets.update(winner.betId, {
+        won: true,
+        payout: payout,
+        ...mode.betFields(winner, outcome)
+      });
 
-      // Update user stats
-      await supabase
-        .from('users')
-        .update({
-          total_games: supabase.sql`total_games + 1`,
-          total_wins: supabase.sql`total_wins + 1`,
-          [`total_won_${winner.token.toLowerCase()}`]: supabase.sql`total_won_${winner.token.toLowerCase()} + ${payout}`
-        })
-        .eq('id', winner.userId);
+      // Update user stats; a winner wagered their stake too
+      await this.storage.users.addStats(winner.userId, {
+        total_games: 1,
+        total_wins: 1,
+        [`total_wagered_${winner.token.toLowerCase()}`]: winner.amount,
+        [`total_won_${winner.token.toLowerCase()}`]: payout
+      });
     }
 
     // Update losers
     const losers = gameData.players.filter(p => !winners.find(w => w.userId === p.userId));
     for (const loser of losers) {
-      await supabase
-        .from('bets')
-        .update({
-          won: false,
-          distance_from_result: Math.abs(loser.chosenNumber - diceResult)
-        })
-        .eq('id', loser.betId);
+      await this.storage.bets.update(loser.betId, {
+        won: false,
+        payout: refunds.get(loser.betId) || 0,
+        ...mode.betFields(loser, outcome)
+      });
 
       // Update user stats
-      await supabase
-        .from('users')
-        .update({
-          total_games: supabase.sql`total_games + 1`,
-          [`total_wagered_${loser.token.toLowerCase()}`]: supabase.sql`total_wagered_${loser.token.toLowerCase()} + ${loser.amount}`
-        })
-        .eq('id', loser.userId);
+      await this.storage.users.addStats(loser.userId, {
+        total_games: 1,
+        [`total_wagered_${loser.token.toLowerCase()}`]: loser.amount
+      });
     }
 
     // Finalize game
-    await supabase
-      .from('games')
-      .update({
-        status: 'finished',
-        dice_result: diceResult,
-        winner_ids: winners.map(w => w.userId),
-        house_fee_sol: houseFeeSOL,
-        house_fee_usdc: houseFeeUSDC,
-        finished_at: new Date().toISOString()
-      })
-      .eq('id', gameData.gameId);
+    await this.transition(gameData, GAME_STATUS.FINISHED, {
+      dice_result: diceResult,
+      dice_values: outcome.values,
+      winner_ids: winners.map(w => w.userId),
+      house_fee_sol: houseFee.SOL,
+      house_fee_usdc: houseFee.USDC,
+      client_seed: proof.clientSeed || null,
+      finished_at: new Date().toISOString()
+    });
 
     // Clean up
     this.activeGames.delete(groupId);
-    if (this.gameTimers.has(groupId)) {
-      clearTimeout(this.gameTimers.get(groupId));
-      this.gameTimers.delete(groupId);
-    }
+    this.clearTimer(groupId);
 
     logger.info(`🎉 Game ${gameData.gameId} finished! Result: ${diceResult}, Winners: ${winners.length}`);
 
     return {
       success: true,
       diceResult,
+      outcome,
+      mode,
+      gameData,
       winners,
-      payoutSOL,
-      payoutUSDC,
+      settlement,
+      houseFee,
+      jackpotWins,
       totalPlayers: gameData.players.length,
-      pot: gameData.pot
+      pot: gameData.pot,
+      gameId: gameData.gameId,
+      serverSeed: gameData.serverSeed,
+      clientSeed: proof.clientSeed
     };
   }
 
-  // Cancel game
+  // Cancel a game and refund every stake. Betting is closed first, the
+  // same way a roll closes it, so late joins refund themselves. The game
+  // only becomes cancelled once the refunds have posted; until then it
+  // stays rolling, where /cancelgame or the restart recovery retries it.
   async cancelGame(groupId) {
     const gameData = this.activeGames.get(groupId);
-    if (!gameData) return;
+    if (!gameData) {
+      return { error: 'No active game found' };
+    }
 
-    // Refund all players
-    for (const player of gameData.players) {
-      const { data: wallet } = await supabase
-        .from('wallets')
-        .select('*')
-        .eq('user_id', player.userId)
-        .single();
-
-      if (wallet) {
-        const updateField = player.token === 'SOL' ? 'sol_balance' : 'usdc_balance';
-        const currentBalance = player.token === 'SOL' ? wallet.sol_balance : wallet.usdc_balance;
-        const newBalance = parseFloat(currentBalance) + player.amount;
-
-        await supabase
-          .from('wallets')
-          .update({ [updateField]: newBalance })
-          .eq('user_id', player.userId);
-      }
+    if (gameData.cancelling) {
+      return { error: 'The game is already being cancelled' };
     }
 
-    // Update game status
-    await supabase
-      .from('games')
-      .update({
-        status: 'cancelled',
-        finished_at: new Date().toISOString()
-      })
-      .eq('id', gameData.gameId);
+    if (gameData.status === GAME_STATUS.WAITING) {
+      const closed = await this.transition(gameData, GAME_STATUS.ROLLING);
+      if (closed.error) return closed;
+    }
+
+    if (gameData.status !== GAME_STATUS.ROLLING) {
+      return { error: `Game is already ${gameData.status}` };
+    }
+
+    this.clearTimer(groupId);
+    gameData.cancelling = true;
+
+    // Refund all players from the game's pot
+    const refunds = gameData.players.map(player =>
+      this.ledger.entry(ENTRY_TYPES.REFUND, player.token, player.amount,
+        ACCOUNTS.game(gameData.gameId), ACCOUNTS.user(player.userId), {
+          userId: player.userId,
+          gameId: gameData.gameId,
+          betId: player.betId
+        })
+    );
+
+    if (gameData.seed) {
+      const { amount, token, userId } = gameData.seed;
+      refunds.push(this.ledger.entry(ENTRY_TYPES.REFUND, token, amount,
+        ACCOUNTS.game(gameData.gameId), ACCOUNTS.user(userId), { userId, gameId: gameData.gameId }));
+    }
+
+    const refunded = await this.ledger.post(refunds);
+    if (refunded.error) {
+      gameData.cancelling = false;
+      logger.error(`Error refunding game ${gameData.gameId}: ${refunded.error}`);
+      return { error: 'Failed to refund the stakes. They are still held by the game, use /cancelgame to try again' };
+    }
+
+    await this.transition(gameData, GAME_STATUS.CANCELLED, {
+      finished_at: new Date().toISOString()
+    });
 
     // Clean up
     this.activeGames.delete(groupId);
-    if (this.gameTimers.has(groupId)) {
-      clearTimeout(this.gameTimers.get(groupId));
-      this.gameTimers.delete(groupId);
-    }
 
     logger.info(`❌ Game ${gameData.gameId} cancelled`);
+
+    return { success: true, gameData };
+  }
+
+  // Load a game with everything needed to verify its roll
+  async getGameForVerification(gameId) {
+    const { data: game, error } = await this.storage.games.findWithBetIds(gameId);
+
+    if (error || !game) {
+      return { error: 'Game not found' };
+    }
+
+    return { game, diceConfig: this.getDiceConfig(game.dice_type) };
   }
 
   // Get active game
@@ -354,7 +1043,9 @@ class GameManager {
     return {
       pot: gameData.pot,
       players: gameData.players.length,
-      diceType: gameData.diceType
+      diceType: gameData.diceType,
+      mode: gameData.mode,
+      seed: gameData.seed
     };
   }
 }
@@ -0,0 +1,152 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { ACCOUNTS } from './LedgerManager.js';
+import { toBaseUnits, fromBaseUnits } from '../lib/tokens.js';
+import { toCsv } from '../lib/csv.js';
+import { GAME_STATUS } from '../lib/gameState.js';
+
+export const BET_CSV_COLUMNS = [
+  'date', 'bet_id', 'game_id', 'group', 'dice', 'mode', 'pick', 'result', 'status',
+  'token', 'stake', 'payout', 'jackpot', 'net', 'house_fee_percent'
+];
+
+export const LEDGER_CSV_COLUMNS = ['date', 'entry_id', 'type', 'token', 'amount', 'game_id', 'bet_id', 'reference'];
+
+/**
+ * One bets row (with its game) as the player sees it. net is what the
+ * bet paid back, jackpot included, minus the stake; open bets have none.
+ */
+export const describeBet = (bet) => {
+  const game = bet.games || {};
+  const { token } = bet;
+  const stake = parseFloat(bet.stake_amount);
+  const payout = parseFloat(bet.payout || 0);
+  const jackpot = parseFloat(bet.jackpot_payout || 0);
+
+  let status;
+  if (game.status === GAME_STATUS.CANCELLED) {
+    status = 'cancelled';
+  } else if (game.status !== GAME_STATUS.FINISHED) {
+    status = 'open';
+  } else if (bet.won) {
+    status = 'won';
+  } else {
+    status = payout >= stake ? 'refunded' : 'lost';
+  }
+
+  const settled = status !== 'open';
+  // Cancelled games refund the stake through the ledger, not the bets row
+  const returned = status === 'cancelled' ? stake : payout + jackpot;
+
+  const pick = bet.chosen_number ?? bet.selection ?? (bet.roll_value != null ? `rolled ${bet.roll_value}` : null);
+  const values = game.dice_values || (game.dice_result != null ? [game.dice_result] : []);
+
+  return {
+    betId: bet.id,
+    gameId: bet.game_id,
+    date: bet.created_at,
+    group: game.group_name || null,
+    diceType: game.dice_type || null,
+    mode: game.game_mode || null,
+    pick: pick !== null ? String(pick) : null,
+    result: values.length > 0 ? values.join('+') : null,
+    status,
+    token,
+    stake,
+    payout: settled ? (status === 'cancelled' ? stake : payout) : null,
+    jackpot,
+    net: settled ? fromBaseUnits(toBaseUnits(returned, token) - toBaseUnits(stake, token), token) : null,
+    houseFeePercent: game.house_fee_percent != null ? parseFloat(game.house_fee_percent) : null
+  };
+};
+
+/**
+ * A player's bet history and their CSV export. Everything is read from
+ * the bets and games rows GameManager writes and from the ledger.
+ */
+class HistoryManager {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  getPageSize() {
+    return parseInt(process.env.HISTORY_PAGE_SIZE || 5);
+  }
+
+  // One page of the player's bets, newest first. page starts at 0.
+  async getBets(userId, page = 0) {
+    const pageSize = this.getPageSize();
+    const from = page * pageSize;
+
+    const { data, count, error } = await this.storage.bets.listByUser(userId, { offset: from, limit: pageSize });
+
+    if (error) {
+      logger.error(`Error loading bet history for ${userId}: ${error.message}`);
+      return { error: 'Failed to load your history' };
+    }
+
+    return {
+      success: true,
+      bets: data.map(describeBet),
+      page,
+      pages: Math.max(1, Math.ceil((count || 0) / pageSize)),
+      total: count || 0
+    };
+  }
+
+  /**
+   * Two CSV documents: the player's bets, and every ledger entry in or
+   * out of their balance (signed, + credits their balance).
+   *
+   * @returns {{ bets: string, ledger: string, counts }|{ error }}
+   */
+  async exportCsv(userId) {
+    const account = ACCOUNTS.user(userId);
+
+    const { data: bets, error: betsError } = await this.storage.bets.listAllByUser(userId);
+    const { data: entries, error: entriesError } = await this.storage.ledger.listByAccount(account);
+
+    if (betsError || entriesError) {
+      logger.error(`Error exporting history for ${userId}: ${(betsError || entriesError).message}`);
+      return { error: 'Failed to export your history' };
+    }
+
+    const betRows = bets.map(describeBet).map(bet => ({
+      date: bet.date,
+      bet_id: bet.betId,
+      game_id: bet.gameId,
+      group: bet.group,
+      dice: bet.diceType,
+      mode: bet.mode,
+      pick: bet.pick,
+      result: bet.result,
+      status: bet.status,
+      token: bet.token,
+      stake: bet.stake,
+      payout: bet.payout,
+      jackpot: bet.jackpot,
+      net: bet.net,
+      house_fee_percent: bet.houseFeePercent
+    }));
+
+    const ledgerRows = entries.map(entry => ({
+      date: entry.created_at,
+      entry_id: entry.id,
+      type: entry.entry_type,
+      token: entry.token,
+      amount: entry.credit_account === account ? parseFloat(entry.amount) : -parseFloat(entry.amount),
+      game_id: entry.game_id,
+      bet_id: entry.bet_id,
+      reference: entry.reference
+    }));
+
+    return {
+      success: true,
+      bets: toCsv(BET_CSV_COLUMNS, betRows),
+      ledger: toCsv(LEDGER_CSV_COLUMNS, ledgerRows),
+      counts: { bets: betRows.length, entries: ledgerRows.length }
+    };
+  }
+}
+
+export default HistoryManager;
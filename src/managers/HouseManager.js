@@ -0,0 +1,274 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { ENTRY_TYPES, ACCOUNTS } from './LedgerManager.js';
+import { TOKENS, toBaseUnits, fromBaseUnits, roundAmount, getBalanceField } from '../lib/tokens.js';
+
+const REFUNDED = 'Your stake was refunded.';
+const REFUND_PENDING = 'Your stake is held and its refund will be retried.';
+
+/**
+ * Player-vs-house instant games: bet that a D100 roll lands under a
+ * target and get paid at fair odds minus the house edge.
+ *
+ * Stakes go into the bankroll ledger account and payouts come out of
+ * it. A bet's exposure is what the bankroll stands to lose on it
+ * (payout minus stake). No single bet may win more than
+ * HOUSE_MAX_PAYOUT_PERCENT of the bankroll, and bets in flight may not
+ * put more than HOUSE_MAX_EXPOSURE_PERCENT of it at risk together.
+ */
+class HouseManager {
+  constructor(ledger, gameManager, storage = getStorage()) {
+    this.storage = storage;
+    this.ledger = ledger;
+    this.gameManager = gameManager;
+    this.diceType = 'D100';
+    this.exposure = Object.fromEntries(Object.keys(TOKENS).map(token => [token, 0])); // base units
+  }
+
+  getEdgePercent() {
+    return parseFloat(process.env.HOUSE_EDGE_PERCENT || 1);
+  }
+
+  getRandomnessMethod() {
+    return process.env.HOUSE_RANDOMNESS || 'fair';
+  }
+
+  // Valid targets: roll under 2 (a 1) up to roll under 100 (1-99)
+  getTargetRange() {
+    const { min, max } = this.gameManager.getDiceConfig(this.diceType);
+    return { min: min + 1, max };
+  }
+
+  // Total return per unit staked, e.g. 1.98 for under 51 with a 1% edge
+  getMultiplier(target) {
+    const { min, max } = this.gameManager.getDiceConfig(this.diceType);
+    const winningFaces = target - min;
+    const faces = max - min + 1;
+    return (faces / winningFaces) * (1 - this.getEdgePercent() / 100);
+  }
+
+  // Largest net win the next bet may have, in base units
+  async getLimits(token) {
+    const bankroll = toBaseUnits(await this.ledger.getBalance(ACCOUNTS.BANKROLL, token), token);
+    const maxPayoutPercent = parseFloat(process.env.HOUSE_MAX_PAYOUT_PERCENT || 1);
+    const maxExposurePercent = parseFloat(process.env.HOUSE_MAX_EXPOSURE_PERCENT || 10);
+
+    const exposureRoom = Math.floor(bankroll * maxExposurePercent / 100) - this.exposure[token];
+
+    return {
+      bankroll,
+      maxNetWin: Math.max(0, Math.min(Math.floor(bankroll * maxPayoutPercent / 100), exposureRoom))
+    };
+  }
+
+  async placeBet(userId, amount, token, target) {
+    const range = this.getTargetRange();
+    if (!Number.isInteger(target) || target < range.min || target > range.max) {
+      return { error: `Target must be between ${range.min} and ${range.max}` };
+    }
+
+    amount = roundAmount(amount, token);
+    if (amount <= 0) {
+      return { error: 'Stake must be greater than 0' };
+    }
+
+    const multiplier = this.getMultiplier(target);
+    if (multiplier <= 1) {
+      return { error: `Under ${target} pays nothing after the house edge, pick a lower target` };
+    }
+
+    const stakeUnits = toBaseUnits(amount, token);
+    const payoutUnits = Math.floor(stakeUnits * multiplier);
+    const netWinUnits = payoutUnits - stakeUnits;
+
+    const provider = this.gameManager.randomness.get(this.getRandomnessMethod());
+    const diceConfig = this.gameManager.getDiceConfig(this.diceType);
+    if (!provider || !provider.supports(diceConfig)) {
+      return { error: 'House games are unavailable right now' };
+    }
+
+    const { data: wallet } = await this.storage.wallets.findByUserId(userId);
+
+    if (!wallet) {
+      return { error: 'Wallet not found! Use /start first.' };
+    }
+
+    const balance = parseFloat(wallet[getBalanceField(token)]);
+    if (balance < amount) {
+      return { error: `Insufficient ${token} balance. You have ${balance} ${token}` };
+    }
+
+    const { maxNetWin } = await this.getLimits(token);
+    if (netWinUnits > maxNetWin) {
+      const maxStake = fromBaseUnits(Math.floor(maxNetWin / (multiplier - 1)), token);
+      return { error: `Max stake for under ${target} is ${maxStake} ${token} right now` };
+    }
+
+    // Reserve the exposure in the same tick as the check so concurrent
+    // bets can't both squeeze under the limit
+    this.exposure[token] += netWinUnits;
+
+    try {
+      // Commit to the randomness before the bet exists
+      const commitment = await provider.commit();
+
+      const { data: bet, error } = await this.storage.houseBets.create({
+        user_id: userId,
+        token,
+        stake_amount: amount,
+        target,
+        multiplier,
+        potential_payout: fromBaseUnits(payoutUnits, token),
+        randomness_method: provider.name,
+        ...commitment,
+        status: 'open'
+      });
+
+      if (error) {
+        logger.error(`Error creating house bet: ${error.message}`);
+        return { error: 'Failed to place bet' };
+      }
+
+      const staked = await this.ledger.post([
+        this.ledger.entry(ENTRY_TYPES.STAKE, token, amount, ACCOUNTS.user(userId), ACCOUNTS.BANKROLL, {
+          userId,
+          reference: bet.id
+        })
+      ]);
+
+      if (staked.error) {
+        await this.updateBet(bet.id, { status: 'rejected' });
+        return { error: staked.code === 'insufficient_funds' ? `Insufficient ${token} balance` : 'Failed to place bet' };
+      }
+
+      return await this.settleBet(bet, provider, diceConfig);
+    } finally {
+      this.exposure[token] -= netWinUnits;
+    }
+  }
+
+  async settleBet(bet, provider, diceConfig) {
+    // Same shape as a group game, so every provider works unchanged
+    const gameData = {
+      gameId: bet.id,
+      serverSeed: bet.server_seed,
+      players: [{ betId: bet.id, userId: bet.user_id }]
+    };
+
+    let roll;
+    try {
+      roll = await provider.roll({ diceConfig, gameData, count: 1 });
+    } catch (error) {
+      logger.error(`Error rolling house bet ${bet.id}: ${error.message}`);
+      return { error: `Failed to get a random result. ${await this.refundBet(bet) ? REFUNDED : REFUND_PENDING}` };
+    }
+
+    const result = roll.values[0];
+    const won = result < bet.target;
+    const payout = won ? parseFloat(bet.potential_payout) : 0;
+
+    if (won) {
+      const paid = await this.ledger.post([
+        this.ledger.entry(ENTRY_TYPES.PAYOUT, bet.token, payout, ACCOUNTS.BANKROLL, ACCOUNTS.user(bet.user_id), {
+          userId: bet.user_id,
+          reference: bet.id
+        })
+      ]);
+
+      if (paid.error) {
+        logger.error(`Error paying house bet ${bet.id}: ${paid.error}`);
+        return { error: `Failed to pay out. ${await this.refundBet(bet) ? REFUNDED : REFUND_PENDING}` };
+      }
+    }
+
+    await this.updateBet(bet.id, {
+      status: won ? 'won' : 'lost',
+      dice_result: result,
+      payout,
+      client_seed: roll.proof?.clientSeed || null,
+      settled_at: new Date().toISOString()
+    });
+
+    logger.info(`🏠 House bet ${bet.id}: ${bet.stake_amount} ${bet.token} under ${bet.target}, rolled ${result}, ${won ? 'won' : 'lost'}`);
+
+    return { success: true, bet, result, won, payout, proof: roll.proof };
+  }
+
+  // A bet whose refund didn't post stays open, so recoverOpenBets retries
+  // it on the next start. Returns whether the stake is back with the player.
+  async refundBet(bet) {
+    const refunded = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.REFUND, bet.token, bet.stake_amount, ACCOUNTS.BANKROLL, ACCOUNTS.user(bet.user_id), {
+        userId: bet.user_id,
+        reference: bet.id
+      })
+    ]);
+
+    if (refunded.error && refunded.code !== 'duplicate_reference') {
+      logger.error(`Error refunding house bet ${bet.id}: ${refunded.error}`);
+      return false;
+    }
+
+    await this.updateBet(bet.id, { status: 'refunded', settled_at: new Date().toISOString() });
+    return true;
+  }
+
+  // Bets left open by a crash are refunded on startup
+  async recoverOpenBets() {
+    const { data: bets, error } = await this.storage.houseBets.listOpen();
+
+    if (error) {
+      logger.error(`Error loading open house bets: ${error.message}`);
+      return [];
+    }
+
+    for (const bet of bets) {
+      const { data: entries } = await this.storage.ledger.listByReference(bet.id);
+
+      const posted = new Set((entries || []).map(e => e.entry_type));
+
+      if (posted.has(ENTRY_TYPES.PAYOUT) || posted.has(ENTRY_TYPES.REFUND)) {
+        // Settled on the ledger, only the row update was lost
+        await this.updateBet(bet.id, {
+          status: posted.has(ENTRY_TYPES.PAYOUT) ? 'won' : 'refunded',
+          settled_at: new Date().toISOString()
+        });
+      } else if (posted.has(ENTRY_TYPES.STAKE)) {
+        await this.refundBet(bet);
+      } else {
+        await this.updateBet(bet.id, { status: 'rejected' });
+      }
+    }
+
+    return bets;
+  }
+
+  // Move collected house fees into the bankroll
+  async fundBankroll(amount, token) {
+    return this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.TRANSFER, token, amount, ACCOUNTS.HOUSE, ACCOUNTS.BANKROLL)
+    ]);
+  }
+
+  async getBankrollInfo() {
+    const info = {};
+    for (const token of Object.keys(TOKENS)) {
+      info[token] = {
+        bankroll: await this.ledger.getBalance(ACCOUNTS.BANKROLL, token),
+        houseFees: await this.ledger.getBalance(ACCOUNTS.HOUSE, token),
+        exposure: fromBaseUnits(this.exposure[token], token)
+      };
+    }
+    return info;
+  }
+
+  async updateBet(betId, fields) {
+    const { error } = await this.storage.houseBets.update(betId, fields);
+
+    if (error) {
+      logger.error(`Error updating house bet ${betId}: ${error.message}`);
+    }
+  }
+}
+
+export default HouseManager;
@@ -0,0 +1,81 @@
+import logger from '../lib/logger.js';
+import { ENTRY_TYPES, ACCOUNTS } from './LedgerManager.js';
+import { TOKENS, toBaseUnits, fromBaseUnits } from '../lib/tokens.js';
+import { splitEqually } from '../lib/settlement.js';
+
+/**
+ * Progressive jackpot. Every settled pot in a group with a jackpot share
+ * pays that share into a jackpot ledger account, one per group or a
+ * single global one (JACKPOT_SCOPE). The game mode decides what wins it,
+ * e.g. an exact hit on a D100; hitters split each token's jackpot equally.
+ */
+class JackpotManager {
+  constructor(ledger) {
+    this.ledger = ledger;
+  }
+
+  getScope() {
+    return process.env.JACKPOT_SCOPE === 'global' ? 'global' : 'group';
+  }
+
+  // Whether the jackpot share replaces part of the house fee
+  isFromFee() {
+    return process.env.JACKPOT_FROM_FEE === 'true';
+  }
+
+  getAccount(groupId) {
+    return ACCOUNTS.jackpot(this.getScope() === 'global' ? 'global' : groupId);
+  }
+
+  async getAmounts(groupId) {
+    const account = this.getAccount(groupId);
+    const amounts = {};
+    for (const token of Object.keys(TOKENS)) {
+      amounts[token] = await this.ledger.getBalance(account, token);
+    }
+    return amounts;
+  }
+
+  // Pay the jackpot to the players who hit it, per token. A global
+  // jackpot can be won in two groups at once; the loser of that race
+  // reads the balance again and gets whatever is left.
+  async award(groupId, gameId, hitters) {
+    const account = this.getAccount(groupId);
+    const wins = [];
+
+    for (const token of Object.keys(TOKENS)) {
+      const tokenHitters = hitters.filter(p => p.token === token);
+      if (tokenHitters.length === 0) continue;
+
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const units = toBaseUnits(await this.ledger.getBalance(account, token), token);
+        if (units === 0) break;
+
+        const shares = splitEqually(units, tokenHitters);
+        const posted = await this.ledger.post(shares.map(({ player, units: share }) =>
+          this.ledger.entry(ENTRY_TYPES.JACKPOT_WIN, token, fromBaseUnits(share, token), account, ACCOUNTS.user(player.userId), {
+            userId: player.userId,
+            gameId,
+            betId: player.betId,
+            reference: `${gameId}:${player.betId}`
+          })
+        ));
+
+        if (posted.success) {
+          wins.push(...shares.map(({ player, units: share }) => ({ ...player, jackpot: fromBaseUnits(share, token) })));
+          logger.info(`🏆 Jackpot of ${fromBaseUnits(units, token)} ${token} won in game ${gameId}`);
+          break;
+        }
+
+        if (posted.code !== 'insufficient_funds') {
+          logger.error(`Error paying jackpot for game ${gameId}: ${posted.error}`);
+          break;
+        }
+      }
+    }
+
+    return wins;
+  }
+}
+
+export default JackpotManager;
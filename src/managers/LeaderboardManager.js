@@ -0,0 +1,241 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { TOKENS, toBaseUnits, fromBaseUnits } from '../lib/tokens.js';
+import { parseCron, nextCronRun } from '../lib/cron.js';
+
+// Keys are used in callback data, so they must not contain underscores
+export const LEADERBOARD_RANKINGS = {
+  profit: { label: 'Net profit', emoji: '💰', perToken: true },
+  wins: { label: 'Wins', emoji: '🏆', perToken: false },
+  volume: { label: 'Volume wagered', emoji: '📈', perToken: true },
+  biggest: { label: 'Biggest win', emoji: '💥', perToken: true }
+};
+
+export const LEADERBOARD_WINDOWS = {
+  day: { label: 'Last 24 hours', ms: 24 * 60 * 60 * 1000 },
+  week: { label: 'Last 7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  month: { label: 'Last 30 days', ms: 30 * 24 * 60 * 60 * 1000 },
+  all: { label: 'All time', ms: null }
+};
+
+const ALIASES = {
+  profit: 'profit', net: 'profit', pnl: 'profit',
+  wins: 'wins', win: 'wins',
+  volume: 'volume', wagered: 'volume', vol: 'volume',
+  biggest: 'biggest', big: 'biggest', best: 'biggest',
+  day: 'day', daily: 'day', today: 'day', '24h': 'day',
+  week: 'week', weekly: 'week', '7d': 'week',
+  month: 'month', monthly: 'month', '30d': 'month',
+  all: 'all', alltime: 'all', 'all-time': 'all', ever: 'all'
+};
+
+const MAX_TIMER_MS = 24 * 24 * 60 * 60 * 1000; // setTimeout overflows past ~24.8 days
+
+/**
+ * Parse "/leaderboard [group|global] [profit|wins|volume|biggest]
+ * [day|week|month|all]" in any order.
+ *
+ * @returns {{ scope, ranking, window }|{ error }} unset parts are null
+ */
+export const parseLeaderboardArgs = (text) => {
+  const result = { scope: null, ranking: null, window: null };
+
+  for (const word of String(text ?? '').toLowerCase().split(/\s+/).filter(Boolean)) {
+    if (word === 'group' || word === 'global') {
+      result.scope = word;
+      continue;
+    }
+
+    const key = ALIASES[word];
+    if (LEADERBOARD_RANKINGS[key]) {
+      result.ranking = key;
+    } else if (LEADERBOARD_WINDOWS[key]) {
+      result.window = key;
+    } else {
+      return { error: `Unknown option "${word}"` };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Totals per player from settled bets. Amounts are in base units per
+ * token; a bet's net is what it paid back (winnings, refunds and any
+ * jackpot) minus its stake.
+ *
+ * @returns {Map} userId -> { userId, username, games, wins, tokens: { [token]: { staked, net, biggest } } }
+ */
+export const aggregateBets = (bets) => {
+  const players = new Map();
+
+  for (const bet of bets) {
+    if (!players.has(bet.user_id)) {
+      players.set(bet.user_id, {
+        userId: bet.user_id,
+        username: bet.users?.username || 'User',
+        games: 0,
+        wins: 0,
+        tokens: Object.fromEntries(Object.keys(TOKENS).map(token => [token, { staked: 0, net: 0, biggest: 0 }]))
+      });
+    }
+
+    const player = players.get(bet.user_id);
+    const totals = player.tokens[bet.token];
+    const staked = toBaseUnits(parseFloat(bet.stake_amount), bet.token);
+    const returned = toBaseUnits(parseFloat(bet.payout || 0) + parseFloat(bet.jackpot_payout || 0), bet.token);
+
+    player.games += 1;
+    totals.staked += staked;
+    totals.net += returned - staked;
+
+    if (bet.won) {
+      player.wins += 1;
+      totals.biggest = Math.max(totals.biggest, returned - staked);
+    }
+  }
+
+  return players;
+};
+
+/**
+ * Top players for one ranking. Amount rankings are per token and
+ * return values in token units; wins count every token.
+ *
+ * @returns {Array} [{ userId, username, value }]
+ */
+export const rankPlayers = (players, ranking, token = null, limit = 10) => {
+  const value = {
+    profit: (p) => p.tokens[token].net,
+    volume: (p) => p.tokens[token].staked,
+    biggest: (p) => p.tokens[token].biggest,
+    wins: (p) => p.wins
+  }[ranking];
+
+  return [...players.values()]
+    // Only players who actually played that token, or won anything
+    .filter(p => (LEADERBOARD_RANKINGS[ranking].perToken ? p.tokens[token].staked > 0 : p.wins > 0))
+    .filter(p => ranking !== 'biggest' || p.tokens[token].biggest > 0)
+    .sort((a, b) => value(b) - value(a) || a.games - b.games)
+    .slice(0, limit)
+    .map(p => ({
+      userId: p.userId,
+      username: p.username,
+      value: LEADERBOARD_RANKINGS[ranking].perToken ? fromBaseUnits(value(p), token) : value(p)
+    }));
+};
+
+/**
+ * Leaderboards computed from the bets of finished games, per group or
+ * across all groups, plus a weekly summary posted to every group that
+ * played that week (LEADERBOARD_SUMMARY_CRON, UTC).
+ */
+class LeaderboardManager {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.timer = null;
+    this.isRunning = false;
+  }
+
+  getSince(window, now = Date.now()) {
+    const { ms } = LEADERBOARD_WINDOWS[window];
+    return ms ? new Date(now - ms).toISOString() : null;
+  }
+
+  // Settled bets of finished games. Returns null on error.
+  async loadBets(groupId, window) {
+    const { data, error } = await this.storage.bets.listSettled({ groupId, since: this.getSince(window) });
+
+    if (error) {
+      logger.error(`Error loading bets for leaderboard: ${error.message}`);
+      return null;
+    }
+    return data;
+  }
+
+  // One board per token (a single one for wins) for each ranking asked
+  // for, from one read of the bets. groupId null = all groups.
+  async getLeaderboards(groupId, window, rankings, limit = 10) {
+    const bets = await this.loadBets(groupId, window);
+    if (!bets) {
+      return { error: 'Failed to load the leaderboard' };
+    }
+
+    const players = aggregateBets(bets);
+    const boards = Object.fromEntries(rankings.map(ranking => {
+      const tokens = LEADERBOARD_RANKINGS[ranking].perToken ? Object.keys(TOKENS) : [null];
+      return [ranking, tokens.map(token => ({ token, rows: rankPlayers(players, ranking, token, limit) }))];
+    }));
+
+    return {
+      success: true,
+      games: new Set(bets.map(bet => bet.games.id)).size,
+      players: players.size,
+      boards
+    };
+  }
+
+  async getLeaderboard(groupId, ranking, window, limit = 10) {
+    const result = await this.getLeaderboards(groupId, window, [ranking], limit);
+    return result.error ? result : { ...result, boards: result.boards[ranking] };
+  }
+
+  // Groups with a finished game since `since`
+  async getActiveGroups(since) {
+    const { data: games, error } = await this.storage.games.listFinishedSince(since);
+    if (error) {
+      logger.error(`Error loading active groups: ${error.message}`);
+    }
+
+    return [...new Set((games || []).map(game => Number(game.group_id)))];
+  }
+
+  startWeeklySummary(onSummary) {
+    const cron = parseCron(process.env.LEADERBOARD_SUMMARY_CRON || '0 18 * * 0');
+    if (cron.error) {
+      logger.error(`Invalid LEADERBOARD_SUMMARY_CRON: ${cron.error}`);
+      return;
+    }
+
+    const scheduleNext = (next = nextCronRun(cron, new Date())) => {
+      if (!next || !this.isRunning) return;
+
+      const delay = next.getTime() - Date.now();
+      if (delay > MAX_TIMER_MS) {
+        this.timer = setTimeout(() => scheduleNext(next), MAX_TIMER_MS);
+        return;
+      }
+
+      this.timer = setTimeout(async () => {
+        try {
+          const groups = await this.getActiveGroups(this.getSince('week'));
+          for (const groupId of groups) {
+            try {
+              await onSummary(groupId);
+            } catch (error) {
+              logger.error(`Error posting weekly summary to group ${groupId}: ${error.message}`);
+            }
+          }
+        } catch (error) {
+          logger.error(`Error loading groups for the weekly summary: ${error.message}`);
+        } finally {
+          scheduleNext();
+        }
+      }, delay);
+    };
+
+    this.isRunning = true;
+    scheduleNext();
+    logger.info('📊 Weekly leaderboard summary scheduled');
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default LeaderboardManager;
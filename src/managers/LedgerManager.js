@@ -0,0 +1,122 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { TOKENS, toBaseUnits, fromBaseUnits, roundAmount } from '../lib/tokens.js';
+
+// Every balance change is one of these
+export const ENTRY_TYPES = {
+  DEPOSIT: 'deposit',
+  STAKE: 'stake',
+  PAYOUT: 'payout',
+  REFUND: 'refund',
+  HOUSE_FEE: 'house_fee',
+  WITHDRAWAL: 'withdrawal',
+  NETWORK_FEE: 'network_fee', // SOL a withdrawal paid the network
+  TRANSFER: 'transfer', // Between the house's own accounts
+  SEED: 'seed', // Guaranteed starting pot put into a game by an admin
+  JACKPOT: 'jackpot', // A game's contribution to the progressive jackpot
+  JACKPOT_WIN: 'jackpot_win'
+};
+
+// Ledger account names. Funds always leave the debit account and
+// enter the credit account, so every account sums to its balance.
+export const ACCOUNTS = {
+  user: (userId) => `user:${userId}`,
+  game: (gameId) => `game:${gameId}`,
+  HOUSE: 'house',
+  jackpot: (scope) => `jackpot:${scope}`, // A group id, or 'global'
+  BANKROLL: 'bankroll', // Backs player-vs-house bets
+  EXTERNAL: 'external' // The chain, source of deposits and sink of withdrawals
+};
+
+class LedgerManager {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+  }
+
+  // Build an entry without posting it
+  entry(type, token, amount, debitAccount, creditAccount, refs = {}) {
+    if (!TOKENS[token]) {
+      throw new Error(`Unknown token ${token}`);
+    }
+
+    return {
+      entry_type: type,
+      token,
+      amount: roundAmount(amount, token),
+      debit_account: debitAccount,
+      credit_account: creditAccount,
+      user_id: refs.userId || null,
+      game_id: refs.gameId || null,
+      bet_id: refs.betId || null,
+      reference: refs.reference || null
+    };
+  }
+
+  // Post entries atomically: either all are applied or none are.
+  // Balances are updated in the same transaction by post_ledger_entries.
+  async post(entries) {
+    const postable = entries.filter(e => e.amount > 0);
+    if (postable.length === 0) {
+      return { success: true, entries: [] };
+    }
+
+    const { data, error } = await this.storage.ledger.post(postable);
+
+    if (error) {
+      if (error.message?.includes('insufficient_funds')) {
+        return { error: 'Insufficient balance', code: 'insufficient_funds' };
+      }
+      if (error.message?.includes('duplicate_reference')) {
+        return { error: 'Entry already recorded', code: 'duplicate_reference' };
+      }
+
+      logger.error(`Error posting ledger entries: ${error.message}`);
+      return { error: 'Failed to update balances' };
+    }
+
+    return { success: true, entries: data };
+  }
+
+  // Move a player's stake into the game's pot
+  async stake(userId, gameId, betId, amount, token) {
+    return this.post([
+      this.entry(ENTRY_TYPES.STAKE, token, amount, ACCOUNTS.user(userId), ACCOUNTS.game(gameId), { userId, gameId, betId })
+    ]);
+  }
+
+  // Current balance of an account in one token
+  async getBalance(account, token) {
+    const { data } = await this.storage.ledger.getBalance(account, token);
+    return data || 0;
+  }
+
+  // Net amount per token still held by a game's account.
+  // A settled or cancelled game reconciles to exactly zero.
+  async reconcileGame(gameId) {
+    const account = ACCOUNTS.game(gameId);
+
+    const { data: entries, error } = await this.storage.ledger.listByAccount(account);
+
+    if (error) {
+      logger.error(`Error reconciling game ${gameId}: ${error.message}`);
+      return null;
+    }
+
+    const units = Object.fromEntries(Object.keys(TOKENS).map(token => [token, 0]));
+    for (const entry of entries) {
+      const amount = toBaseUnits(entry.amount, entry.token);
+      units[entry.token] += entry.credit_account === account ? amount : -amount;
+    }
+
+    const held = Object.fromEntries(
+      Object.entries(units).map(([token, value]) => [token, fromBaseUnits(value, token)])
+    );
+
+    return {
+      held,
+      balanced: Object.values(units).every(value => value === 0)
+    };
+  }
+}
+
+export default LedgerManager;
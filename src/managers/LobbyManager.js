@@ -0,0 +1,189 @@
+import logger from '../lib/logger.js';
+import { formatAmount } from '../lib/tokens.js';
+import { PAYOUT_POLICIES } from '../lib/settlement.js';
+import { escapeMarkdown } from '../lib/markdown.js';
+
+/**
+ * One pinned lobby message per game, edited in place as players join,
+ * leave or change their bets, and every LOBBY_TICK_SECONDS for the
+ * countdown. Edits are throttled to one per LOBBY_MIN_EDIT_SECONDS per
+ * chat so busy games stay under Telegram's rate limits; requests in
+ * between are coalesced into the next allowed edit.
+ */
+class LobbyManager {
+  constructor(gameManager) {
+    this.gameManager = gameManager;
+    this.bot = null;
+    this.lobbies = new Map(); // chatId -> { messageId, gameData, lastEditAt, pending, ticker }
+  }
+
+  setBot(bot) {
+    this.bot = bot;
+  }
+
+  getMinEditMs() {
+    return parseFloat(process.env.LOBBY_MIN_EDIT_SECONDS || 3) * 1000;
+  }
+
+  getTickMs() {
+    return parseFloat(process.env.LOBBY_TICK_SECONDS || 10) * 1000;
+  }
+
+  // Turn a message into the lobby of the chat's active game
+  async open(chatId, messageId) {
+    const gameData = this.gameManager.getActiveGame(chatId);
+    if (!gameData) return;
+
+    this.stop(chatId);
+
+    const lobby = { messageId, gameData, lastEditAt: 0, pending: null, ticker: null };
+    lobby.ticker = setInterval(() => this.refresh(chatId), this.getTickMs());
+    this.lobbies.set(chatId, lobby);
+
+    if (gameData.lobbyMessageId !== messageId) {
+      await this.gameManager.setLobbyMessage(chatId, messageId);
+    }
+
+    // Pinning needs admin rights; the lobby works without it
+    await this.bot.pinChatMessage(chatId, messageId, { disable_notification: true }).catch(error => {
+      logger.warn(`Could not pin lobby in ${chatId}: ${error.message}`);
+    });
+
+    await this.edit(chatId);
+  }
+
+  isLobbyMessage(chatId, messageId) {
+    return this.lobbies.get(chatId)?.messageId === messageId;
+  }
+
+  // Ask for a redraw; runs now or as soon as the throttle allows
+  refresh(chatId) {
+    const lobby = this.lobbies.get(chatId);
+    if (!lobby || lobby.pending) return;
+
+    const wait = lobby.lastEditAt + this.getMinEditMs() - Date.now();
+    if (wait <= 0) {
+      this.redraw(chatId);
+      return;
+    }
+
+    lobby.pending = setTimeout(() => {
+      lobby.pending = null;
+      this.redraw(chatId);
+    }, wait);
+  }
+
+  // Refreshes come from timers and handlers that don't wait for them, so
+  // a failed edit is logged here rather than left unhandled
+  redraw(chatId) {
+    this.edit(chatId).catch(error => logger.error(`Error updating lobby in ${chatId}: ${error.stack || error.message}`));
+  }
+
+  // Final redraw without buttons once the game has rolled or been cancelled
+  async close(chatId, footer) {
+    const lobby = this.lobbies.get(chatId);
+    if (!lobby) return;
+
+    this.stop(chatId);
+
+    await this.bot.editMessageText(this.render(lobby.gameData, footer), {
+      chat_id: chatId,
+      message_id: lobby.messageId,
+      parse_mode: 'Markdown'
+    }).catch(error => logger.warn(`Could not close lobby in ${chatId}: ${error.message}`));
+
+    await this.bot.unpinChatMessage(chatId, { message_id: lobby.messageId }).catch(() => {});
+  }
+
+  stop(chatId) {
+    const lobby = this.lobbies.get(chatId);
+    if (!lobby) return;
+
+    clearInterval(lobby.ticker);
+    clearTimeout(lobby.pending);
+    this.lobbies.delete(chatId);
+  }
+
+  stopAll() {
+    for (const chatId of [...this.lobbies.keys()]) {
+      this.stop(chatId);
+    }
+  }
+
+  async edit(chatId) {
+    const lobby = this.lobbies.get(chatId);
+    if (!lobby) return;
+
+    lobby.lastEditAt = Date.now();
+
+    try {
+      await this.bot.editMessageText(this.render(lobby.gameData), {
+        chat_id: chatId,
+        message_id: lobby.messageId,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: this.keyboard() }
+      });
+    } catch (error) {
+      const retryAfter = error.response?.body?.parameters?.retry_after;
+      if (retryAfter) {
+        // Hold further edits until Telegram lets us back in
+        lobby.lastEditAt = Date.now() + retryAfter * 1000;
+        this.refresh(chatId);
+      } else if (!error.message.includes('message is not modified')) {
+        logger.warn(`Could not update lobby in ${chatId}: ${error.message}`);
+      }
+    }
+  }
+
+  keyboard() {
+    return [
+      [
+        { text: '🎯 Join', callback_data: 'lobby_join' },
+        { text: '🔁 Join with last bet', callback_data: 'lobby_rejoin' }
+      ],
+      [
+        { text: '🚪 Leave', callback_data: 'lobby_leave' },
+        { text: '🎲 Roll now', callback_data: 'lobby_roll' }
+      ]
+    ];
+  }
+
+  render(gameData, footer = null) {
+    const { mode } = gameData;
+    const policy = PAYOUT_POLICIES[gameData.payoutPolicy];
+
+    const players = gameData.players.map(player =>
+      `• ${escapeMarkdown(player.username)}: ${formatAmount(player.amount, player.token)}` +
+      (mode.pickUsage ? ` on ${escapeMarkdown(mode.describePick(player, gameData))}` : '')
+    );
+
+    const pot = Object.entries(gameData.pot)
+      .filter(([, amount]) => amount > 0)
+      .map(([token, amount]) => formatAmount(amount, token));
+
+    let status = footer;
+    if (!status) {
+      const secondsLeft = Math.max(0, Math.ceil((gameData.startedAt + gameData.countdownSeconds * 1000 - Date.now()) / 1000));
+      status = this.gameManager.isBetLocked(gameData)
+        ? `🔒 Bets locked, rolling in ${secondsLeft}s`
+        : `⏱ Rolling in ${secondsLeft}s`;
+    }
+
+    return (
+      `🎲 **Game Lobby**\n\n` +
+      `${mode.emoji} ${mode.label} · 📊 ${gameData.diceType} · ${policy.emoji} ${policy.label}\n` +
+      `🔐 Randomness: ${gameData.randomnessMethod}\n` +
+      (gameData.serverSeedHash ? `#️⃣ Seed hash: \`${gameData.serverSeedHash}\`\n` : '') +
+      `\n${mode.description}\n` +
+      `\n👥 **Players (${gameData.players.length}):**\n` +
+      (players.length > 0 ? players.join('\n') : '_Nobody yet_') +
+      `\n\n💰 Pot: ${pot.length > 0 ? pot.join(' + ') : '0'}\n` +
+      (gameData.seed ? `🎁 Starting pot: +${formatAmount(gameData.seed.amount, gameData.seed.token)}\n` : '') +
+      (gameData.fixedStake ? `🎟 Entry: exactly ${formatAmount(gameData.fixedStake.amount, gameData.fixedStake.token)}\n` : '') +
+      `${status}\n\n` +
+      (footer ? '' : `Join: /dice <amount> <SOL|USDC> ${mode.pickUsage}`)
+    ).trim();
+  }
+}
+
+export default LobbyManager;
@@ -0,0 +1,260 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { TOKENS, roundAmount } from '../lib/tokens.js';
+import { PAYOUT_POLICIES } from '../lib/settlement.js';
+import { parseCron, nextCronRun } from '../lib/cron.js';
+import { getMode } from '../modes/index.js';
+import { DICE_TYPES } from './SettingsManager.js';
+
+const TOKEN_NAMES = Object.keys(TOKENS);
+
+/**
+ * Parse the arguments of /schedule:
+ *   at <YYYY-MM-DD> <HH:MM> <dice> <mode> [options]
+ *   cron <min> <hour> <day> <month> <weekday> <dice> <mode> [options]
+ * Options: stake <amount> <token>, pot <amount> <token>, policy <name>.
+ * Times are UTC.
+ *
+ * @returns {Object} schedule fields, or { error }
+ */
+export const parseScheduleArgs = (text, now = new Date()) => {
+  const parts = String(text ?? '').trim().split(/\s+/).filter(Boolean);
+  const kind = parts.shift()?.toLowerCase();
+
+  const schedule = { payoutPolicy: 'equal', fixedStake: null, pot: null };
+
+  if (kind === 'at') {
+    const [date, time] = parts.splice(0, 2);
+    const runAt = new Date(`${date}T${time}:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date ?? '') || !/^\d{1,2}:\d{2}$/.test(time ?? '') || isNaN(runAt)) {
+      return { error: 'Give the start as YYYY-MM-DD HH:MM (UTC)' };
+    }
+    if (runAt <= now) {
+      return { error: 'That time has already passed' };
+    }
+    schedule.kind = 'once';
+    schedule.nextRunAt = runAt;
+  } else if (kind === 'cron') {
+    const expression = parts.splice(0, 5).join(' ');
+    const cron = parseCron(expression);
+    if (cron.error) return cron;
+
+    schedule.kind = 'cron';
+    schedule.cron = expression;
+    schedule.nextRunAt = nextCronRun(cron, now);
+    if (!schedule.nextRunAt) {
+      return { error: 'That cron expression never runs' };
+    }
+  } else {
+    return { error: 'Start with "at" for a one-off game or "cron" for a recurring one' };
+  }
+
+  const [diceType, modeId] = parts.splice(0, 2).map(part => part ?? '');
+  schedule.diceType = diceType.toUpperCase();
+  if (!DICE_TYPES.includes(schedule.diceType)) {
+    return { error: `Unknown dice "${diceType}", use ${DICE_TYPES.join(', ')}` };
+  }
+
+  const mode = getMode(modeId.toLowerCase());
+  if (!mode) {
+    return { error: `Unknown mode "${modeId}"` };
+  }
+  if (!mode.diceTypes.includes(schedule.diceType)) {
+    return { error: `${mode.label} can't be played with ${schedule.diceType}` };
+  }
+  schedule.gameMode = mode.id;
+
+  while (parts.length > 0) {
+    const option = parts.shift().toLowerCase();
+
+    if (option === 'stake' || option === 'pot') {
+      const [amountText, tokenText] = parts.splice(0, 2);
+      const amount = parseFloat(amountText);
+      const token = TOKEN_NAMES.find(name => name === tokenText?.toUpperCase());
+      if (!(amount > 0) || !token) {
+        return { error: `Write ${option} as "${option} <amount> <${TOKEN_NAMES.join('|')}>"` };
+      }
+      const value = { amount: roundAmount(amount, token), token };
+      if (option === 'stake') schedule.fixedStake = value;
+      else schedule.pot = value;
+    } else if (option === 'policy') {
+      const policy = parts.shift()?.toLowerCase();
+      if (!Object.hasOwn(PAYOUT_POLICIES, policy ?? '')) {
+        return { error: `Unknown payout policy, use ${Object.keys(PAYOUT_POLICIES).join(', ')}` };
+      }
+      schedule.payoutPolicy = policy;
+    } else {
+      return { error: `Unknown option "${option}"` };
+    }
+  }
+
+  return schedule;
+};
+
+/**
+ * Scheduled and recurring games. Schedules live in game_schedules and
+ * are polled every SCHEDULE_POLL_SECONDS, so they survive restarts.
+ * Each run is claimed by moving next_run_at forward before the game
+ * starts, so a run happens at most once even with two bot processes.
+ */
+class ScheduleManager {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.timer = null;
+    this.isTicking = false;
+  }
+
+  start(handlers, intervalSeconds = parseInt(process.env.SCHEDULE_POLL_SECONDS || 30)) {
+    this.handlers = handlers; // { onReminder(schedule), onDue(schedule) }
+    this.timer = setInterval(() => this.tick(), intervalSeconds * 1000);
+    this.tick();
+
+    logger.info(`⏰ Game scheduler started (every ${intervalSeconds}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  getReminderMs() {
+    return parseFloat(process.env.SCHEDULE_REMINDER_MINUTES || 5) * 60 * 1000;
+  }
+
+  // Runs missed by more than this (the bot was down) are skipped
+  getGraceMs() {
+    return parseFloat(process.env.SCHEDULE_GRACE_MINUTES || 10) * 60 * 1000;
+  }
+
+  async tick() {
+    if (this.isTicking) return;
+    this.isTicking = true;
+
+    try {
+      const now = Date.now();
+      const { data: schedules, error } = await this.storage.schedules.listDue(new Date(now + this.getReminderMs()).toISOString());
+
+      if (error) {
+        logger.error(`Error loading game schedules: ${error.message}`);
+        return;
+      }
+
+      for (const schedule of schedules) {
+        try {
+          await this.process(schedule, now);
+        } catch (error) {
+          logger.error(`Error running schedule ${schedule.id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error loading game schedules: ${error.message}`);
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  async process(schedule, now) {
+    const runAt = new Date(schedule.next_run_at).getTime();
+
+    if (runAt > now) {
+      if (schedule.reminded_for !== schedule.next_run_at) {
+        await this.update(schedule.id, { reminded_for: schedule.next_run_at });
+        await this.handlers.onReminder(schedule);
+      }
+      return;
+    }
+
+    const claimed = await this.advance(schedule, now);
+    if (!claimed) return;
+
+    if (now - runAt > this.getGraceMs()) {
+      logger.warn(`⏰ Skipped schedule ${schedule.id} run at ${schedule.next_run_at}, it was missed`);
+      return;
+    }
+
+    await this.handlers.onDue(schedule);
+  }
+
+  // Move a schedule to its next run (or retire a one-off) if nobody else has
+  async advance(schedule, now) {
+    const next = schedule.cron ? nextCronRun(parseCron(schedule.cron), new Date(now)) : null;
+
+    const { data, error } = await this.storage.schedules.advance(schedule.id, schedule.next_run_at, next
+      ? { next_run_at: next.toISOString(), reminded_for: null, last_run_at: new Date(now).toISOString() }
+      : { active: false, last_run_at: new Date(now).toISOString() });
+
+    if (error) {
+      logger.error(`Error advancing schedule ${schedule.id}: ${error.message}`);
+      return false;
+    }
+
+    return data.length > 0;
+  }
+
+  async create(groupId, groupName, createdBy, funderUserId, schedule) {
+    const { data, error } = await this.storage.schedules.create({
+      group_id: groupId,
+      group_name: groupName,
+      created_by: createdBy,
+      funder_user_id: schedule.pot ? funderUserId : null,
+      kind: schedule.kind,
+      cron: schedule.cron || null,
+      next_run_at: schedule.nextRunAt.toISOString(),
+      dice_type: schedule.diceType,
+      game_mode: schedule.gameMode,
+      payout_policy: schedule.payoutPolicy,
+      stake_amount: schedule.fixedStake?.amount ?? null,
+      stake_token: schedule.fixedStake?.token ?? null,
+      pot_amount: schedule.pot?.amount ?? null,
+      pot_token: schedule.pot?.token ?? null,
+      active: true
+    });
+
+    if (error) {
+      logger.error(`Error creating schedule in ${groupId}: ${error.message}`);
+      return { error: 'Failed to save the schedule' };
+    }
+
+    logger.info(`⏰ Schedule ${data.id} created in group ${groupId} (${schedule.cron || schedule.nextRunAt.toISOString()})`);
+
+    return { success: true, schedule: data };
+  }
+
+  async list(groupId) {
+    const { data, error } = await this.storage.schedules.listActiveByGroup(groupId);
+
+    if (error) {
+      logger.error(`Error listing schedules in ${groupId}: ${error.message}`);
+      return [];
+    }
+
+    return data;
+  }
+
+  // Schedules are referred to by the first characters of their id
+  async cancel(groupId, idPrefix) {
+    const matches = (await this.list(groupId)).filter(schedule => schedule.id.startsWith(idPrefix.toLowerCase()));
+
+    if (matches.length === 0) {
+      return { error: 'No active schedule with that id in this group' };
+    }
+    if (matches.length > 1) {
+      return { error: 'More than one schedule matches, use more of the id' };
+    }
+
+    await this.update(matches[0].id, { active: false });
+    return { success: true, schedule: matches[0] };
+  }
+
+  async update(scheduleId, fields) {
+    const { error } = await this.storage.schedules.update(scheduleId, fields);
+
+    if (error) {
+      logger.error(`Error updating schedule ${scheduleId}: ${error.message}`);
+    }
+  }
+}
+
+export default ScheduleManager;
@@ -0,0 +1,197 @@
+import { getStorage } from '../storage/index.js';
+import logger from '../lib/logger.js';
+import { TOKENS } from '../lib/tokens.js';
+
+export const DICE_TYPES = ['D6', 'D10', 'D20', 'D100', '2D6'];
+
+// Choices offered by the /settings menu
+export const SETTING_OPTIONS = {
+  countdownSeconds: [15, 30, 60, 120, 300],
+  maxPlayers: [0, 2, 5, 10, 20, 50], // 0 = no limit
+  jackpotPercent: [0, 0.5, 1, 2, 5], // 0 = no jackpot
+  stakes: {
+    SOL: [0.001, 0.01, 0.1, 1, 10, 100],
+    USDC: [0.1, 1, 10, 100, 1000, 10000]
+  }
+};
+
+// Groups without a group_settings row play by the env defaults
+const defaultSettings = () => ({
+  countdownSeconds: parseInt(process.env.GAME_COUNTDOWN_SECONDS || 30),
+  houseFeePercent: parseFloat(process.env.HOUSE_FEE_PERCENT || 2),
+  stakeLimits: {
+    SOL: {
+      min: parseFloat(process.env.MIN_STAKE_SOL || 0.01),
+      max: parseFloat(process.env.MAX_STAKE_SOL || 10)
+    },
+    USDC: {
+      min: parseFloat(process.env.MIN_STAKE_USDC || 1),
+      max: parseFloat(process.env.MAX_STAKE_USDC || 1000)
+    }
+  },
+  allowedTokens: Object.keys(TOKENS),
+  allowedDice: [...DICE_TYPES],
+  maxPlayers: 0,
+  anyoneCanStart: true,
+  jackpotPercent: parseFloat(process.env.JACKPOT_PERCENT || 0)
+});
+
+const fromRow = (row) => {
+  const settings = defaultSettings();
+  if (!row) return settings;
+
+  return {
+    countdownSeconds: row.countdown_seconds ?? settings.countdownSeconds,
+    houseFeePercent: row.house_fee_percent != null ? parseFloat(row.house_fee_percent) : settings.houseFeePercent,
+    stakeLimits: {
+      SOL: {
+        min: row.min_stake_sol != null ? parseFloat(row.min_stake_sol) : settings.stakeLimits.SOL.min,
+        max: row.max_stake_sol != null ? parseFloat(row.max_stake_sol) : settings.stakeLimits.SOL.max
+      },
+      USDC: {
+        min: row.min_stake_usdc != null ? parseFloat(row.min_stake_usdc) : settings.stakeLimits.USDC.min,
+        max: row.max_stake_usdc != null ? parseFloat(row.max_stake_usdc) : settings.stakeLimits.USDC.max
+      }
+    },
+    allowedTokens: row.allowed_tokens ?? settings.allowedTokens,
+    allowedDice: row.allowed_dice ?? settings.allowedDice,
+    maxPlayers: row.max_players ?? settings.maxPlayers,
+    anyoneCanStart: row.anyone_can_start ?? settings.anyoneCanStart,
+    jackpotPercent: row.jackpot_percent != null ? parseFloat(row.jackpot_percent) : settings.jackpotPercent
+  };
+};
+
+const toRow = (settings) => ({
+  countdown_seconds: settings.countdownSeconds,
+  house_fee_percent: settings.houseFeePercent,
+  min_stake_sol: settings.stakeLimits.SOL.min,
+  max_stake_sol: settings.stakeLimits.SOL.max,
+  min_stake_usdc: settings.stakeLimits.USDC.min,
+  max_stake_usdc: settings.stakeLimits.USDC.max,
+  allowed_tokens: settings.allowedTokens,
+  allowed_dice: settings.allowedDice,
+  max_players: settings.maxPlayers,
+  anyone_can_start: settings.anyoneCanStart,
+  jackpot_percent: settings.jackpotPercent
+});
+
+/**
+ * Per-group game settings, edited by group admins through /settings.
+ * Settings are cached after the first read; every write goes through
+ * this manager so the cache stays current.
+ */
+class SettingsManager {
+  constructor(storage = getStorage()) {
+    this.storage = storage;
+    this.cache = new Map(); // groupId -> settings
+  }
+
+  async get(groupId) {
+    if (this.cache.has(groupId)) {
+      return this.cache.get(groupId);
+    }
+
+    const { data: row, error } = await this.storage.settings.findByGroupId(groupId);
+
+    if (error) {
+      // Fall back to defaults without caching them, the next read retries
+      logger.error(`Error loading settings for group ${groupId}: ${error.message}`);
+      return defaultSettings();
+    }
+
+    const settings = fromRow(row);
+    this.cache.set(groupId, settings);
+    return settings;
+  }
+
+  // Apply a change from the menu. Returns the new settings or { error }.
+  async update(groupId, change) {
+    const current = await this.get(groupId);
+    const settings = structuredClone(current);
+
+    switch (change.type) {
+      case 'countdown':
+        if (!SETTING_OPTIONS.countdownSeconds.includes(change.value)) {
+          return { error: 'Unsupported countdown' };
+        }
+        settings.countdownSeconds = change.value;
+        break;
+
+      case 'maxplayers':
+        if (!SETTING_OPTIONS.maxPlayers.includes(change.value)) {
+          return { error: 'Unsupported player limit' };
+        }
+        settings.maxPlayers = change.value;
+        break;
+
+      case 'token': {
+        if (!Object.hasOwn(TOKENS, change.value)) {
+          return { error: 'Unknown token' };
+        }
+        const allowed = settings.allowedTokens.includes(change.value)
+          ? settings.allowedTokens.filter(token => token !== change.value)
+          : [...settings.allowedTokens, change.value];
+        if (allowed.length === 0) {
+          return { error: 'At least one token must stay enabled' };
+        }
+        settings.allowedTokens = allowed;
+        break;
+      }
+
+      case 'dice': {
+        if (!DICE_TYPES.includes(change.value)) {
+          return { error: 'Unknown dice type' };
+        }
+        const allowed = settings.allowedDice.includes(change.value)
+          ? settings.allowedDice.filter(dice => dice !== change.value)
+          : [...settings.allowedDice, change.value];
+        if (allowed.length === 0) {
+          return { error: 'At least one dice type must stay enabled' };
+        }
+        settings.allowedDice = DICE_TYPES.filter(dice => allowed.includes(dice));
+        break;
+      }
+
+      case 'min':
+      case 'max': {
+        if (!Object.hasOwn(TOKENS, change.token) || !SETTING_OPTIONS.stakes[change.token].includes(change.value)) {
+          return { error: 'Unsupported stake limit' };
+        }
+        const limits = settings.stakeLimits[change.token];
+        limits[change.type] = change.value;
+        if (limits.min > limits.max) {
+          return { error: 'Minimum stake can\'t be above the maximum' };
+        }
+        break;
+      }
+
+      case 'jackpot':
+        if (!SETTING_OPTIONS.jackpotPercent.includes(change.value)) {
+          return { error: 'Unsupported jackpot share' };
+        }
+        settings.jackpotPercent = change.value;
+        break;
+
+      case 'anyone':
+        settings.anyoneCanStart = !settings.anyoneCanStart;
+        break;
+
+      default:
+        return { error: 'Unknown setting' };
+    }
+
+    const { error } = await this.storage.settings.upsert({ group_id: groupId, ...toRow(settings), updated_at: new Date().toISOString() });
+
+    if (error) {
+      logger.error(`Error saving settings for group ${groupId}: ${error.message}`);
+      return { error: 'Failed to save settings' };
+    }
+
+    this.cache.set(groupId, settings);
+    logger.info(`⚙️ Settings for group ${groupId} updated: ${change.type}`);
+
+    return { success: true, settings };
+  }
+}
+
+export default SettingsManager;
@@ -1,21 +1,26 @@
-import { Connection, PublicKey, LAMPORTS_PER_SOL, Transaction, SystemProgram } from '@solana/web3.js';
-import { getAssociatedTokenAddress, createAssociatedTokenAccountInstruction, getAccount, TOKEN_PROGRAM_ID } from '@solana/spl-token';
-import supabase from '../lib/supabase.js';
-import { authenticatedSolanaClient, ThresholdSignatureScheme } from '../lib/dynamic.js';
+import { getStorage } from '../storage/index.js';
+import { createChain } from '../chain/index.js';
+import { ThresholdSignatureScheme } from '../lib/dynamic.js';
+import logger from '../lib/logger.js';
+import LedgerManager, { ENTRY_TYPES, ACCOUNTS } from './LedgerManager.js';
+import { getBalanceField, toBaseUnits, fromBaseUnits, roundAmount } from '../lib/tokens.js';
+import { randomUUID } from 'crypto';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
 class WalletManager {
-  constructor() {
-    this.solanaConnection = new Connection(process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com');
-    this.usdcMintAddress = new PublicKey(process.env.USDC_MINT_ADDRESS || '4zMMC9srt5Ri5X14GAgXhaHii3GnPAEERYPJgZJDncDU');
+  constructor(ledger = new LedgerManager(), storage = getStorage(), chain = createChain()) {
+    this.ledger = ledger;
+    this.storage = storage;
+    this.chain = chain;
     this.solanaClient = null;
+    this.houseWallet = null;
   }
 
   async initializeDynamicClient() {
     if (!this.solanaClient) {
-      this.solanaClient = await authenticatedSolanaClient();
+      this.solanaClient = await this.chain.createWalletClient();
     }
   }
 
@@ -25,14 +30,14 @@ class WalletManager {
     // Create Solana wallet via Dynamic.xyz
     const solanaWallet = await this.solanaClient.createWalletAccount({
       thresholdSignatureScheme: ThresholdSignatureScheme.TWO_OF_TWO,
-      password: `user_${userId}_solana_${telegramId}`,
+      password: this.getWalletPassword(userId, telegramId),
       onError: (error) => {
         console.error("Solana wallet creation error:", error);
       },
       backUpToClientShareService: true,
     });
 
-    // Store wallet address and Dynamic ID in Supabase
+    // Store wallet address and Dynamic ID
     await this.storeWallet(userId, solanaWallet);
 
     return {
@@ -42,17 +47,70 @@ class WalletManager {
     };
   }
 
-  async storeWallet(userId, solanaWallet) {
-    const { error } = await supabase
-      .from('wallets')
-      .insert({
-        user_id: userId,
-        chain: 'solana',
-        address: solanaWallet.accountAddress,
-        dynamic_wallet_id: solanaWallet.accountId || solanaWallet.accountAddress,
-        sol_balance: 0,
-        usdc_balance: 0
+  // Password protecting the user's Dynamic key share backup
+  getWalletPassword(userId, telegramId) {
+    return `user_${userId}_solana_${telegramId}`;
+  }
+
+  getHouseWalletPassword() {
+    if (!process.env.HOUSE_WALLET_PASSWORD) {
+      throw new Error('HOUSE_WALLET_PASSWORD is not set');
+    }
+    return process.env.HOUSE_WALLET_PASSWORD;
+  }
+
+  // The wallet deposits are swept into and withdrawals are paid from,
+  // created on first use
+  getHouseWallet() {
+    if (!this.houseWallet) {
+      this.houseWallet = this.loadHouseWallet().catch((error) => {
+        this.houseWallet = null;
+        throw error;
       });
+    }
+    return this.houseWallet;
+  }
+
+  async loadHouseWallet() {
+    const { data: existing, error } = await this.storage.houseWallets.find('solana');
+    if (error) {
+      throw new Error(`Failed to load the house wallet: ${error.message}`);
+    }
+    if (existing) return existing;
+
+    await this.initializeDynamicClient();
+
+    const solanaWallet = await this.solanaClient.createWalletAccount({
+      thresholdSignatureScheme: ThresholdSignatureScheme.TWO_OF_TWO,
+      password: this.getHouseWalletPassword(),
+      onError: (error) => {
+        console.error("House wallet creation error:", error);
+      },
+      backUpToClientShareService: true,
+    });
+
+    const { data: created, error: createError } = await this.storage.houseWallets.create({
+      chain: 'solana',
+      address: solanaWallet.accountAddress,
+      dynamic_wallet_id: solanaWallet.accountId || solanaWallet.accountAddress
+    });
+    if (createError) {
+      throw new Error(`Failed to store the house wallet: ${createError.message}`);
+    }
+
+    logger.info(`🏦 Created the house wallet ${created.address}`);
+    return created;
+  }
+
+  async storeWallet(userId, solanaWallet) {
+    const { error } = await this.storage.wallets.create({
+      user_id: userId,
+      chain: 'solana',
+      address: solanaWallet.accountAddress,
+      dynamic_wallet_id: solanaWallet.accountId || solanaWallet.accountAddress,
+      sol_balance: 0,
+      usdc_balance: 0
+    });
 
     if (error) {
       console.error('Error storing Solana wallet:', error);
@@ -61,12 +119,7 @@ class WalletManager {
   }
 
   async getWallet(userId) {
-    const { data, error } = await supabase
-      .from('wallets')
-      .select('*')
-      .eq('user_id', userId)
-      .eq('chain', 'solana')
-      .single();
+    const { data, error } = await this.storage.wallets.findByUserId(userId);
 
     if (error) {
       console.error(`Error getting wallet:`, error);
@@ -75,58 +128,353 @@ class WalletManager {
     return data;
   }
 
-  async getSolBalance(address) {
-    const publicKey = new PublicKey(address);
-    const balance = await this.solanaConnection.getBalance(publicKey);
-    return balance / LAMPORTS_PER_SOL;
+  getSolBalance(address) {
+    return this.chain.getBalance(address, 'SOL');
+  }
+
+  getUSDCBalance(address) {
+    return this.chain.getBalance(address, 'USDC');
   }
 
-  async getUSDCBalance(address) {
-    const walletPublicKey = new PublicKey(address);
-    const associatedTokenAddress = await getAssociatedTokenAddress(
-      this.usdcMintAddress,
-      walletPublicKey
-    );
+  isValidAddress(address) {
+    return this.chain.isValidAddress(address);
+  }
 
-    const accountInfo = await this.solanaConnection.getAccountInfo(associatedTokenAddress);
-    if (!accountInfo) {
-      return 0;
+  // Signs through Dynamic for whichever of these wallets the chain asks,
+  // given as { address: password }
+  async signerFor(passwords) {
+    await this.initializeDynamicClient();
+
+    return (transaction, address) => this.solanaClient.signTransaction({
+      senderAddress: address,
+      transaction,
+      password: passwords[address]
+    });
+  }
+
+  // Move what a player's wallet holds on chain into the house wallet, so
+  // withdrawals can pay out winnings whoever deposited the coins. The
+  // deposit watcher reads the wallet's history rather than its balance,
+  // so sweeping never hides a deposit from it.
+  async sweepWallet(wallet) {
+    const house = await this.getHouseWallet();
+
+    let telegramId = wallet.users?.telegram_id;
+    if (!telegramId) {
+      const { data: user } = await this.storage.users.findById(wallet.user_id);
+      telegramId = user?.telegram_id;
     }
 
-    const tokenAccount = await getAccount(
-      this.solanaConnection,
-      associatedTokenAddress
-    );
+    const sign = await this.signerFor({
+      [wallet.address]: this.getWalletPassword(wallet.user_id, telegramId),
+      [house.address]: this.getHouseWalletPassword()
+    });
 
-    return Number(tokenAccount.amount) / 1e6; // USDC has 6 decimals
+    // SOL first: it pays its own fee and leaves the wallet empty, so the
+    // house wallet pays for the USDC transfer
+    const swept = [];
+    for (const token of ['SOL', 'USDC']) {
+      const result = await this.sweepToken(wallet, house, token, sign);
+      if (result) swept.push(result);
+    }
+    return swept;
   }
 
-  async updateBalance(userId, solBalance, usdcBalance) {
-    const { error } = await supabase
-      .from('wallets')
-      .update({
-        sol_balance: solBalance,
-        usdc_balance: usdcBalance,
-        last_balance_update: new Date().toISOString()
-      })
-      .eq('user_id', userId)
-      .eq('chain', 'solana');
+  async sweepToken(wallet, house, token, sign) {
+    const transfer = {
+      from: wallet.address,
+      to: house.address,
+      token,
+      feePayer: token === 'SOL' ? wallet.address : house.address
+    };
+
+    const feeUnits = toBaseUnits(await this.chain.estimateFee(transfer), 'SOL');
+    const held = toBaseUnits(await this.chain.getBalance(wallet.address, token), token);
+    const units = token === 'SOL' ? held - feeUnits : held;
+    if (units <= 0) return null;
 
-    if (error) {
-      console.error(`Error updating balance:`, error);
+    const amount = fromBaseUnits(units, token);
+    const fee = fromBaseUnits(feeUnits, 'SOL');
+
+    // The player pays the fee, charged up front like a withdrawal's so
+    // it can't be staked meanwhile
+    const refs = { userId: wallet.user_id, reference: `sweep_${randomUUID()}` };
+    const charged = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.NETWORK_FEE, 'SOL', fee, ACCOUNTS.user(wallet.user_id), ACCOUNTS.EXTERNAL, refs)
+    ]);
+
+    if (charged.error) {
+      // Uncredited or already staked, a later scan sweeps it
+      logger.warn(`Not sweeping ${amount} ${token} from ${wallet.address}: ${charged.error}`);
+      return null;
     }
+
+    let sent;
+    try {
+      sent = await this.chain.sendTransfer({ ...transfer, amount }, sign);
+    } catch (error) {
+      console.error(`Error sweeping ${amount} ${token} from ${wallet.address}:`, error);
+      await this.ledger.post([
+        this.ledger.entry(ENTRY_TYPES.REFUND, 'SOL', fee, ACCOUNTS.EXTERNAL, ACCOUNTS.user(wallet.user_id), refs)
+      ]);
+      return null;
+    }
+
+    try {
+      await this.chain.confirmTransfer(sent);
+    } catch (error) {
+      // If it never lands the funds are still in the wallet for the next scan
+      console.error(`Sweep ${sent.signature} from ${wallet.address} not confirmed:`, error);
+      return null;
+    }
+
+    logger.info(`🧹 Swept ${amount} ${token} from ${wallet.address} to the house wallet (${sent.signature})`);
+
+    return { token, amount, fee, signature: sent.signature };
   }
 
-  async refreshBalance(userId) {
+  // Create a pending withdrawal awaiting the user's confirmation
+  async createWithdrawal(userId, amount, token, destination) {
+    if (!this.isValidAddress(destination)) {
+      return { error: 'Invalid Solana wallet address' };
+    }
+
     const wallet = await this.getWallet(userId);
-    if (!wallet) return null;
+    if (!wallet) {
+      return { error: 'Wallet not found! Use /start first.' };
+    }
+
+    if (wallet.address === destination) {
+      return { error: 'You cannot withdraw to your own DiceIt wallet' };
+    }
+
+    const balance = parseFloat(wallet[getBalanceField(token)]);
+    if (balance < amount) {
+      return { error: `Insufficient ${token} balance. You have ${balance} ${token}` };
+    }
+
+    let house, fee;
+    try {
+      house = await this.getHouseWallet();
+      fee = await this.chain.estimateFee({ from: house.address, to: destination, token });
+    } catch (error) {
+      console.error('Error estimating the fee for a withdrawal:', error);
+      return { error: 'Could not reach the Solana network, please try again' };
+    }
 
-    const solBalance = await this.getSolBalance(wallet.address);
-    const usdcBalance = await this.getUSDCBalance(wallet.address);
+    if (house.address === destination) {
+      return { error: 'You cannot withdraw to the DiceIt house wallet' };
+    }
+
+    // The house wallet sends it, the player pays its network fee in SOL
+    const feeUnits = toBaseUnits(fee, 'SOL');
+    const solBalance = toBaseUnits(wallet.sol_balance, 'SOL');
+    const solNeeded = feeUnits + (token === 'SOL' ? toBaseUnits(amount, 'SOL') : 0);
+    if (solBalance < solNeeded) {
+      if (token === 'SOL') {
+        const max = fromBaseUnits(Math.max(solBalance - feeUnits, 0), 'SOL');
+        return { error: `Not enough SOL left for the ${fee} SOL network fee. You can withdraw up to ${max} SOL` };
+      }
+      return { error: `You need ${fee} SOL for the network fee, you have ${fromBaseUnits(solBalance, 'SOL')} SOL` };
+    }
+
+    const { data: withdrawal, error } = await this.storage.withdrawals.create({
+      user_id: userId,
+      token,
+      amount,
+      destination_address: destination,
+      status: 'pending'
+    });
+
+    if (error) {
+      console.error('Error creating withdrawal:', error);
+      return { error: 'Failed to create withdrawal' };
+    }
+
+    return { success: true, withdrawal };
+  }
+
+  async cancelWithdrawal(withdrawalId, userId) {
+    const { data: withdrawal } = await this.storage.withdrawals.transition(withdrawalId, userId, 'pending', { status: 'cancelled' });
+
+    if (!withdrawal) {
+      return { error: 'Withdrawal not found or already processed' };
+    }
+
+    return { success: true, withdrawal };
+  }
+
+  // Deduct the recorded balance, then send from the house wallet
+  async processWithdrawal(withdrawalId, userId) {
+    // Claim the withdrawal first so a double tap cannot send it twice
+    const { data: withdrawal } = await this.storage.withdrawals.transition(withdrawalId, userId, 'pending', { status: 'processing' });
+
+    if (!withdrawal) {
+      return { error: 'Withdrawal not found or already processed' };
+    }
+
+    const amount = parseFloat(withdrawal.amount);
+    const token = withdrawal.token;
+
+    let house, fee;
+    try {
+      house = await this.getHouseWallet();
+      fee = await this.chain.estimateFee({ from: house.address, to: withdrawal.destination_address, token });
+    } catch (error) {
+      console.error(`Error estimating fee for withdrawal ${withdrawalId}:`, error);
+      await this.updateWithdrawal(withdrawalId, { status: 'failed', error: error.message });
+      return { error: 'Could not reach the Solana network, please try again' };
+    }
+
+    // Deduct the amount and the network fee before sending, so the funds
+    // cannot be staked meanwhile
+    const refs = { userId, reference: withdrawalId };
+    const deducted = await this.ledger.post([
+      this.ledger.entry(ENTRY_TYPES.WITHDRAWAL, token, amount, ACCOUNTS.user(userId), ACCOUNTS.EXTERNAL, refs),
+      this.ledger.entry(ENTRY_TYPES.NETWORK_FEE, 'SOL', fee, ACCOUNTS.user(userId), ACCOUNTS.EXTERNAL, refs)
+    ]);
+
+    if (deducted.error) {
+      await this.updateWithdrawal(withdrawalId, { status: 'failed', error: deducted.error });
+      return { error: deducted.code === 'insufficient_funds' ? `Insufficient balance for ${amount} ${token} and the ${fee} SOL network fee` : deducted.error };
+    }
+
+    let sent;
+    try {
+      sent = await this.chain.sendTransfer({
+        from: house.address,
+        to: withdrawal.destination_address,
+        token,
+        amount
+      }, await this.signerFor({ [house.address]: this.getHouseWalletPassword() }));
+    } catch (error) {
+      console.error(`Error sending withdrawal ${withdrawalId}:`, error);
+
+      // Nothing reached the chain, so give the funds and the fee back
+      await this.refundWithdrawal(withdrawal, fee);
+      await this.updateWithdrawal(withdrawalId, { status: 'failed', error: error.message });
+      return { error: 'Withdrawal failed. Your balance has been restored.' };
+    }
+
+    const { signature } = sent;
+    await this.updateWithdrawal(withdrawalId, {
+      status: 'submitted',
+      tx_signature: signature,
+      last_valid_block_height: sent.lastValidBlockHeight
+    });
+
+    try {
+      await this.chain.confirmTransfer(sent);
+    } catch (error) {
+      // The transaction may still land, so keep the balance deducted
+      // until reconcileWithdrawals() finds out
+      console.error(`Withdrawal ${withdrawalId} not confirmed:`, error);
+      await this.updateWithdrawal(withdrawalId, { status: 'unconfirmed', error: error.message });
+      return { success: true, confirmed: false, signature, withdrawal };
+    }
+
+    await this.updateWithdrawal(withdrawalId, {
+      status: 'completed',
+      completed_at: new Date().toISOString()
+    });
 
-    await this.updateBalance(userId, solBalance, usdcBalance);
+    logger.info(`💸 Withdrawal ${withdrawalId}: ${amount} ${token} to ${withdrawal.destination_address} (${signature})`);
 
-    return { solBalance, usdcBalance };
+    return { success: true, confirmed: true, signature, withdrawal };
+  }
+
+  // Give back a withdrawal's amount and network fee. One refund per
+  // token, as references are unique per token.
+  refundWithdrawal(withdrawal, fee) {
+    const { user_id: userId, token } = withdrawal;
+    const amount = parseFloat(withdrawal.amount);
+    const refs = { userId, reference: withdrawal.id };
+
+    const refunds = token === 'SOL'
+      ? [this.ledger.entry(ENTRY_TYPES.REFUND, 'SOL', roundAmount(amount + fee, 'SOL'), ACCOUNTS.EXTERNAL, ACCOUNTS.user(userId), refs)]
+      : [
+        this.ledger.entry(ENTRY_TYPES.REFUND, token, amount, ACCOUNTS.EXTERNAL, ACCOUNTS.user(userId), refs),
+        this.ledger.entry(ENTRY_TYPES.REFUND, 'SOL', fee, ACCOUNTS.EXTERNAL, ACCOUNTS.user(userId), refs)
+      ];
+    return this.ledger.post(refunds);
+  }
+
+  // Settle the withdrawals whose confirmation timed out once the chain
+  // knows their fate: completed if the transaction landed, refunded if
+  // it failed or its blockhash expired before it was seen
+  async reconcileWithdrawals() {
+    const { data: withdrawals, error } = await this.storage.withdrawals.listByStatus(['unconfirmed']);
+
+    if (error) {
+      console.error('Error loading unconfirmed withdrawals:', error);
+      return [];
+    }
+
+    const settled = [];
+    for (const withdrawal of withdrawals) {
+      try {
+        const result = await this.reconcileWithdrawal(withdrawal);
+        if (result) settled.push(result);
+      } catch (error) {
+        console.error(`Error reconciling withdrawal ${withdrawal.id}:`, error);
+      }
+    }
+
+    return settled;
+  }
+
+  async reconcileWithdrawal(withdrawal) {
+    const { id, user_id: userId, tx_signature: signature } = withdrawal;
+
+    const status = await this.chain.getTransferStatus({
+      signature,
+      lastValidBlockHeight: withdrawal.last_valid_block_height
+    });
+    if (status === 'pending') return null;
+
+    if (status === 'confirmed') {
+      const { data: completed } = await this.storage.withdrawals.transition(id, userId, 'unconfirmed', {
+        status: 'completed',
+        error: null,
+        completed_at: new Date().toISOString()
+      });
+      if (!completed) return null;
+
+      logger.info(`💸 Withdrawal ${id} confirmed late (${signature})`);
+      return { confirmed: true, signature, withdrawal: completed };
+    }
+
+    const { data: entries, error } = await this.storage.ledger.listByReference(id);
+    if (error) {
+      throw new Error(`Failed to load the ledger entries: ${error.message}`);
+    }
+    const feeEntry = entries.find(entry => entry.entry_type === ENTRY_TYPES.NETWORK_FEE);
+
+    // Claim it first, so the debit is reversed only once
+    const { data: failed } = await this.storage.withdrawals.transition(id, userId, 'unconfirmed', {
+      status: 'failed',
+      error: 'Transaction never landed'
+    });
+    if (!failed) return null;
+
+    const refunded = await this.refundWithdrawal(failed, feeEntry ? parseFloat(feeEntry.amount) : 0);
+    if (refunded.error && refunded.code !== 'duplicate_reference') {
+      // Back to unconfirmed, so the next pass tries the refund again
+      console.error(`Error refunding withdrawal ${id}:`, refunded.error);
+      await this.updateWithdrawal(id, { status: 'unconfirmed' });
+      return null;
+    }
+
+    logger.info(`💸 Withdrawal ${id} never landed, refunded ${parseFloat(failed.amount)} ${failed.token} (${signature})`);
+    return { confirmed: false, signature, withdrawal: failed };
+  }
+
+  async updateWithdrawal(withdrawalId, fields) {
+    const { error } = await this.storage.withdrawals.update(withdrawalId, fields);
+
+    if (error) {
+      console.error(`Error updating withdrawal ${withdrawalId}:`, error);
+    }
   }
 }
 
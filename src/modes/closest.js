@@ -0,0 +1,86 @@
+// Parse a picked number and check it's on the dice
+export const parseNumberPick = (pick, { min, max }) => {
+  const text = String(pick ?? '').trim();
+  if (!/^\d+$/.test(text)) {
+    return { error: `Pick a number between ${min} and ${max}` };
+  }
+
+  const chosenNumber = parseInt(text);
+  if (chosenNumber < min || chosenNumber > max) {
+    return { error: `Choose a number between ${min} and ${max}` };
+  }
+
+  return { chosenNumber };
+};
+
+// Any number on the dice, for the join wizard
+export const numberChoices = ({ min, max }) => ({ range: { min, max } });
+
+// Players whose number is closest to the result
+export const closestWinners = (players, result) => {
+  // Calculate distance for each player
+  const playersWithDistance = players.map(player => ({
+    ...player,
+    distance: Math.abs(player.chosenNumber - result)
+  }));
+
+  // Find minimum distance
+  const minDistance = Math.min(...playersWithDistance.map(p => p.distance));
+
+  // Get all winners with minimum distance
+  return playersWithDistance.filter(p => p.distance === minDistance);
+};
+
+// Players who picked the result exactly
+export const exactHits = (players, result) => players.filter(p => p.chosenNumber === result);
+
+// The progressive jackpot goes to exact hits on a D100
+export const d100JackpotHits = (players, outcome, gameData) =>
+  gameData.diceType === 'D100' ? exactHits(players, outcome.result) : [];
+
+// The original rule: closest number to a single roll wins
+export default {
+  id: 'closest',
+  label: 'Closest number',
+  emoji: '🎯',
+  description: 'Closest number to the roll wins the pot',
+  diceTypes: ['D6', 'D10', 'D20', 'D100'],
+  pickUsage: '<number>',
+  examplePick: '4',
+
+  parsePick(pick, gameData) {
+    return parseNumberPick(pick, gameData.diceConfig);
+  },
+
+  pickChoices(gameData) {
+    return numberChoices(gameData.diceConfig);
+  },
+
+  rollCount() {
+    return 1;
+  },
+
+  outcome(values) {
+    return { result: values[0], values };
+  },
+
+  pickWinners(players, outcome) {
+    return closestWinners(players, outcome.result);
+  },
+
+  betFields(player, outcome) {
+    return { distance_from_result: Math.abs(player.chosenNumber - outcome.result) };
+  },
+
+  jackpotHits(players, outcome, gameData) {
+    return d100JackpotHits(players, outcome, gameData);
+  },
+
+  describePick(player) {
+    return `picked ${player.chosenNumber}`;
+  },
+
+  describeOutcome(outcome) {
+    return `🎲 Result: **${outcome.result}**`;
+  }
+};
@@ -0,0 +1,60 @@
+import { parseNumberPick, numberChoices, exactHits, d100JackpotHits } from './closest.js';
+import { toBaseUnits } from '../lib/tokens.js';
+
+// Only exact hits win. A hit returns at most stake x number of faces
+// (fair odds); what the cap leaves in the pool goes back to the other
+// players, and if nobody hits everyone is refunded.
+export default {
+  id: 'exact',
+  label: 'Exact hit',
+  emoji: '💥',
+  description: 'Hit the exact number to win up to your stake times the number of faces',
+  diceTypes: ['D6', 'D10', 'D20', 'D100'],
+  pickUsage: '<number>',
+  examplePick: '4',
+
+  multiplier(gameData) {
+    const { min, max } = gameData.diceConfig;
+    return max - min + 1;
+  },
+
+  parsePick(pick, gameData) {
+    return parseNumberPick(pick, gameData.diceConfig);
+  },
+
+  pickChoices(gameData) {
+    return numberChoices(gameData.diceConfig);
+  },
+
+  rollCount() {
+    return 1;
+  },
+
+  outcome(values) {
+    return { result: values[0], values };
+  },
+
+  pickWinners(players, outcome) {
+    return exactHits(players, outcome.result).map(p => ({ ...p, distance: 0 }));
+  },
+
+  payoutCap(player, token, gameData) {
+    return toBaseUnits(player.amount, token) * this.multiplier(gameData);
+  },
+
+  betFields(player, outcome) {
+    return { distance_from_result: Math.abs(player.chosenNumber - outcome.result) };
+  },
+
+  jackpotHits(players, outcome, gameData) {
+    return d100JackpotHits(players, outcome, gameData);
+  },
+
+  describePick(player) {
+    return `picked ${player.chosenNumber}`;
+  },
+
+  describeOutcome(outcome) {
+    return `🎲 Result: **${outcome.result}**`;
+  }
+};
@@ -0,0 +1,55 @@
+import { escapeMarkdown } from '../lib/markdown.js';
+
+// Every player gets their own roll, the highest roll wins. Rolls are
+// handed out in join order, one value per player.
+export default {
+  id: 'highroller',
+  label: 'High roller',
+  emoji: '🔥',
+  description: 'Everyone rolls their own dice, the highest roll wins',
+  diceTypes: ['D6', 'D10', 'D20', 'D100'],
+  pickUsage: '',
+  examplePick: '',
+
+  parsePick(pick) {
+    if (pick !== undefined && pick !== null && String(pick).trim() !== '') {
+      return { error: 'No number needed in High roller, just /dice <amount> <SOL|USDC>' };
+    }
+
+    return {};
+  },
+
+  // Nothing to pick, the wizard joins straight after the stake
+  pickChoices() {
+    return null;
+  },
+
+  rollCount(gameData) {
+    return gameData.players.length;
+  },
+
+  outcome(values, gameData) {
+    const rolls = new Map(gameData.players.map((player, index) => [player.betId, values[index]]));
+    return { result: Math.max(...values), values, rolls };
+  },
+
+  pickWinners(players, outcome) {
+    const withRolls = players.map(p => ({ ...p, roll: outcome.rolls.get(p.betId) }));
+    const best = Math.max(...withRolls.map(p => p.roll));
+    return withRolls.filter(p => p.roll === best);
+  },
+
+  betFields(player, outcome) {
+    return { roll_value: outcome.rolls.get(player.betId) };
+  },
+
+  describePick() {
+    return 'rolls when the countdown ends';
+  },
+
+  describeOutcome(outcome, gameData) {
+    return gameData.players
+      .map(p => `🎲 @${escapeMarkdown(p.username)}: **${outcome.rolls.get(p.betId)}**`)
+      .join('\n');
+  }
+};
@@ -0,0 +1,30 @@
+import closest from './closest.js';
+import exact from './exact.js';
+import overUnder from './overUnder.js';
+import highRoller from './highRoller.js';
+import sum from './sum.js';
+
+/**
+ * Game modes by id. The id is stored in games.game_mode and used in
+ * callback data, so it must not contain underscores.
+ *
+ * A mode implements:
+ *   id, label, emoji, description, diceTypes, pickUsage, examplePick
+ *   parsePick(pick, gameData) -> { chosenNumber?, selection? } or { error }
+ *   pickChoices(gameData) -> { range: { min, max } }, { options: [{ label, value }] } or null
+ *   rollCount(gameData) -> how many dice to throw
+ *   outcome(values, gameData) -> { result, values, ... }
+ *   pickWinners(poolPlayers, outcome) -> winning players, possibly none
+ *   payoutCap(player, token, gameData) -> max base units a winner gets (optional)
+ *   jackpotHits(players, outcome, gameData) -> players who win the progressive jackpot (optional)
+ *   betFields(player, outcome) -> extra columns for the bets row
+ *   describePick(player, gameData), describeOutcome(outcome, gameData) -> message text
+ */
+export const GAME_MODES = Object.fromEntries(
+  [closest, exact, overUnder, highRoller, sum].map(mode => [mode.id, mode])
+);
+
+export const DEFAULT_MODE = 'closest';
+
+// id comes from callback data, so only own keys count (not 'constructor')
+export const getMode = (id) => (Object.hasOwn(GAME_MODES, id) ? GAME_MODES[id] : null);
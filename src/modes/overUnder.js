@@ -0,0 +1,74 @@
+// Target sits halfway between two faces (3.5 on a D6), so there's no push
+const target = ({ min, max }) => (min + max) / 2;
+
+const SIDES = {
+  over: 'over',
+  o: 'over',
+  '>': 'over',
+  under: 'under',
+  u: 'under',
+  '<': 'under'
+};
+
+export default {
+  id: 'overunder',
+  label: 'Over / Under',
+  emoji: '↕️',
+  description: 'Bet the roll lands over or under the middle of the dice',
+  diceTypes: ['D6', 'D10', 'D20', 'D100'],
+  pickUsage: '<over|under>',
+  examplePick: 'over',
+
+  target(gameData) {
+    return target(gameData.diceConfig);
+  },
+
+  parsePick(pick, gameData) {
+    const side = SIDES[String(pick ?? '').trim().toLowerCase()];
+    if (!side) {
+      return { error: `Pick over or under ${target(gameData.diceConfig)}` };
+    }
+
+    return { selection: side };
+  },
+
+  pickChoices(gameData) {
+    const middle = target(gameData.diceConfig);
+    return {
+      options: [
+        { label: `⬆️ Over ${middle}`, value: 'over' },
+        { label: `⬇️ Under ${middle}`, value: 'under' }
+      ]
+    };
+  },
+
+  rollCount() {
+    return 1;
+  },
+
+  outcome(values, gameData) {
+    const result = values[0];
+    return {
+      result,
+      values,
+      target: target(gameData.diceConfig),
+      side: result > target(gameData.diceConfig) ? 'over' : 'under'
+    };
+  },
+
+  pickWinners(players, outcome) {
+    return players.filter(p => p.selection === outcome.side);
+  },
+
+  betFields() {
+    return {};
+  },
+
+  describePick(player, gameData) {
+    return `${player.selection} ${target(gameData.diceConfig)}`;
+  },
+
+  describeOutcome(outcome) {
+    return `🎲 Result: **${outcome.result}** (${outcome.side} ${outcome.target})`;
+  }
+};
@@ -0,0 +1,50 @@
+import { parseNumberPick, numberChoices, closestWinners, exactHits } from './closest.js';
+
+// Two dice are thrown, the closest guess to their sum wins
+export default {
+  id: 'sum',
+  label: 'Dice sum (2D6)',
+  emoji: '🎲',
+  description: 'Two dice are rolled, the closest guess to their sum wins',
+  diceTypes: ['2D6'],
+  pickUsage: '<sum>',
+  examplePick: '7',
+
+  parsePick(pick, gameData) {
+    return parseNumberPick(pick, gameData.diceConfig);
+  },
+
+  pickChoices(gameData) {
+    return numberChoices(gameData.diceConfig);
+  },
+
+  rollCount(gameData) {
+    return gameData.diceConfig.count;
+  },
+
+  outcome(values) {
+    return { result: values.reduce((sum, value) => sum + value, 0), values };
+  },
+
+  pickWinners(players, outcome) {
+    return closestWinners(players, outcome.result);
+  },
+
+  betFields(player, outcome) {
+    return { distance_from_result: Math.abs(player.chosenNumber - outcome.result) };
+  },
+
+  // Every die on its top face (double sixes), called exactly
+  jackpotHits(players, outcome, gameData) {
+    const top = gameData.diceConfig.die.max;
+    return outcome.values.every(value => value === top) ? exactHits(players, outcome.result) : [];
+  },
+
+  describePick(player) {
+    return `picked ${player.chosenNumber}`;
+  },
+
+  describeOutcome(outcome) {
+    return `🎲 ${outcome.values.join(' + ')} = **${outcome.result}**`;
+  }
+};
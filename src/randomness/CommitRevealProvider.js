@@ -0,0 +1,38 @@
+import { generateServerSeed, hashServerSeed, buildClientSeed, computeRoll } from '../lib/provablyFair.js';
+
+/**
+ * Provably fair commit-reveal rolls, see src/lib/provablyFair.js.
+ * The seed hash is stored on the games row when the game starts.
+ */
+class CommitRevealProvider {
+  constructor() {
+    this.name = 'fair';
+    this.label = 'Provably fair';
+  }
+
+  supports() {
+    return true;
+  }
+
+  async commit() {
+    const serverSeed = generateServerSeed();
+    return {
+      server_seed: serverSeed,
+      server_seed_hash: hashServerSeed(serverSeed)
+    };
+  }
+
+  // Value i of a multi-dice roll uses nonce i
+  async roll({ diceConfig, gameData, count = 1 }) {
+    const clientSeed = buildClientSeed(gameData.players.map(p => p.betId));
+
+    const values = [];
+    for (let nonce = 0; nonce < count; nonce++) {
+      values.push(computeRoll(gameData.serverSeed, clientSeed, diceConfig.min, diceConfig.max, nonce));
+    }
+
+    return { values, proof: { clientSeed }, animated: false };
+  }
+}
+
+export default CommitRevealProvider;
@@ -0,0 +1,31 @@
+import crypto from 'crypto';
+
+/**
+ * Node's cryptographically secure RNG. Fast and unbiased, but players
+ * have to trust the bot.
+ */
+class CryptoRngProvider {
+  constructor() {
+    this.name = 'crypto';
+    this.label = 'Secure RNG';
+  }
+
+  supports() {
+    return true;
+  }
+
+  async commit() {
+    return {};
+  }
+
+  async roll({ diceConfig, count = 1 }) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(crypto.randomInt(diceConfig.min, diceConfig.max + 1));
+    }
+
+    return { values, proof: {}, animated: false };
+  }
+}
+
+export default CryptoRngProvider;
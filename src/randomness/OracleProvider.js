@@ -0,0 +1,78 @@
+/**
+ * Randomness from an external oracle (a VRF service or similar).
+ *
+ * The transport is a client with a single method, so tests and local
+ * development can pass a fake one:
+ *
+ *   requestRandomness({ gameId, min, max, count }) -> { values, requestId, proof }
+ */
+class OracleProvider {
+  constructor(client = new HttpOracleClient()) {
+    this.name = 'oracle';
+    this.label = 'External oracle';
+    this.client = client;
+  }
+
+  supports() {
+    return this.client.isConfigured();
+  }
+
+  async commit() {
+    return {};
+  }
+
+  async roll({ diceConfig, gameData, count = 1 }) {
+    const response = await this.client.requestRandomness({
+      gameId: gameData?.gameId,
+      min: diceConfig.min,
+      max: diceConfig.max,
+      count
+    });
+
+    const values = (response.values || []).map(Number);
+    const valid = values.length === count &&
+      values.every(v => Number.isInteger(v) && v >= diceConfig.min && v <= diceConfig.max);
+
+    if (!valid) {
+      throw new Error(`Oracle returned invalid values: ${JSON.stringify(response.values)}`);
+    }
+
+    return {
+      values,
+      proof: { oracleRequestId: response.requestId, oracleProof: response.proof },
+      animated: false
+    };
+  }
+}
+
+// Default client, POSTs to RANDOMNESS_ORACLE_URL
+export class HttpOracleClient {
+  constructor(url = process.env.RANDOMNESS_ORACLE_URL, apiKey = process.env.RANDOMNESS_ORACLE_KEY) {
+    this.url = url;
+    this.apiKey = apiKey;
+  }
+
+  isConfigured() {
+    return Boolean(this.url);
+  }
+
+  async requestRandomness(request) {
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify(request),
+      signal: AbortSignal.timeout(10000)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Oracle request failed with status ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+export default OracleProvider;
@@ -0,0 +1,29 @@
+/**
+ * Telegram's animated 🎲 dice. The value is chosen by Telegram's servers
+ * and shown to everyone in the chat, but only covers 1-6.
+ */
+class TelegramDiceProvider {
+  constructor() {
+    this.name = 'telegram';
+    this.label = 'Telegram dice';
+  }
+
+  supports(diceConfig) {
+    return diceConfig.min === 1 && diceConfig.max === 6;
+  }
+
+  async commit() {
+    return {};
+  }
+
+  async roll({ count = 1, channel }) {
+    const values = [];
+    for (let i = 0; i < count; i++) {
+      values.push(await channel.sendDice());
+    }
+
+    return { values, proof: {}, animated: true };
+  }
+}
+
+export default TelegramDiceProvider;
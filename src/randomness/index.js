@@ -0,0 +1,47 @@
+import TelegramDiceProvider from './TelegramDiceProvider.js';
+import CryptoRngProvider from './CryptoRngProvider.js';
+import CommitRevealProvider from './CommitRevealProvider.js';
+import OracleProvider from './OracleProvider.js';
+
+/**
+ * Randomness providers by name. The name is what's stored in
+ * games.randomness_method, so it must not contain underscores
+ * (it's part of the start_<dice>_<method> callback data).
+ *
+ * A provider implements:
+ *   name, label
+ *   supports(diceConfig) -> boolean
+ *   commit() -> columns stored on the games row when the game starts
+ *   roll({ diceConfig, gameData, count, channel }) -> { values, proof, animated }
+ *
+ * `channel.sendDice()` posts an animated dice and resolves to its value.
+ * `animated` tells the caller the dice were already shown to the chat.
+ */
+export class RandomnessRegistry {
+  constructor(providers = []) {
+    this.providers = new Map();
+    providers.forEach(provider => this.register(provider));
+  }
+
+  register(provider) {
+    if (provider.name.includes('_')) {
+      throw new Error(`Randomness provider name "${provider.name}" must not contain underscores`);
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  get(name) {
+    return this.providers.get(name) || null;
+  }
+
+  list() {
+    return [...this.providers.values()];
+  }
+}
+
+export const createDefaultRegistry = () => new RandomnessRegistry([
+  new TelegramDiceProvider(),
+  new CryptoRngProvider(),
+  new CommitRevealProvider(),
+  new OracleProvider()
+]);
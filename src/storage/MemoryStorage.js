@@ -0,0 +1,450 @@
+import { randomUUID } from 'crypto';
+import { toBaseUnits, fromBaseUnits, getBalanceField } from '../lib/tokens.js';
+import { OPEN_STATUSES } from '../lib/gameState.js';
+
+const ok = (data) => Promise.resolve({ data, error: null });
+const fail = (message) => Promise.resolve({ data: null, error: { message } });
+const copy = (row) => (row ? structuredClone(row) : null);
+const byCreatedAt = (a, b) => (a.created_at < b.created_at ? -1 : a.created_at > b.created_at ? 1 : 0);
+
+/**
+ * Rows of one table in insertion order, with the ids and defaults the
+ * SQL schema would fill in. Rows handed out are copies, like rows
+ * fetched from a database.
+ */
+class MemoryTable {
+  constructor(defaults = () => ({})) {
+    this.defaults = defaults;
+    this.rows = new Map(); // id -> row
+  }
+
+  insert(row) {
+    const stored = {
+      id: randomUUID(),
+      created_at: new Date().toISOString(),
+      ...this.defaults(),
+      ...structuredClone(row)
+    };
+    this.rows.set(stored.id, stored);
+    return copy(stored);
+  }
+
+  get(id) {
+    return this.rows.get(id) || null;
+  }
+
+  filter(predicate) {
+    return [...this.rows.values()].filter(predicate);
+  }
+
+  find(predicate) {
+    return this.filter(predicate)[0] || null;
+  }
+
+  // Update every row matching predicate, returning copies of them
+  update(predicate, fields) {
+    return this.filter(predicate).map(row => copy(Object.assign(row, structuredClone(fields))));
+  }
+
+  delete(id) {
+    this.rows.delete(id);
+  }
+}
+
+export class MemoryUserRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findByTelegramId(telegramId) {
+    return ok(copy(this.db.users.find(user => user.telegram_id === telegramId)));
+  }
+
+  findById(id) {
+    return ok(copy(this.db.users.get(id)));
+  }
+
+  create(row) {
+    if (this.db.users.find(user => user.telegram_id === row.telegram_id)) {
+      return fail('duplicate key value violates unique constraint "users_telegram_id_key"');
+    }
+    return ok(this.db.users.insert(row));
+  }
+
+  addStats(id, increments) {
+    const user = this.db.users.get(id);
+    if (user) {
+      for (const [column, amount] of Object.entries(increments)) {
+        user[column] = (parseFloat(user[column]) || 0) + amount;
+      }
+    }
+    return ok(null);
+  }
+}
+
+export class MemoryWalletRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(row) {
+    return ok(this.db.wallets.insert(row));
+  }
+
+  findByUserId(userId) {
+    return ok(copy(this.db.wallets.find(wallet => wallet.user_id === userId && wallet.chain === 'solana')));
+  }
+
+  listWithOwners() {
+    return ok(this.db.wallets
+      .filter(wallet => wallet.chain === 'solana')
+      .map(wallet => ({ ...copy(wallet), users: { telegram_id: this.db.users.get(wallet.user_id)?.telegram_id ?? null } })));
+  }
+
+  update(id, fields) {
+    this.db.wallets.update(wallet => wallet.id === id, fields);
+    return ok(null);
+  }
+}
+
+export class MemoryHouseWalletRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  find(chain) {
+    return ok(copy(this.db.houseWallets.find(wallet => wallet.chain === chain)));
+  }
+
+  create(row) {
+    if (this.db.houseWallets.find(wallet => wallet.chain === row.chain)) {
+      return fail('duplicate key value violates unique constraint "house_wallets_chain_key"');
+    }
+    return ok(this.db.houseWallets.insert(row));
+  }
+}
+
+export class MemoryWithdrawalRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(row) {
+    return ok(this.db.withdrawals.insert(row));
+  }
+
+  transition(id, userId, from, fields) {
+    const [withdrawal] = this.db.withdrawals.update(
+      w => w.id === id && w.user_id === userId && w.status === from, fields);
+    return ok(withdrawal || null);
+  }
+
+  update(id, fields) {
+    this.db.withdrawals.update(w => w.id === id, fields);
+    return ok(null);
+  }
+
+  listByStatus(statuses) {
+    return ok(this.db.withdrawals.filter(w => statuses.includes(w.status)).sort(byCreatedAt).map(copy));
+  }
+}
+
+export class MemoryGameRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(row) {
+    // idx_games_open_per_group
+    if (OPEN_STATUSES.includes(row.status) &&
+        this.db.games.find(game => game.group_id === row.group_id && OPEN_STATUSES.includes(game.status))) {
+      return fail('duplicate key value violates unique constraint "idx_games_open_per_group"');
+    }
+    return ok(this.db.games.insert(row));
+  }
+
+  update(id, fields, { status } = {}) {
+    return ok(this.db.games.update(game => game.id === id && (!status || game.status === status), fields));
+  }
+
+  listByStatus(statuses) {
+    return ok(this.db.games.filter(game => statuses.includes(game.status)).map(copy));
+  }
+
+  findWithBetIds(id) {
+    const game = this.db.games.get(id);
+    if (!game) return ok(null);
+
+    return ok({
+      ...copy(game),
+      bets: this.db.bets.filter(bet => bet.game_id === id).map(bet => ({ id: bet.id }))
+    });
+  }
+
+  listFinishedSince(since) {
+    return ok(this.db.games
+      .filter(game => game.status === 'finished' && game.finished_at >= since)
+      .map(game => ({ id: game.id, group_id: game.group_id })));
+  }
+}
+
+export class MemoryBetRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  withUser(bet) {
+    return { ...copy(bet), users: { username: this.db.users.get(bet.user_id)?.username ?? null } };
+  }
+
+  withGame(bet) {
+    return { ...copy(bet), games: copy(this.db.games.get(bet.game_id)) };
+  }
+
+  create(row) {
+    if (!this.db.games.get(row.game_id)) {
+      return fail('insert or update on table "bets" violates foreign key constraint "bets_game_id_fkey"');
+    }
+    if (this.db.bets.find(bet => bet.game_id === row.game_id && bet.user_id === row.user_id)) {
+      return fail('duplicate key value violates unique constraint "idx_bets_game_user"');
+    }
+    return ok(this.db.bets.insert(row));
+  }
+
+  update(id, fields) {
+    this.db.bets.update(bet => bet.id === id, fields);
+    return ok(null);
+  }
+
+  delete(id) {
+    this.db.bets.delete(id);
+    // ledger_entries.bet_id is ON DELETE SET NULL
+    this.db.ledgerEntries.update(entry => entry.bet_id === id, { bet_id: null });
+    return ok(null);
+  }
+
+  listByGame(gameId) {
+    return ok(this.db.bets
+      .filter(bet => bet.game_id === gameId)
+      .sort(byCreatedAt)
+      .map(bet => this.withUser(bet)));
+  }
+
+  findLatestByUser(userId) {
+    const bets = this.db.bets.filter(bet => bet.user_id === userId).sort(byCreatedAt);
+    return ok(copy(bets[bets.length - 1]));
+  }
+
+  listByUser(userId, { offset, limit }) {
+    const bets = this.db.bets.filter(bet => bet.user_id === userId).sort(byCreatedAt).reverse();
+    return Promise.resolve({
+      data: bets.slice(offset, offset + limit).map(bet => this.withGame(bet)),
+      count: bets.length,
+      error: null
+    });
+  }
+
+  listAllByUser(userId) {
+    return ok(this.db.bets
+      .filter(bet => bet.user_id === userId)
+      .sort(byCreatedAt)
+      .map(bet => this.withGame(bet)));
+  }
+
+  listSettled({ groupId = null, since = null } = {}) {
+    return ok(this.db.bets
+      .filter(bet => {
+        const game = this.db.games.get(bet.game_id);
+        return game && game.status === 'finished' &&
+          (groupId === null || game.group_id === groupId) &&
+          (!since || game.finished_at >= since);
+      })
+      .map(bet => {
+        const game = this.db.games.get(bet.game_id);
+        return {
+          ...this.withUser(bet),
+          games: { id: game.id, group_id: game.group_id, status: game.status, finished_at: game.finished_at }
+        };
+      }));
+  }
+}
+
+/**
+ * The post_ledger_entries function of migrations/003_ledger.sql: entries
+ * are checked and applied in order against a copy of the balances, and
+ * only kept if they all succeed. Balances are held in base units.
+ */
+export class MemoryLedgerRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  key(account, token) {
+    return `${account}|${token}`;
+  }
+
+  post(entries) {
+    const balances = new Map(this.db.balances);
+    const references = new Set();
+
+    for (const entry of entries) {
+      if (entry.reference) {
+        const refKey = `${entry.entry_type}|${entry.token}|${entry.reference}`;
+        const exists = references.has(refKey) || this.db.ledgerEntries.find(e =>
+          e.entry_type === entry.entry_type && e.token === entry.token && e.reference === entry.reference);
+        if (exists) {
+          return fail(`duplicate_reference: ${entry.reference}`);
+        }
+        references.add(refKey);
+      }
+
+      const units = toBaseUnits(entry.amount, entry.token);
+      for (const [account, delta] of [[entry.debit_account, -units], [entry.credit_account, units]]) {
+        const key = this.key(account, entry.token);
+        const balance = (balances.get(key) || 0) + delta;
+
+        // Only the chain itself may go negative
+        if (balance < 0 && account !== 'external') {
+          return fail(`insufficient_funds: ${account} ${entry.token}`);
+        }
+        balances.set(key, balance);
+      }
+    }
+
+    this.db.balances = balances;
+    const posted = entries.map(entry => this.db.ledgerEntries.insert(entry));
+
+    // Mirror user accounts onto wallets, like apply_ledger_delta
+    for (const entry of entries) {
+      for (const account of [entry.debit_account, entry.credit_account]) {
+        if (!account.startsWith('user:')) continue;
+        const balance = fromBaseUnits(balances.get(this.key(account, entry.token)) || 0, entry.token);
+        this.db.wallets.update(
+          wallet => wallet.user_id === account.slice('user:'.length) && wallet.chain === 'solana',
+          { [getBalanceField(entry.token)]: balance });
+      }
+    }
+
+    return ok(posted);
+  }
+
+  getBalance(account, token) {
+    return ok(fromBaseUnits(this.db.balances.get(this.key(account, token)) || 0, token));
+  }
+
+  listByAccount(account) {
+    return ok(this.db.ledgerEntries
+      .filter(entry => entry.debit_account === account || entry.credit_account === account)
+      .sort(byCreatedAt)
+      .map(copy));
+  }
+
+  listByReference(reference) {
+    return ok(this.db.ledgerEntries.filter(entry => entry.reference === reference).map(copy));
+  }
+}
+
+export class MemoryHouseBetRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(row) {
+    return ok(this.db.houseBets.insert(row));
+  }
+
+  update(id, fields) {
+    this.db.houseBets.update(bet => bet.id === id, fields);
+    return ok(null);
+  }
+
+  listOpen() {
+    return ok(this.db.houseBets.filter(bet => bet.status === 'open').map(copy));
+  }
+}
+
+export class MemorySettingsRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  findByGroupId(groupId) {
+    return ok(copy(this.db.groupSettings.get(groupId)));
+  }
+
+  upsert(row) {
+    this.db.groupSettings.set(row.group_id, { ...this.db.groupSettings.get(row.group_id), ...structuredClone(row) });
+    return ok(null);
+  }
+}
+
+export class MemoryScheduleRepo {
+  constructor(db) {
+    this.db = db;
+  }
+
+  create(row) {
+    return ok(this.db.schedules.insert(row));
+  }
+
+  listDue(before) {
+    return ok(this.db.schedules
+      .filter(s => s.active && new Date(s.next_run_at) <= new Date(before))
+      .map(copy));
+  }
+
+  listActiveByGroup(groupId) {
+    return ok(this.db.schedules
+      .filter(s => s.active && s.group_id === groupId)
+      .sort((a, b) => new Date(a.next_run_at) - new Date(b.next_run_at))
+      .map(copy));
+  }
+
+  advance(id, nextRunAt, fields) {
+    return ok(this.db.schedules
+      .update(s => s.id === id && s.next_run_at === nextRunAt, fields)
+      .map(s => ({ id: s.id })));
+  }
+
+  update(id, fields) {
+    this.db.schedules.update(s => s.id === id, fields);
+    return ok(null);
+  }
+}
+
+export const createMemoryStorage = () => {
+  const db = {
+    users: new MemoryTable(() => ({
+      total_games: 0,
+      total_wins: 0,
+      total_wagered_sol: 0,
+      total_wagered_usdc: 0,
+      total_won_sol: 0,
+      total_won_usdc: 0
+    })),
+    wallets: new MemoryTable(() => ({ sol_balance: 0, usdc_balance: 0 })),
+    houseWallets: new MemoryTable(),
+    withdrawals: new MemoryTable(() => ({ status: 'pending' })),
+    games: new MemoryTable(() => ({ num_players: 0, pot_sol: 0, pot_usdc: 0, auto_extended: false, jackpot_percent: 0 })),
+    bets: new MemoryTable(() => ({ won: null, payout: 0, jackpot_payout: 0 })),
+    ledgerEntries: new MemoryTable(),
+    balances: new Map(), // 'account|token' -> base units
+    houseBets: new MemoryTable(() => ({ payout: 0, status: 'open' })),
+    groupSettings: new Map(), // group_id -> row
+    schedules: new MemoryTable(() => ({ active: true, reminded_for: null }))
+  };
+
+  return {
+    db,
+    users: new MemoryUserRepo(db),
+    wallets: new MemoryWalletRepo(db),
+    houseWallets: new MemoryHouseWalletRepo(db),
+    withdrawals: new MemoryWithdrawalRepo(db),
+    games: new MemoryGameRepo(db),
+    bets: new MemoryBetRepo(db),
+    ledger: new MemoryLedgerRepo(db),
+    houseBets: new MemoryHouseBetRepo(db),
+    settings: new MemorySettingsRepo(db),
+    schedules: new MemoryScheduleRepo(db)
+  };
+};
@@ -0,0 +1,342 @@
+import { getSupabase } from '../lib/supabase.js';
+
+const PAGE_SIZE = 1000; // PostgREST returns at most this many rows per request
+
+// Every row of a query, fetched in pages. buildQuery() must return a
+// fresh, ordered query each time.
+const fetchAll = async (buildQuery) => {
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+};
+
+export class SupabaseUserRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  findByTelegramId(telegramId) {
+    return this.client.from('users').select('*').eq('telegram_id', telegramId).maybeSingle();
+  }
+
+  findById(id) {
+    return this.client.from('users').select('*').eq('id', id).maybeSingle();
+  }
+
+  create(row) {
+    return this.client.from('users').insert(row).select().single();
+  }
+
+  // Atomic, see migrations/017_user_stats.sql
+  addStats(id, increments) {
+    return this.client.rpc('increment_user_stats', { p_user_id: id, p_increments: increments });
+  }
+}
+
+export class SupabaseWalletRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  create(row) {
+    return this.client.from('wallets').insert(row).select().single();
+  }
+
+  findByUserId(userId) {
+    return this.client
+      .from('wallets')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('chain', 'solana')
+      .maybeSingle();
+  }
+
+  listWithOwners() {
+    return this.client
+      .from('wallets')
+      .select('*, users(telegram_id)')
+      .eq('chain', 'solana');
+  }
+
+  update(id, fields) {
+    return this.client.from('wallets').update(fields).eq('id', id);
+  }
+}
+
+export class SupabaseHouseWalletRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  find(chain) {
+    return this.client.from('house_wallets').select('*').eq('chain', chain).maybeSingle();
+  }
+
+  create(row) {
+    return this.client.from('house_wallets').insert(row).select().single();
+  }
+}
+
+export class SupabaseWithdrawalRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  create(row) {
+    return this.client.from('withdrawals').insert(row).select().single();
+  }
+
+  transition(id, userId, from, fields) {
+    return this.client
+      .from('withdrawals')
+      .update(fields)
+      .eq('id', id)
+      .eq('user_id', userId)
+      .eq('status', from)
+      .select()
+      .maybeSingle();
+  }
+
+  update(id, fields) {
+    return this.client.from('withdrawals').update(fields).eq('id', id);
+  }
+
+  listByStatus(statuses) {
+    return this.client
+      .from('withdrawals')
+      .select('*')
+      .in('status', statuses)
+      .order('created_at', { ascending: true });
+  }
+}
+
+export class SupabaseGameRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  create(row) {
+    return this.client.from('games').insert(row).select().single();
+  }
+
+  update(id, fields, { status } = {}) {
+    let query = this.client.from('games').update(fields).eq('id', id);
+    if (status) query = query.eq('status', status);
+    return query.select();
+  }
+
+  listByStatus(statuses) {
+    return this.client.from('games').select('*').in('status', statuses);
+  }
+
+  findWithBetIds(id) {
+    return this.client.from('games').select('*, bets(id)').eq('id', id).maybeSingle();
+  }
+
+  listFinishedSince(since) {
+    return fetchAll(() => this.client
+      .from('games')
+      .select('id, group_id')
+      .eq('status', 'finished')
+      .gte('finished_at', since)
+      .order('id', { ascending: true }));
+  }
+}
+
+const BET_WITH_GAME = '*, games(group_name, dice_type, game_mode, status, dice_result, dice_values, house_fee_percent, finished_at)';
+
+export class SupabaseBetRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  create(row) {
+    return this.client.from('bets').insert(row).select().single();
+  }
+
+  update(id, fields) {
+    return this.client.from('bets').update(fields).eq('id', id);
+  }
+
+  delete(id) {
+    return this.client.from('bets').delete().eq('id', id);
+  }
+
+  listByGame(gameId) {
+    return this.client
+      .from('bets')
+      .select('*, users(username)')
+      .eq('game_id', gameId)
+      .order('created_at', { ascending: true });
+  }
+
+  findLatestByUser(userId) {
+    return this.client
+      .from('bets')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+  }
+
+  listByUser(userId, { offset, limit }) {
+    return this.client
+      .from('bets')
+      .select(BET_WITH_GAME, { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+  }
+
+  listAllByUser(userId) {
+    return fetchAll(() => this.client
+      .from('bets')
+      .select(BET_WITH_GAME)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
+  }
+
+  listSettled({ groupId = null, since = null } = {}) {
+    return fetchAll(() => {
+      let query = this.client
+        .from('bets')
+        .select('*, users(username), games!inner(id, group_id, status, finished_at)')
+        .eq('games.status', 'finished');
+
+      if (groupId !== null) query = query.eq('games.group_id', groupId);
+      if (since) query = query.gte('games.finished_at', since);
+
+      return query.order('id', { ascending: true });
+    });
+  }
+}
+
+export class SupabaseLedgerRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  // Balances are updated in the same transaction by post_ledger_entries
+  post(entries) {
+    return this.client.rpc('post_ledger_entries', { p_entries: entries });
+  }
+
+  async getBalance(account, token) {
+    const { data, error } = await this.client
+      .from('ledger_balances')
+      .select('balance')
+      .eq('account', account)
+      .eq('token', token)
+      .maybeSingle();
+
+    return { data: parseFloat(data?.balance || 0), error };
+  }
+
+  // Account names contain ':', which PostgREST reserves in filters, so
+  // the values are quoted
+  listByAccount(account) {
+    return fetchAll(() => this.client
+      .from('ledger_entries')
+      .select('*')
+      .or(`debit_account.eq."${account}",credit_account.eq."${account}"`)
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true }));
+  }
+
+  listByReference(reference) {
+    return this.client.from('ledger_entries').select('*').eq('reference', reference);
+  }
+}
+
+export class SupabaseHouseBetRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  create(row) {
+    return this.client.from('house_bets').insert(row).select().single();
+  }
+
+  update(id, fields) {
+    return this.client.from('house_bets').update(fields).eq('id', id);
+  }
+
+  listOpen() {
+    return this.client.from('house_bets').select('*').eq('status', 'open');
+  }
+}
+
+export class SupabaseSettingsRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  findByGroupId(groupId) {
+    return this.client.from('group_settings').select('*').eq('group_id', groupId).maybeSingle();
+  }
+
+  upsert(row) {
+    return this.client.from('group_settings').upsert(row);
+  }
+}
+
+export class SupabaseScheduleRepo {
+  constructor(client) {
+    this.client = client;
+  }
+
+  create(row) {
+    return this.client.from('game_schedules').insert(row).select().single();
+  }
+
+  listDue(before) {
+    return this.client
+      .from('game_schedules')
+      .select('*')
+      .eq('active', true)
+      .lte('next_run_at', before);
+  }
+
+  listActiveByGroup(groupId) {
+    return this.client
+      .from('game_schedules')
+      .select('*')
+      .eq('group_id', groupId)
+      .eq('active', true)
+      .order('next_run_at', { ascending: true });
+  }
+
+  advance(id, nextRunAt, fields) {
+    return this.client
+      .from('game_schedules')
+      .update(fields)
+      .eq('id', id)
+      .eq('next_run_at', nextRunAt)
+      .select('id');
+  }
+
+  update(id, fields) {
+    return this.client.from('game_schedules').update(fields).eq('id', id);
+  }
+}
+
+export const createSupabaseStorage = (client = getSupabase()) => ({
+  users: new SupabaseUserRepo(client),
+  wallets: new SupabaseWalletRepo(client),
+  houseWallets: new SupabaseHouseWalletRepo(client),
+  withdrawals: new SupabaseWithdrawalRepo(client),
+  games: new SupabaseGameRepo(client),
+  bets: new SupabaseBetRepo(client),
+  ledger: new SupabaseLedgerRepo(client),
+  houseBets: new SupabaseHouseBetRepo(client),
+  settings: new SupabaseSettingsRepo(client),
+  schedules: new SupabaseScheduleRepo(client)
+});
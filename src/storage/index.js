@@ -0,0 +1,85 @@
+import { createSupabaseStorage } from './SupabaseStorage.js';
+import { createMemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Storage backends by name, picked with STORAGE_BACKEND. `supabase`
+ * talks to the hosted database; `memory` keeps everything in the process
+ * so the bot runs offline (data is lost on restart).
+ *
+ * A backend is a set of repositories. Every method resolves to
+ * { data, error } like a Supabase query, with error.message on failure:
+ *
+ *   users
+ *     findByTelegramId(telegramId), findById(id) -> user or null
+ *     create({ telegram_id, username }) -> user
+ *     addStats(id, increments) -> adds { column: amount } to the user's counters
+ *   wallets
+ *     create(row) -> wallet
+ *     findByUserId(userId) -> the user's Solana wallet or null
+ *     listWithOwners() -> Solana wallets with users: { telegram_id }
+ *     update(id, fields)
+ *   houseWallets
+ *     find(chain) -> the wallet deposits are swept into, or null
+ *     create(row) -> house wallet; fails if the chain already has one
+ *   withdrawals
+ *     create(row) -> withdrawal
+ *     transition(id, userId, from, fields) -> withdrawal, or null unless it was in status `from`
+ *     update(id, fields)
+ *     listByStatus(statuses) -> withdrawals, oldest first
+ *   games
+ *     create(row) -> game
+ *     update(id, fields, { status }) -> updated games; only matches while in `status` when given
+ *     listByStatus(statuses) -> games
+ *     findWithBetIds(id) -> game with bets: [{ id }], or null
+ *     listFinishedSince(since) -> [{ id, group_id }]
+ *   bets
+ *     create(row) -> bet
+ *     update(id, fields), delete(id)
+ *     listByGame(gameId) -> bets with users: { username }, oldest first
+ *     findLatestByUser(userId) -> bet or null
+ *     listByUser(userId, { offset, limit }) -> { data: bets with games: {...}, count }, newest first
+ *     listAllByUser(userId) -> bets with games: {...}, oldest first
+ *     listSettled({ groupId, since }) -> bets of finished games with users and games: { id, group_id, status, finished_at }
+ *   ledger
+ *     post(entries) -> entries, applied together or not at all. Fails with
+ *       "insufficient_funds" when an account other than 'external' would go
+ *       negative and "duplicate_reference" when (type, token, reference) exists
+ *     getBalance(account, token) -> number
+ *     listByAccount(account) -> entries in or out of the account, oldest first
+ *     listByReference(reference) -> entries
+ *   houseBets
+ *     create(row) -> house bet
+ *     update(id, fields)
+ *     listOpen() -> house bets
+ *   settings
+ *     findByGroupId(groupId) -> group_settings row or null
+ *     upsert(row)
+ *   schedules
+ *     create(row) -> schedule
+ *     listDue(before) -> active schedules with next_run_at <= before
+ *     listActiveByGroup(groupId) -> active schedules, soonest first
+ *     advance(id, nextRunAt, fields) -> updated schedules; only matches while next_run_at is unchanged
+ *     update(id, fields)
+ */
+export const STORAGE_BACKENDS = {
+  supabase: createSupabaseStorage,
+  memory: createMemoryStorage
+};
+
+export const createStorage = (backend = process.env.STORAGE_BACKEND || 'supabase') => {
+  const create = STORAGE_BACKENDS[backend];
+  if (!create) {
+    throw new Error(`Unknown storage backend "${backend}"`);
+  }
+  return create();
+};
+
+let storage = null;
+
+// The backend shared by every manager that isn't given one
+export const getStorage = () => {
+  if (!storage) {
+    storage = createStorage();
+  }
+  return storage;
+};
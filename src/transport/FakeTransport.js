@@ -0,0 +1,244 @@
+// Telegram rejects legacy Markdown with an entity left open, e.g. the _
+// in an unescaped @user_name. Code spans are literal, escapes are dropped.
+const isValidMarkdown = (text = '') => {
+  const plain = String(text).replace(/\\[_*`[]/g, '').replace(/`[^`]*`/g, '');
+  return !plain.includes('`') &&
+    (plain.match(/_/g) || []).length % 2 === 0 &&
+    (plain.match(/\*/g) || []).length % 2 === 0;
+};
+
+/**
+ * A scripted stand-in for Telegram. Every call the bot makes is recorded
+ * in `calls`, and messages keep their latest text so edits (the lobby)
+ * can be read back. Tests drive the bot with command() and press(),
+ * which resolve once the bot's handlers have finished.
+ *
+ *   const telegram = new FakeTransport();
+ *   const bot = new DiceItBot({ transport: telegram, storage });
+ *   await bot.start();
+ *   await telegram.command('/startgame', { chatId: -100, userId: 1 });
+ *   await telegram.press('start_D6_crypto', { chatId: -100, userId: 1 });
+ *   telegram.lastMessage(-100).text;
+ */
+class FakeTransport {
+  constructor() {
+    this.textHandlers = [];
+    this.listeners = new Map(); // event -> [listener]
+    this.calls = []; // { method, chatId, text, options, ... }
+    this.messages = new Map(); // 'chatId:messageId' -> message
+    this.nextMessageId = 1;
+    this.nextUpdateId = 1;
+    this.diceValues = []; // queued results for sendDice
+    this.chatMembers = new Map(); // 'chatId:userId' -> status
+    this.blockedChats = new Set();
+    this.isRunning = false;
+  }
+
+  // --- what the bot registers ---
+
+  onText(regexp, callback) {
+    this.textHandlers.push({ regexp, callback });
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, []);
+    this.listeners.get(event).push(listener);
+  }
+
+  async start() {
+    this.isRunning = true;
+  }
+
+  async stop() {
+    this.isRunning = false;
+  }
+
+  // --- scripting ---
+
+  // Values the next sendDice calls roll, in order. Unqueued rolls are random.
+  queueDice(...values) {
+    this.diceValues.push(...values);
+  }
+
+  // 'creator', 'administrator', 'member', ... for getChatMember
+  setChatMember(chatId, userId, status) {
+    this.chatMembers.set(`${chatId}:${userId}`, status);
+  }
+
+  // Sends to this chat fail with 403, like a user who never opened the bot
+  blockChat(chatId) {
+    this.blockedChats.add(chatId);
+  }
+
+  // A text message from userId in chatId (negative ids are groups).
+  // Resolves to the message once every matching handler has run.
+  async command(text, { chatId, userId, username = `user${userId}`, firstName = username, replyTo = null } = {}) {
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' },
+      from: { id: userId, is_bot: false, username, first_name: firstName },
+      text,
+      ...(replyTo && { reply_to_message: replyTo })
+    };
+
+    const handled = [];
+    for (const { regexp, callback } of this.textHandlers) {
+      regexp.lastIndex = 0;
+      const match = regexp.exec(text);
+      if (match) handled.push(callback(message, match));
+    }
+    await Promise.all([...handled, ...this.emit('message', message)]);
+
+    return message;
+  }
+
+  // A press on an inline button of messageId (defaults to the chat's
+  // latest message). Resolves to the callback query once handled.
+  async press(data, { chatId, userId, username = `user${userId}`, firstName = username, messageId = null } = {}) {
+    const message = messageId !== null
+      ? this.getMessage(chatId, messageId)
+      : this.lastMessage(chatId);
+
+    const query = {
+      id: String(this.nextUpdateId++),
+      from: { id: userId, is_bot: false, username, first_name: firstName },
+      message: message || { message_id: messageId, chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' } },
+      data
+    };
+
+    await Promise.all(this.emit('callback_query', query));
+    return query;
+  }
+
+  emit(event, payload) {
+    return (this.listeners.get(event) || []).map(listener => listener(payload));
+  }
+
+  // --- reading back what the bot did ---
+
+  callsTo(chatId, method = null) {
+    return this.calls.filter(call => call.chatId === chatId && (!method || call.method === method));
+  }
+
+  // Messages sent to the chat, with their current (possibly edited) text
+  messagesIn(chatId) {
+    return [...this.messages.values()].filter(message => message.chat.id === chatId);
+  }
+
+  lastMessage(chatId) {
+    const messages = this.messagesIn(chatId);
+    return messages[messages.length - 1] || null;
+  }
+
+  getMessage(chatId, messageId) {
+    return this.messages.get(`${chatId}:${messageId}`) || null;
+  }
+
+  // Callback answers, e.g. to check the toast a button press showed
+  answers() {
+    return this.calls.filter(call => call.method === 'answerCallbackQuery');
+  }
+
+  clear() {
+    this.calls = [];
+  }
+
+  // --- the Telegram methods the bot calls ---
+
+  record(method, chatId, fields = {}) {
+    if (this.blockedChats.has(chatId)) {
+      const error = new Error('ETELEGRAM: 403 Forbidden: bot was blocked by the user');
+      error.code = 'ETELEGRAM';
+      error.response = { statusCode: 403 };
+      return Promise.reject(error);
+    }
+
+    if (fields.options?.parse_mode === 'Markdown' && !isValidMarkdown(fields.text)) {
+      const error = new Error('ETELEGRAM: 400 Bad Request: can\'t parse entities');
+      error.code = 'ETELEGRAM';
+      error.response = { statusCode: 400 };
+      return Promise.reject(error);
+    }
+
+    this.calls.push({ method, chatId, ...fields });
+    return null;
+  }
+
+  post(method, chatId, fields) {
+    const blocked = this.record(method, chatId, fields);
+    if (blocked) return blocked;
+
+    const message = {
+      message_id: this.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: chatId, type: chatId < 0 ? 'group' : 'private' },
+      ...fields
+    };
+    this.messages.set(`${chatId}:${message.message_id}`, message);
+    this.calls[this.calls.length - 1].messageId = message.message_id;
+
+    return Promise.resolve(structuredClone(message));
+  }
+
+  sendMessage(chatId, text, options = {}) {
+    return this.post('sendMessage', chatId, { text, options, reply_markup: options.reply_markup });
+  }
+
+  sendPhoto(chatId, photo, options = {}) {
+    return this.post('sendPhoto', chatId, { text: options.caption, options });
+  }
+
+  sendDocument(chatId, document, options = {}, fileOptions = {}) {
+    return this.post('sendDocument', chatId, { document, filename: fileOptions.filename, options });
+  }
+
+  sendDice(chatId, options = {}) {
+    const value = this.diceValues.length > 0 ? this.diceValues.shift() : Math.floor(Math.random() * 6) + 1;
+    return this.post('sendDice', chatId, { dice: { emoji: options.emoji || '🎲', value }, options });
+  }
+
+  editMessageText(text, options = {}) {
+    const blocked = this.record('editMessageText', options.chat_id, { text, messageId: options.message_id, options });
+    if (blocked) return blocked;
+
+    const message = this.getMessage(options.chat_id, options.message_id);
+    if (!message) {
+      return Promise.reject(new Error('ETELEGRAM: 400 Bad Request: message to edit not found'));
+    }
+
+    message.text = text;
+    message.reply_markup = options.reply_markup;
+    return Promise.resolve(structuredClone(message));
+  }
+
+  deleteMessage(chatId, messageId) {
+    const blocked = this.record('deleteMessage', chatId, { messageId });
+    if (blocked) return blocked;
+
+    this.messages.delete(`${chatId}:${messageId}`);
+    return Promise.resolve(true);
+  }
+
+  answerCallbackQuery(queryId, options = {}) {
+    this.calls.push({ method: 'answerCallbackQuery', queryId, text: options.text, options });
+    return Promise.resolve(true);
+  }
+
+  pinChatMessage(chatId, messageId, options = {}) {
+    return this.record('pinChatMessage', chatId, { messageId, options }) || Promise.resolve(true);
+  }
+
+  unpinChatMessage(chatId, options = {}) {
+    return this.record('unpinChatMessage', chatId, { messageId: options.message_id, options }) || Promise.resolve(true);
+  }
+
+  getChatMember(chatId, userId) {
+    return Promise.resolve({
+      user: { id: userId, is_bot: false },
+      status: this.chatMembers.get(`${chatId}:${userId}`) || 'member'
+    });
+  }
+}
+
+export default FakeTransport;
@@ -0,0 +1,25 @@
+import TelegramBot from 'node-telegram-bot-api';
+import logger from '../lib/logger.js';
+
+/**
+ * Long polling with getUpdates. Needs no public address, so it's the
+ * default for development and single-instance deployments.
+ */
+class PollingTransport extends TelegramBot {
+  constructor(token) {
+    super(token, { polling: { autoStart: false } });
+    this.on('polling_error', (error) => logger.error('Polling error:', error));
+  }
+
+  async start() {
+    // getUpdates is refused while a webhook is set, e.g. after switching back
+    await this.deleteWebHook();
+    await this.startPolling();
+  }
+
+  async stop() {
+    await this.stopPolling();
+  }
+}
+
+export default PollingTransport;
@@ -0,0 +1,121 @@
+import http from 'http';
+import { timingSafeEqual } from 'crypto';
+import TelegramBot from 'node-telegram-bot-api';
+import logger from '../lib/logger.js';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// What Telegram accepts as secret_token
+const SECRET_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
+/**
+ * Telegram pushes updates to url, the public address of a reverse proxy
+ * that terminates TLS and forwards to port and path on this machine.
+ * Requests must carry the secret in X-Telegram-Bot-Api-Secret-Token,
+ * which Telegram sends on every update once it was given to setWebHook;
+ * anything else gets a 401.
+ *
+ * GET /health answers 200 for load balancer checks.
+ */
+class WebhookTransport extends TelegramBot {
+  constructor(token, { url, secret, port = 8080, host = '0.0.0.0', path = '/telegram' } = {}) {
+    super(token, { polling: false });
+
+    if (!url) {
+      throw new Error('WEBHOOK_URL is not set');
+    }
+    if (!SECRET_PATTERN.test(secret || '')) {
+      throw new Error('WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+    }
+
+    this.webhook = { url, secret, port, host, path };
+    this.server = null;
+  }
+
+  isAuthorized(req) {
+    const given = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+    const expected = Buffer.from(this.webhook.secret);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  handleRequest(req, res) {
+    const reply = (status) => {
+      res.writeHead(status);
+      res.end();
+    };
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname === '/health') {
+      reply(200);
+      return;
+    }
+
+    if (req.method !== 'POST' || pathname !== this.webhook.path) {
+      reply(404);
+      return;
+    }
+
+    if (!this.isAuthorized(req)) {
+      logger.warn(`Rejected webhook request from ${req.socket.remoteAddress}: bad secret token`);
+      reply(401);
+      req.resume();
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reply(413);
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      let update;
+      try {
+        update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      } catch {
+        reply(400);
+        return;
+      }
+
+      // Acknowledge first: Telegram resends updates that aren't answered
+      // with a 2xx, and a failing handler shouldn't replay the update
+      reply(200);
+
+      try {
+        this.processUpdate(update);
+      } catch (error) {
+        logger.error(`Error handling update ${update.update_id}: ${error.message}`);
+      }
+    });
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.webhook.port, this.webhook.host, resolve);
+    });
+
+    await this.setWebHook(this.webhook.url, { secret_token: this.webhook.secret });
+    logger.info(`🌐 Listening for webhook updates on port ${this.webhook.port} (${this.webhook.url})`);
+  }
+
+  // The webhook stays registered so Telegram queues updates until we're back
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+export default WebhookTransport;
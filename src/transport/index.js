@@ -0,0 +1,46 @@
+import PollingTransport from './PollingTransport.js';
+import WebhookTransport from './WebhookTransport.js';
+import FakeTransport from './FakeTransport.js';
+
+/**
+ * How the bot talks to Telegram, picked with TELEGRAM_TRANSPORT. `polling`
+ * asks Telegram for updates; `webhook` has Telegram push them to a local
+ * HTTP server (WEBHOOK_URL, WEBHOOK_SECRET, WEBHOOK_PORT, WEBHOOK_PATH).
+ * FakeTransport is passed to DiceItBot directly by tests.
+ *
+ * A transport has the node-telegram-bot-api methods the bot uses:
+ *
+ *   onText(regexp, callback(msg, match)), on('callback_query' | 'error', listener)
+ *   start(), stop() -> begin and end receiving updates
+ *   sendMessage(chatId, text, options) -> message
+ *   editMessageText(text, { chat_id, message_id, ... }), deleteMessage(chatId, messageId)
+ *   sendDice(chatId, { emoji }) -> message with dice: { value }
+ *   sendPhoto(chatId, photo, options), sendDocument(chatId, document, options, fileOptions)
+ *   answerCallbackQuery(queryId, options)
+ *   pinChatMessage(chatId, messageId, options), unpinChatMessage(chatId, { message_id })
+ *   getChatMember(chatId, userId) -> { status }
+ *
+ * Failed sends reject with error.response.statusCode set, like the API.
+ */
+export const TRANSPORTS = {
+  polling: (token) => new PollingTransport(token),
+  webhook: (token) => new WebhookTransport(token, {
+    url: process.env.WEBHOOK_URL,
+    secret: process.env.WEBHOOK_SECRET,
+    port: parseInt(process.env.WEBHOOK_PORT || 8080),
+    path: process.env.WEBHOOK_PATH || '/telegram'
+  })
+};
+
+export const createTransport = (mode = process.env.TELEGRAM_TRANSPORT || 'polling', token = process.env.TELEGRAM_BOT_TOKEN) => {
+  const create = TRANSPORTS[mode];
+  if (!create) {
+    throw new Error(`Unknown Telegram transport "${mode}"`);
+  }
+  if (!token) {
+    throw new Error('TELEGRAM_BOT_TOKEN is not set');
+  }
+  return create(token);
+};
+
+export { PollingTransport, WebhookTransport, FakeTransport };
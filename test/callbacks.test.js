@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, GROUP_ID, ADMIN_ID } from './helpers/harness.js';
+
+// Callback data comes back from the client, so anyone can send any string.
+// Every press must be answered or ignored, never throw.
+
+const setup = async (t) => {
+  const h = await createHarness();
+  t.after(() => h.stop());
+
+  h.press = async (data, userId = ADMIN_ID) => {
+    h.telegram.clear();
+    await h.telegram.press(data, { chatId: GROUP_ID, userId });
+    return h.telegram.answers().map(answer => answer.text);
+  };
+  return h;
+};
+
+test('forged game setup buttons are refused', async (t) => {
+  const h = await setup(t);
+  await h.telegram.command('/startgame', { chatId: GROUP_ID, userId: ADMIN_ID });
+
+  assert.deepEqual(await h.press('mode_constructor'), ['Unknown game mode']);
+  assert.deepEqual(await h.press('mode___proto__'), ['Unknown game mode']);
+  assert.deepEqual(await h.press('start_D6_telegram_constructor_closest'), ['Unknown payout policy']);
+  assert.deepEqual(await h.press('start_D6_telegram_toString_closest'), ['Unknown payout policy']);
+  assert.deepEqual(await h.press('start_D6_telegram_equal_constructor'), ['Unknown game mode']);
+  assert.deepEqual(await h.press('start_D6_constructor_equal_closest'), ['constructor randomness is not available for D6']);
+  assert.deepEqual(await h.press('start_D100_telegram_equal_closest'), ['telegram randomness is not available for D100']);
+  assert.deepEqual(await h.press('start_D12_crypto_equal_closest'), ['Closest number can\'t be played with D12']);
+
+  assert.equal(h.games.getActiveGame(GROUP_ID), undefined);
+  assert.equal(h.storage.db.games.filter(() => true).length, 0);
+});
+
+test('forged join wizard steps are refused', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  await h.startGame();
+
+  assert.deepEqual(await h.press('join_10_t_constructor', 10), ['Unknown token']);
+  assert.deepEqual(await h.press('join_10_s_BTC_1_p_3', 10), ['Unknown token']);
+  assert.deepEqual(await h.press('join_11_t_SOL', 10), ['This bet slip isn\'t yours, tap 🎯 Join on the game message']);
+
+  // NaN would pass every range check and stake nothing
+  assert.deepEqual(await h.press('join_10_s_SOL_abc_p_3', 10), ['Stake must be greater than 0']);
+  assert.deepEqual(await h.press('join_10_s_SOL_0.5_p_9', 10), ['Choose a number between 1 and 6']);
+  assert.deepEqual(await h.press('join_10_s_SOL_50_p_3', 10), ['SOL stakes must be between 0.01 and 10']);
+  assert.equal(h.games.getActiveGame(GROUP_ID).players.length, 0);
+
+  assert.deepEqual(await h.press('join_10_s_SOL_0.5_p_3', 10), ['Joined with 0.5000 SOL']);
+  assert.equal(await h.balance(alice, 'SOL'), 0.5);
+});
+
+test('forged settings buttons leave the settings alone', async (t) => {
+  const h = await setup(t);
+  await h.telegram.command('/settings', { chatId: GROUP_ID, userId: ADMIN_ID });
+  const before = structuredClone(await h.bot.settingsManager.get(GROUP_ID));
+
+  assert.deepEqual(await h.press('settings_token_constructor'), ['Unknown token']);
+  assert.deepEqual(await h.press('settings_min_constructor_1'), ['Unsupported stake limit']);
+  assert.deepEqual(await h.press('settings_max_BTC_1'), ['Unsupported stake limit']);
+  assert.deepEqual(await h.press('settings_countdown_7'), ['Unsupported countdown']);
+  assert.deepEqual(await h.press('settings_bogus'), ['Unknown setting']);
+
+  // Unknown views fall back to the main menu
+  for (const data of ['settings_view', 'settings_view_stakeBTC', 'settings_view_stakeconstructor']) {
+    await h.press(data);
+    assert.match(h.lastText(), /Game Settings/);
+  }
+
+  assert.deepEqual(await h.bot.settingsManager.get(GROUP_ID), before);
+
+  // Players who aren't admins can't press them at all
+  await h.addPlayer(10);
+  const [denied] = await h.press('settings_countdown_60', 10);
+  assert.match(denied, /^⛔/);
+});
+
+test('forged leaderboard and history buttons are ignored', async (t) => {
+  const h = await setup(t);
+  await h.addPlayer(10);
+  await h.telegram.command('/leaderboard', { chatId: GROUP_ID, userId: 10 });
+
+  assert.deepEqual(await h.press('lb_group_constructor_all', 10), ['Unknown leaderboard']);
+  assert.deepEqual(await h.press('lb_group_profit_hasOwnProperty', 10), ['Unknown leaderboard']);
+  assert.deepEqual(await h.press('lb_planet_profit_all', 10), ['Unknown leaderboard']);
+  assert.deepEqual(await h.press('history_abc', 10), [undefined]);
+  assert.deepEqual(await h.press('history_-1', 10), [undefined]);
+  assert.deepEqual(await h.press('nonsense', 10), []);
+});
+
+test('a handler that throws is logged instead of taking the bot down', async (t) => {
+  const h = await setup(t);
+  await h.addPlayer(10);
+  await h.startGame();
+
+  h.bot.gameManager.getActiveGame = () => {
+    throw new Error('storage is down');
+  };
+
+  // Both resolve: nothing is left as an unhandled rejection
+  await h.press('join_10_t_SOL', 10);
+  await h.telegram.command('/pot', { chatId: GROUP_ID, userId: 10 });
+
+  // The bot keeps answering everything else
+  await h.telegram.command('/help', { chatId: GROUP_ID, userId: 10 });
+  assert.match(h.lastText(), /DiceIt - Help/);
+});
+
+test('/bankroll tells everyone but the bot owner who may use it', async (t) => {
+  const h = await setup(t);
+  await h.addPlayer(10);
+
+  await h.telegram.command('/bankroll fund 1 SOL', { chatId: 10, userId: 10 });
+  assert.equal(h.lastText(10), '⛔ Only the bot owner can manage the bankroll');
+
+  await h.telegram.command('/bankroll', { chatId: ADMIN_ID, userId: ADMIN_ID });
+  assert.match(h.lastText(ADMIN_ID), /Bankroll/);
+});
+
+test('/help shows the house fee the group plays with', async (t) => {
+  const h = await setup(t);
+  await h.addPlayer(10);
+  await h.storage.settings.upsert({ group_id: GROUP_ID, house_fee_percent: 3.5 });
+
+  await h.telegram.command('/help', { chatId: GROUP_ID, userId: 10 });
+  assert.match(h.lastText(), /House fee in this group: 3\.5%/);
+
+  await h.telegram.command('/help', { chatId: 10, userId: 10 });
+  assert.match(h.lastText(10), /Each group has its own house fee/);
+});
@@ -0,0 +1,433 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness, settle, GROUP_ID, ADMIN_ID } from './helpers/harness.js';
+
+// A bot on a fake clock. Timers only fire through advance().
+const setup = async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+  const h = await createHarness();
+  t.after(() => h.stop());
+
+  h.advance = async (seconds) => {
+    t.mock.timers.tick(seconds * 1000);
+    await settle();
+  };
+  return h;
+};
+
+const closeTo = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+test('tied players split the pot and the house keeps its fee', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+  const carol = await h.addPlayer(12, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 5');
+  await h.command(carol, '/dice 0.5 SOL 6');
+
+  const result = await h.roll(4);
+
+  assert.ok(result.success, result.error);
+  assert.deepEqual(result.winners.map(w => w.userId).sort(), [alice.id, bob.id].sort());
+  closeTo(result.houseFee.SOL, 0.03);
+  closeTo(await h.balance(alice, 'SOL'), 1.235);
+  closeTo(await h.balance(bob, 'SOL'), 1.235);
+  closeTo(await h.balance(carol, 'SOL'), 0.5);
+  closeTo(await h.houseBalance('SOL'), 0.03);
+  await h.assertLedgerBalanced();
+
+  // Winners wagered their stake as much as losers did
+  const { data: stats } = await h.storage.users.findById(alice.id);
+  assert.equal(stats.total_games, 1);
+  assert.equal(stats.total_wins, 1);
+  closeTo(stats.total_wagered_sol, 0.5);
+  closeTo(stats.total_won_sol, 0.735);
+
+  const { data: game } = await h.storage.games.findWithBetIds(result.gameId);
+  assert.equal(game.status, 'finished');
+  assert.equal(h.games.getActiveGame(GROUP_ID), undefined);
+});
+
+test('SOL and USDC stakes are settled as separate pools', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+  const carol = await h.addPlayer(12, { USDC: 50 });
+  const dave = await h.addPlayer(13, { USDC: 50 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 1');
+  await h.command(bob, '/dice 0.5 SOL 6');
+  await h.command(carol, '/dice 10 USDC 6');
+  await h.command(dave, '/dice usdc 10 2');
+
+  const result = await h.roll(2);
+
+  assert.ok(result.success, result.error);
+  assert.deepEqual(result.settlement.map(pool => [pool.token, pool.payouts.map(p => p.userId)]), [
+    ['SOL', [alice.id]],
+    ['USDC', [dave.id]]
+  ]);
+  closeTo(await h.balance(alice, 'SOL'), 1.48);
+  closeTo(await h.balance(dave, 'USDC'), 59.6);
+  closeTo(await h.balance(carol, 'USDC'), 40);
+  assert.deepEqual(result.houseFee, { SOL: 0.02, USDC: 0.4 });
+  await h.assertLedgerBalanced();
+});
+
+test('a game nobody joins is extended once, then cancelled', async (t) => {
+  const h = await setup(t);
+  await h.startGame();
+
+  await h.advance(60);
+  assert.match(h.lastText(), /extended by 30s/);
+  assert.ok(h.games.getActiveGame(GROUP_ID));
+
+  await h.advance(30);
+  assert.match(h.lastText(), /Game cancelled.*\n\nNobody had joined/s);
+  assert.equal(h.games.getActiveGame(GROUP_ID), undefined);
+  await h.assertLedgerBalanced();
+});
+
+test('a lone player can\'t roll and is refunded when the game is cancelled', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.4 SOL 3');
+  closeTo(await h.balance(alice, 'SOL'), 0.6);
+
+  await h.telegram.command('/roll', { chatId: GROUP_ID, userId: ADMIN_ID });
+  assert.equal(h.lastText(), '❌ Need at least 2 players to roll, there are 1');
+
+  await h.advance(60);
+  assert.match(h.lastText(), /1 more needed/);
+
+  await h.advance(30);
+  assert.match(h.lastText(), /All 1 stakes were refunded/);
+  closeTo(await h.balance(alice, 'SOL'), 1);
+  await h.assertLedgerBalanced();
+});
+
+test('a roll with too few players left refunds instead of paying out', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 4');
+  await h.command(bob, '/leave');
+
+  const result = await h.roll(3);
+
+  assert.match(result.error, /Not enough players/);
+  closeTo(await h.balance(alice, 'SOL'), 1);
+  closeTo(await h.balance(bob, 'SOL'), 1);
+  closeTo(await h.houseBalance('SOL'), 0);
+  await h.assertLedgerBalanced();
+});
+
+test('bets above the balance are rejected without touching it', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 0.1 });
+  const bob = await h.addPlayer(11);
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  assert.equal(h.lastText(), '❌ Insufficient SOL balance. You have 0.1 SOL');
+
+  await h.command(bob, '/dice 1 USDC 3');
+  assert.equal(h.lastText(), '❌ Insufficient USDC balance. You have 0 USDC');
+
+  assert.equal(h.games.getActiveGame(GROUP_ID).players.length, 0);
+  closeTo(await h.balance(alice, 'SOL'), 0.1);
+  assert.equal(h.storage.db.bets.filter(() => true).length, 0);
+});
+
+test('a double-sent /dice joins once and stakes once', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+
+  await h.startGame();
+  await Promise.all([
+    h.command(alice, '/dice 0.3 SOL 3'),
+    h.command(alice, '/dice 0.3 SOL 3')
+  ]);
+
+  assert.equal(h.games.getActiveGame(GROUP_ID).players.length, 1);
+  assert.equal(h.storage.db.bets.filter(() => true).length, 1);
+  closeTo(await h.balance(alice, 'SOL'), 0.7);
+  assert.ok(h.telegram.messagesIn(GROUP_ID).some(m => m.text === '❌ You already joined this game!'));
+});
+
+test('concurrent joins in two groups can\'t spend the same balance twice', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const otherGroup = GROUP_ID - 1;
+
+  await h.startGame();
+  await h.startGame({ chatId: otherGroup });
+  await Promise.all([
+    h.command(alice, '/dice 0.6 SOL 3'),
+    h.command(alice, '/dice 0.6 SOL 3', otherGroup)
+  ]);
+
+  const joined = [GROUP_ID, otherGroup].filter(chatId => h.games.getActiveGame(chatId).players.length === 1);
+  assert.equal(joined.length, 1);
+  assert.equal(h.storage.db.bets.filter(() => true).length, 1);
+  closeTo(await h.balance(alice, 'SOL'), 0.4);
+});
+
+test('concurrent joins don\'t overfill a game', async (t) => {
+  const h = await setup(t);
+  await h.bot.settingsManager.update(GROUP_ID, { type: 'maxplayers', value: 2 });
+  const players = [];
+  for (const id of [10, 11, 12]) {
+    players.push(await h.addPlayer(id, { SOL: 1 }));
+  }
+
+  await h.startGame();
+  await Promise.all(players.map(player => h.command(player, '/dice 0.1 SOL 3')));
+
+  assert.equal(h.games.getActiveGame(GROUP_ID).players.length, 2);
+  assert.ok(h.telegram.messagesIn(GROUP_ID).some(m => m.text === '❌ This game is full (2 players)'));
+
+  const balances = await Promise.all(players.map(player => h.balance(player, 'SOL')));
+  assert.equal(balances.filter(balance => balance === 1).length, 1);
+});
+
+test('a stake that lands after betting closed is refunded', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+  const carol = await h.addPlayer(12, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 4');
+
+  // Betting closes while Carol's stake is being posted
+  const stake = h.bot.ledger.stake.bind(h.bot.ledger);
+  h.bot.ledger.stake = async (...args) => {
+    assert.ok((await h.games.beginRoll(GROUP_ID)).success);
+    return stake(...args);
+  };
+  await h.command(carol, '/dice 0.5 SOL 5');
+
+  assert.equal(h.games.getActiveGame(GROUP_ID).players.length, 2);
+  assert.equal(h.lastText(), '❌ The dice are already rolling!');
+  closeTo(await h.balance(carol, 'SOL'), 1);
+  assert.equal(h.storage.db.bets.filter(bet => bet.user_id === carol.id).length, 0);
+
+  // The game settles between the two players, with nothing left behind
+  const result = await h.games.rollDice(GROUP_ID, [3]);
+  assert.equal(result.totalPlayers, 2);
+  await h.assertLedgerBalanced();
+});
+
+test('the countdown warns, then rolls and settles on its own', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 2');
+  await h.command(bob, '/dice 0.5 SOL 5');
+  h.telegram.queueDice(6);
+
+  await h.advance(50);
+  assert.equal(h.lastText(), '⏳ 10 seconds left! Last chance to join.');
+
+  await h.advance(10);
+  assert.equal(h.games.getActiveGame(GROUP_ID).status, 'rolling');
+  assert.equal(h.telegram.callsTo(GROUP_ID, 'sendDice').length, 1);
+
+  // The result is announced after the dice animation
+  await h.advance(4);
+  assert.match(h.lastText(), /Game Finished!/);
+  assert.match(h.lastText(), /@user11 \(picked 5\) → 0\.9800 SOL/);
+  assert.equal(h.games.getActiveGame(GROUP_ID), undefined);
+  closeTo(await h.balance(bob, 'SOL'), 1.48);
+  await h.assertLedgerBalanced();
+});
+
+test('usernames with Markdown characters don\'t stop the result being announced', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 }, 'alice_b');
+  const bob = await h.addPlayer(11, { SOL: 1 }, 'bob*c');
+
+  await h.startGame({ mode: 'highroller' });
+  await h.command(alice, '/dice 0.5 SOL');
+  await h.command(bob, '/dice 0.5 SOL');
+  h.telegram.queueDice(2, 5);
+
+  await h.advance(60);
+  await h.advance(4);
+  assert.match(h.lastText(), /Game Finished!/);
+  assert.match(h.lastText(), /@alice\\_b: \*\*2\*\*/);
+  assert.match(h.lastText(), /@bob\\\*c \(rolls when the countdown ends\) → 0\.9800 SOL/);
+  await h.assertLedgerBalanced();
+});
+
+test('usernames with Markdown characters don\'t break the leaderboard or the weekly recap', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 }, 'alice_b');
+  const bob = await h.addPlayer(11, { SOL: 1 }, 'bob');
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 6');
+  await h.roll(3);
+
+  await h.command(bob, '/leaderboard');
+  assert.match(h.lastText(), /🥇 @alice\\_b - \+0\.4800 SOL/);
+
+  await h.bot.postWeeklySummary(GROUP_ID);
+  assert.match(h.lastText(), /Weekly Recap/);
+  assert.match(h.lastText(), /Most wins: @alice\\_b \(1\)/);
+});
+
+test('a failed announcement after the roll is logged, the round still settles', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 2');
+  await h.command(bob, '/dice 0.5 SOL 5');
+  h.telegram.queueDice(6);
+  await h.advance(60);
+
+  // Telegram refuses everything from here on. An unhandled rejection
+  // would fail this test.
+  h.telegram.blockChat(GROUP_ID);
+  await h.advance(4);
+
+  assert.equal(h.games.getActiveGame(GROUP_ID), undefined);
+  closeTo(await h.balance(bob, 'SOL'), 1.48);
+  await h.assertLedgerBalanced();
+});
+
+test('a cancellation whose refunds fail keeps the game for a restart to refund', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 4');
+
+  const post = h.bot.ledger.post;
+  const refunds = t.mock.method(h.bot.ledger, 'post', (entries) =>
+    entries.some(entry => entry.entry_type === 'refund')
+      ? { error: 'Failed to update balances' }
+      : post.call(h.bot.ledger, entries));
+
+  await h.telegram.command('/cancelgame', { chatId: GROUP_ID, userId: ADMIN_ID });
+  assert.match(h.lastText(), /Failed to refund the stakes/);
+  closeTo(await h.balance(alice, 'SOL'), 0.5);
+
+  // Betting is closed, the game waits to be cancelled again
+  const game = h.games.getActiveGame(GROUP_ID);
+  assert.equal(game.status, 'rolling');
+  assert.equal(h.storage.db.games.get(game.gameId).status, 'rolling');
+
+  refunds.mock.restore();
+  await h.restart();
+
+  assert.match(h.lastText(), /cancelled and all stakes were refunded/);
+  assert.equal(h.storage.db.games.get(game.gameId).status, 'cancelled');
+  closeTo(await h.balance(alice, 'SOL'), 1);
+  closeTo(await h.balance(bob, 'SOL'), 1);
+  await h.assertLedgerBalanced();
+});
+
+test('a bet whose stake was never posted is dropped on restart', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+  const carol = await h.addPlayer(12, { SOL: 1 });
+
+  const { gameId } = await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 4');
+
+  // The process died between writing carol's bet and taking her stake
+  const { data: bet } = await h.storage.bets.create({ game_id: gameId, user_id: carol.id, chosen_number: 5, stake_amount: 0.5, token: 'SOL' });
+
+  await h.restart();
+
+  assert.deepEqual(h.games.getActiveGame(GROUP_ID).players.map(p => p.userId), [alice.id, bob.id]);
+  assert.equal(h.storage.db.bets.get(bet.id), null);
+
+  const result = await h.roll(3);
+  assert.ok(result.success, result.error);
+  closeTo(await h.balance(carol, 'SOL'), 1);
+  await h.assertLedgerBalanced();
+});
+
+test('a game settled just before a crash has its results written on restart', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+
+  const { gameId } = await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 6');
+
+  // The pot is paid out, then the process dies before any bet is updated
+  const update = t.mock.method(h.storage.bets, 'update', () => {
+    throw new Error('process died');
+  });
+  await assert.rejects(h.roll(3), /process died/);
+  update.mock.restore();
+
+  await h.restart();
+
+  const game = h.storage.db.games.get(gameId);
+  assert.equal(game.status, 'finished');
+  assert.deepEqual(game.winner_ids, [alice.id]);
+  closeTo(game.house_fee_sol, 0.02);
+
+  const bets = h.storage.db.bets.filter(bet => bet.game_id === gameId);
+  assert.deepEqual(bets.map(bet => [bet.user_id, bet.won]), [[alice.id, true], [bob.id, false]]);
+  closeTo(bets[0].payout, 0.98);
+
+  const { data: stats } = await h.storage.users.findById(alice.id);
+  assert.equal(stats.total_games, 1);
+  assert.equal(stats.total_wins, 1);
+  closeTo(stats.total_wagered_sol, 0.5);
+  closeTo(stats.total_won_sol, 0.98);
+
+  const { data: loser } = await h.storage.users.findById(bob.id);
+  assert.equal(loser.total_games, 1);
+  assert.equal(loser.total_wins ?? 0, 0);
+  closeTo(await h.balance(alice, 'SOL'), 1.48);
+  await h.assertLedgerBalanced();
+});
+
+test('/cancelgame refunds every stake', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { USDC: 20 });
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 5 USDC 4');
+
+  await h.telegram.command('/cancelgame', { chatId: GROUP_ID, userId: ADMIN_ID });
+
+  assert.match(h.lastText(), /All 2 stakes were refunded/);
+  closeTo(await h.balance(alice, 'SOL'), 1);
+  closeTo(await h.balance(bob, 'USDC'), 20);
+  await h.assertLedgerBalanced();
+
+  // Nothing is left to roll when the countdown would have ended
+  await h.advance(60);
+  assert.match(h.lastText(), /All 2 stakes were refunded/);
+});
@@ -0,0 +1,25 @@
+// Imported before the bot so every module sees the test configuration.
+// The tests rely on these values, so they override the shell and .env.
+Object.assign(process.env, {
+  STORAGE_BACKEND: 'memory',
+  TELEGRAM_BOT_TOKEN: 'test-token',
+  DYNAMIC_AUTH_TOKEN: 'test-dynamic-token',
+  DYNAMIC_ENV_ID: 'test-dynamic-env',
+  HOUSE_WALLET_PASSWORD: 'test-house-password',
+  ADMIN_USER_IDS: '1',
+  GAME_COUNTDOWN_SECONDS: '60',
+  AUTO_EXTEND_SECONDS: '30',
+  ROLL_WARNING_SECONDS: '10',
+  BET_LOCK_SECONDS: '5',
+  MIN_PLAYERS: '2',
+  HOUSE_FEE_PERCENT: '2',
+  JACKPOT_PERCENT: '0',
+  MIN_STAKE_SOL: '0.01',
+  MAX_STAKE_SOL: '10',
+  MIN_STAKE_USDC: '1',
+  MAX_STAKE_USDC: '1000',
+  DEPOSIT_POLL_SECONDS: '86400'
+});
+
+// LOG_LEVEL=info npm test shows the bot's logs
+process.env.LOG_LEVEL ??= 'silent';
@@ -0,0 +1,143 @@
+import './env.js';
+import assert from 'node:assert/strict';
+import { DiceItBot } from '../../index.js';
+import { FakeTransport } from '../../src/transport/index.js';
+import { createChain } from '../../src/chain/index.js';
+import { createMemoryStorage } from '../../src/storage/MemoryStorage.js';
+import { ACCOUNTS } from '../../src/managers/LedgerManager.js';
+import { TOKENS, getBalanceField } from '../../src/lib/tokens.js';
+
+export const GROUP_ID = -1001;
+export const ADMIN_ID = 1; // in ADMIN_USER_IDS, see env.js
+
+// Let pending promise chains run. setImmediate is never faked, so this
+// also works while a test has mocked setTimeout.
+export const settle = async (rounds = 20) => {
+  for (let i = 0; i < rounds; i++) {
+    await new Promise(resolve => setImmediate(resolve));
+  }
+};
+
+/**
+ * A bot wired to in-memory storage, a FakeTransport and a SimulatedChain,
+ * with helpers to drive a game from the outside.
+ *
+ *   const h = await createHarness();
+ *   const alice = await h.addPlayer(10, { SOL: 1 });
+ *   await h.startGame();
+ *   await h.command(alice, '/dice 0.5 SOL 3');
+ *   ...
+ *   await h.stop();
+ */
+export const createHarness = async () => {
+  const storage = createMemoryStorage();
+  const telegram = new FakeTransport();
+  const chain = createChain('simulated');
+  const bot = new DiceItBot({ storage, transport: telegram, chain });
+
+  await bot.start();
+
+  const harness = {
+    bot,
+    storage,
+    telegram,
+    chain,
+    games: bot.gameManager,
+
+    // Register a Telegram user with /start and fund their wallet
+    async addPlayer(telegramId, funds = {}, username = `user${telegramId}`) {
+      await telegram.command('/start', { chatId: telegramId, userId: telegramId, username });
+      const { data: user } = await storage.users.findByTelegramId(telegramId);
+      assert.ok(user, `user ${telegramId} was not created`);
+
+      await harness.fund(user, funds);
+      return { ...user, telegramId };
+    },
+
+    // Send funds on chain and let the deposit watcher credit them
+    async fund(user, funds) {
+      const { data: wallet } = await storage.wallets.findByUserId(user.id);
+      for (const [token, amount] of Object.entries(funds)) {
+        await chain.fund(wallet.address, amount, token);
+      }
+
+      await bot.depositManager.scanWallet(wallet);
+    },
+
+    // /startgame, then the start button for the given setup
+    async startGame({ dice = 'D6', randomness = 'telegram', policy = 'equal', mode = 'closest', chatId = GROUP_ID, userId = ADMIN_ID } = {}) {
+      await telegram.command('/startgame', { chatId, userId });
+      await telegram.press(`start_${dice}_${randomness}_${policy}_${mode}`, { chatId, userId });
+      return bot.gameManager.getActiveGame(chatId);
+    },
+
+    // Send a command as a player, e.g. '/dice 0.5 SOL 3'
+    command(player, text, chatId = GROUP_ID) {
+      return telegram.command(text, { chatId, userId: player.telegramId, username: player.username });
+    },
+
+    // Close betting and roll, with Telegram's dice showing these values
+    async roll(values, chatId = GROUP_ID) {
+      telegram.queueDice(...[].concat(values));
+      const { gameData, error } = await bot.gameManager.beginRoll(chatId);
+      assert.ok(!error, error);
+
+      const roll = await bot.gameManager.drawResult(gameData, bot.diceChannel(chatId));
+      return bot.gameManager.rollDice(chatId, roll.values, roll.proof);
+    },
+
+    async balance(user, token) {
+      const { data: wallet } = await storage.wallets.findByUserId(user.id);
+      return parseFloat(wallet[getBalanceField(token)]);
+    },
+
+    // Text of the last message the bot sent to a chat
+    lastText(chatId = GROUP_ID) {
+      return telegram.lastMessage(chatId)?.text;
+    },
+
+    // Every ledger entry moves units from one account to another, so
+    // across all accounts (the chain included) each token nets to zero,
+    // and finished games hold nothing.
+    async assertLedgerBalanced() {
+      for (const token of Object.keys(TOKENS)) {
+        let total = 0;
+        for (const [key, units] of storage.db.balances) {
+          if (key.endsWith(`|${token}`)) total += units;
+        }
+        assert.equal(total, 0, `${token} ledger does not net to zero`);
+      }
+
+      for (const game of storage.db.games.filter(row => ['finished', 'cancelled'].includes(row.status))) {
+        const reconciliation = await bot.ledger.reconcileGame(game.id);
+        assert.ok(reconciliation.balanced, `${game.status} game ${game.id} still holds ${JSON.stringify(reconciliation.held)}`);
+      }
+    },
+
+    // Lose every in-memory game and restore them from storage, the way
+    // a restart would
+    async restart() {
+      for (const chatId of [...bot.gameManager.activeGames.keys()]) {
+        bot.gameManager.clearTimer(chatId);
+      }
+      bot.gameManager.activeGames.clear();
+      bot.lobby.stopAll();
+
+      await bot.restoreGames();
+    },
+
+    houseBalance(token) {
+      return bot.ledger.getBalance(ACCOUNTS.HOUSE, token);
+    },
+
+    // DiceItBot.stop() leaves countdowns alone, they'd keep the test running
+    async stop() {
+      for (const chatId of [...bot.gameManager.activeGames.keys()]) {
+        bot.gameManager.clearTimer(chatId);
+      }
+      await bot.stop();
+    }
+  };
+
+  return harness;
+};
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+import { ENTRY_TYPES, ACCOUNTS } from '../src/managers/LedgerManager.js';
+
+// House bets against a funded bankroll, with the randomness provider
+// failing so every bet has to be refunded.
+const setup = async (t) => {
+  const h = await createHarness();
+  t.after(() => h.stop());
+
+  const { ledger, houseManager, gameManager } = h.bot;
+  await ledger.post([ledger.entry(ENTRY_TYPES.TRANSFER, 'SOL', 100, ACCOUNTS.EXTERNAL, ACCOUNTS.BANKROLL)]);
+
+  const provider = gameManager.randomness.get(houseManager.getRandomnessMethod());
+  t.mock.method(provider, 'roll', async () => {
+    throw new Error('randomness is down');
+  });
+
+  h.houseBet = (user) => houseManager.placeBet(user.id, 0.1, 'SOL', 50);
+  return h;
+};
+
+test('a house bet that can\'t be rolled is refunded', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+
+  const result = await h.houseBet(alice);
+
+  assert.equal(result.error, 'Failed to get a random result. Your stake was refunded.');
+  assert.equal(await h.balance(alice, 'SOL'), 1);
+  assert.equal(h.storage.db.houseBets.filter(bet => bet.status === 'refunded').length, 1);
+});
+
+test('a refund that fails to post leaves the bet open for startup recovery', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+
+  const post = h.bot.ledger.post;
+  const refunds = t.mock.method(h.bot.ledger, 'post', (entries) =>
+    entries.some(entry => entry.entry_type === ENTRY_TYPES.REFUND)
+      ? { error: 'Failed to update balances' }
+      : post.call(h.bot.ledger, entries));
+
+  const result = await h.houseBet(alice);
+
+  assert.equal(result.error, 'Failed to get a random result. Your stake is held and its refund will be retried.');
+  assert.equal(await h.balance(alice, 'SOL'), 0.9);
+  assert.equal(h.storage.db.houseBets.filter(bet => bet.status === 'open').length, 1);
+
+  refunds.mock.restore();
+  await h.bot.houseManager.recoverOpenBets();
+
+  assert.equal(await h.balance(alice, 'SOL'), 1);
+  assert.equal(h.storage.db.houseBets.filter(bet => bet.status === 'refunded').length, 1);
+  await h.assertLedgerBalanced();
+});
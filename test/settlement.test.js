@@ -0,0 +1,118 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { settlePools, splitEqually, splitProRata, splitWinnerTakesAll } from '../src/lib/settlement.js';
+import { closestWinners } from '../src/modes/closest.js';
+import { toBaseUnits } from '../src/lib/tokens.js';
+
+const player = (betId, amount, token, chosenNumber) => ({ userId: `user-${betId}`, betId, amount, token, chosenNumber });
+const closestTo = (result) => (players) => closestWinners(players, result);
+
+// Everything that leaves a pool, which must be exactly what went in
+const paidOut = (pool) =>
+  pool.feeUnits + pool.jackpotUnits + pool.seedReturnUnits +
+  [...pool.payouts, ...pool.refunds].reduce((sum, { units }) => sum + units, 0);
+
+test('closest number wins the pot minus the house fee', () => {
+  const players = [player(1, 0.5, 'SOL', 3), player(2, 0.5, 'SOL', 6)];
+
+  const [pool] = settlePools(players, closestTo(2), 2);
+
+  assert.equal(pool.potUnits, toBaseUnits(1, 'SOL'));
+  assert.equal(pool.feeUnits, toBaseUnits(0.02, 'SOL'));
+  assert.deepEqual(pool.payouts.map(p => [p.player.betId, p.units]), [[1, toBaseUnits(0.98, 'SOL')]]);
+  assert.equal(paidOut(pool), pool.potUnits);
+});
+
+test('tied winners share equally and the odd unit goes to the first', () => {
+  const players = [player(1, 0.01, 'USDC', 2), player(2, 0.010001, 'USDC', 4), player(3, 0.01, 'USDC', 6)];
+
+  const [pool] = settlePools(players, closestTo(3), 0);
+
+  // 30001 units between two winners
+  assert.deepEqual(pool.payouts.map(p => [p.player.betId, p.units]), [[1, 15001], [2, 15000]]);
+  assert.equal(paidOut(pool), pool.potUnits);
+
+  const [withFee] = settlePools(players, closestTo(3), 1);
+  assert.equal(withFee.feeUnits, 300);
+  assert.deepEqual(withFee.payouts.map(p => p.units), [14851, 14850]);
+  assert.equal(paidOut(withFee), withFee.potUnits);
+});
+
+test('pro-rata ties split by stake without losing units', () => {
+  const players = [player(1, 1, 'USDC', 3), player(2, 2, 'USDC', 3), player(3, 4, 'USDC', 1)];
+
+  const [pool] = settlePools(players, closestTo(3), 2, 'prorata');
+
+  const distributable = pool.potUnits - pool.feeUnits;
+  assert.deepEqual(pool.payouts.map(p => p.player.betId), [1, 2]);
+  assert.equal(pool.payouts[0].units + pool.payouts[1].units, distributable);
+  assert.ok(Math.abs(pool.payouts[1].units - 2 * pool.payouts[0].units) <= 2);
+  assert.equal(paidOut(pool), pool.potUnits);
+
+  // 10 units by stakes 1:1:1 can't divide evenly; the remainder still goes out
+  const shares = splitProRata(10, [player(1, 1, 'USDC'), player(2, 1, 'USDC'), player(3, 1, 'USDC')], 'USDC');
+  assert.deepEqual(shares.map(s => s.units), [4, 3, 3]);
+});
+
+test('winner takes all goes to the biggest stake, then the earliest', () => {
+  const players = [player(1, 1, 'SOL', 3), player(2, 2, 'SOL', 3), player(3, 2, 'SOL', 3)];
+
+  const [pool] = settlePools(players, closestTo(3), 2, 'wta');
+
+  assert.deepEqual(pool.payouts.map(p => p.player.betId), [2]);
+  assert.equal(paidOut(pool), pool.potUnits);
+  assert.deepEqual(splitWinnerTakesAll(5, [], 'SOL'), []);
+});
+
+test('each token is its own pool', () => {
+  const players = [
+    player(1, 0.5, 'SOL', 1),
+    player(2, 0.5, 'SOL', 6),
+    player(3, 10, 'USDC', 6),
+    player(4, 10, 'USDC', 2)
+  ];
+
+  const pools = settlePools(players, closestTo(2), 2);
+
+  assert.deepEqual(pools.map(pool => pool.token), ['SOL', 'USDC']);
+  assert.deepEqual(pools[0].payouts.map(p => p.player.betId), [1]);
+  assert.deepEqual(pools[1].payouts.map(p => p.player.betId), [4]);
+  assert.equal(pools[1].potUnits, toBaseUnits(20, 'USDC'));
+  pools.forEach(pool => assert.equal(paidOut(pool), pool.potUnits));
+});
+
+test('a pool without winners refunds every stake with no fee', () => {
+  const players = [player(1, 0.3, 'SOL', 2), player(2, 0.7, 'SOL', 5)];
+
+  const [pool] = settlePools(players, () => [], 2, 'equal', null, { SOL: 1000 });
+
+  assert.equal(pool.feeUnits, 0);
+  assert.equal(pool.seedReturnUnits, 1000);
+  assert.deepEqual(pool.refunds.map(r => r.units), [toBaseUnits(0.3, 'SOL'), toBaseUnits(0.7, 'SOL')]);
+  assert.equal(paidOut(pool), pool.potUnits);
+});
+
+test('fees round down to whole units and the rest stays in the pot', () => {
+  // 3 units at 2% is 0.06 of a unit: no fee at all
+  const players = [player(1, 0.000001, 'USDC', 1), player(2, 0.000002, 'USDC', 5)];
+
+  const [pool] = settlePools(players, closestTo(1), 2);
+
+  assert.equal(pool.potUnits, 3);
+  assert.equal(pool.feeUnits, 0);
+  assert.deepEqual(pool.payouts.map(p => p.units), [3]);
+});
+
+test('capped payouts refund the excess to the losers by stake', () => {
+  const players = [player(1, 1, 'USDC', 3), player(2, 1, 'USDC', 1), player(3, 3, 'USDC', 1)];
+  const cap = (p) => toBaseUnits(p.amount * 2, 'USDC');
+
+  const [pool] = settlePools(players, closestTo(3), 0, 'equal', cap);
+
+  assert.deepEqual(pool.payouts.map(p => p.units), [toBaseUnits(2, 'USDC')]);
+  assert.deepEqual(pool.refunds.map(r => [r.player.betId, r.units]), [
+    [2, toBaseUnits(0.75, 'USDC')],
+    [3, toBaseUnits(2.25, 'USDC')]
+  ]);
+  assert.equal(paidOut(pool), pool.potUnits);
+});
@@ -0,0 +1,297 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHarness } from './helpers/harness.js';
+
+// Deposits and withdrawals against the SimulatedChain, so wallet flows run
+// end to end: on-chain balances, fees, the deposit watcher, sweeps into
+// the house wallet and Dynamic's signing checks.
+
+const closeTo = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `expected ${expected}, got ${actual}`);
+
+const FEE = 0.000005; // SOL per signature
+
+// Amounts as the bot prints them, without float noise
+const sol = (amount) => parseFloat(amount.toFixed(9));
+
+const setup = async (t) => {
+  const h = await createHarness();
+  t.after(() => h.stop());
+
+  h.wallet = async (user) => (await h.storage.wallets.findByUserId(user.id)).data;
+
+  h.onChain = async (user, token) => h.chain.getBalance((await h.wallet(user)).address, token);
+
+  h.house = () => h.bot.walletManager.getHouseWallet();
+
+  h.inHouse = async (token) => h.chain.getBalance((await h.house()).address, token);
+
+  // Deposit on chain and let the watcher credit and sweep it, as /balance does
+  h.fund = async (user, funds) => {
+    const { address } = await h.wallet(user);
+    for (const [token, amount] of Object.entries(funds)) {
+      await h.chain.fund(address, amount, token);
+    }
+    await h.bot.depositManager.refreshBalance(user.id);
+  };
+
+  // /withdraw in private chat, then the confirm button
+  h.withdraw = async (user, args) => {
+    await h.command(user, `/withdraw ${args}`, user.telegramId);
+    const confirm = h.lastText(user.telegramId);
+    const button = h.telegram.lastMessage(user.telegramId).reply_markup?.inline_keyboard[0][0];
+    assert.ok(button, `no confirm button: ${confirm}`);
+
+    await h.telegram.press(button.callback_data, { chatId: user.telegramId, userId: user.telegramId });
+    return h.lastText(user.telegramId);
+  };
+
+  h.withdrawals = () => h.storage.db.withdrawals.filter(() => true);
+  return h;
+};
+
+test('deposits are credited once and swept into the house wallet', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10);
+  const { address } = await h.wallet(alice);
+
+  await h.chain.fund(address, 1.5, 'SOL');
+  await h.chain.fund(address, 25, 'USDC');
+
+  await h.command(alice, '/balance', alice.telegramId);
+  assert.match(h.lastText(alice.telegramId), /SOL: 1\.5000\n💵 USDC: 25\.00/);
+  assert.ok(h.telegram.messagesIn(alice.telegramId).some(m => /Deposit Received!.*➕ 25\.00 USDC/s.test(m.text)));
+
+  // The SOL sweep pays its own fee, the USDC one has two signers
+  closeTo(await h.balance(alice, 'SOL'), 1.5 - 3 * FEE);
+  assert.equal(await h.onChain(alice, 'SOL'), 0);
+  assert.equal(await h.onChain(alice, 'USDC'), 0);
+  closeTo(await h.inHouse('SOL'), 1.5 - 3 * FEE);
+  closeTo(await h.inHouse('USDC'), 25);
+
+  // Later scans start from the cursor and find nothing new
+  await h.bot.depositManager.scanAll();
+  await h.command(alice, '/balance', alice.telegramId);
+  closeTo(await h.balance(alice, 'SOL'), 1.5 - 3 * FEE);
+  closeTo(await h.balance(alice, 'USDC'), 25);
+  assert.equal(h.storage.db.houseWallets.filter(() => true).length, 1);
+  await h.assertLedgerBalanced();
+});
+
+test('USDC is swept once the player has SOL for the fee', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { USDC: 10 });
+
+  closeTo(await h.balance(alice, 'USDC'), 10);
+  closeTo(await h.onChain(alice, 'USDC'), 10);
+
+  await h.fund(alice, { SOL: 0.01 });
+  assert.equal(await h.onChain(alice, 'USDC'), 0);
+  closeTo(await h.inHouse('USDC'), 10);
+  closeTo(await h.balance(alice, 'SOL'), 0.01 - 3 * FEE);
+  closeTo(await h.inHouse('SOL'), 0.01 - 3 * FEE);
+  await h.assertLedgerBalanced();
+});
+
+test('a SOL withdrawal is sent from the house wallet and shows up as the recipient\'s deposit', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11);
+
+  const text = await h.withdraw(alice, `0.4 SOL ${(await h.wallet(bob)).address}`);
+
+  assert.match(text, /Withdrawal Sent!/);
+  const [withdrawal] = h.withdrawals();
+  assert.equal(withdrawal.status, 'completed');
+  assert.ok(text.includes(`Transaction: \`${withdrawal.tx_signature}\``));
+
+  closeTo(await h.balance(alice, 'SOL'), 0.6 - 2 * FEE);
+  closeTo(await h.inHouse('SOL'), 0.6 - 2 * FEE);
+  closeTo(await h.onChain(bob, 'SOL'), 0.4);
+
+  await h.bot.depositManager.scanAll();
+  closeTo(await h.balance(bob, 'SOL'), 0.4 - FEE);
+  closeTo(await h.inHouse('SOL'), 1 - 3 * FEE);
+  await h.assertLedgerBalanced();
+});
+
+test('a USDC withdrawal pays its fee in SOL', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 0.01, USDC: 20 });
+  const bob = await h.addPlayer(11);
+
+  assert.match(await h.withdraw(alice, `5 USDC ${(await h.wallet(bob)).address}`), /Withdrawal Sent!/);
+
+  closeTo(await h.balance(alice, 'USDC'), 15);
+  closeTo(await h.inHouse('USDC'), 15);
+  closeTo(await h.balance(alice, 'SOL'), 0.01 - 4 * FEE);
+  closeTo(await h.inHouse('SOL'), 0.01 - 4 * FEE);
+  closeTo(await h.onChain(bob, 'USDC'), 5);
+  await h.assertLedgerBalanced();
+});
+
+test('the ledger pays the network fee, so the whole balance can be withdrawn', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1, USDC: 10 });
+  const bob = await h.addPlayer(11, { USDC: 10 });
+  const { address: bobsAddress } = await h.wallet(bob);
+
+  assert.match(await h.withdraw(alice, `0.5 SOL ${bobsAddress}`), /Withdrawal Sent!/);
+  assert.match(await h.withdraw(alice, `10 USDC ${bobsAddress}`), /Withdrawal Sent!/);
+
+  // Three sweep fees and two withdrawal fees paid so far, and the next
+  // one has to fit next to the amount
+  closeTo(await h.balance(alice, 'SOL'), 0.5 - 5 * FEE);
+  await h.command(alice, `/withdraw ${sol(0.5 - 5 * FEE)} SOL ${bobsAddress}`, alice.telegramId);
+  assert.equal(h.lastText(alice.telegramId),
+    `❌ Not enough SOL left for the ${FEE} SOL network fee. You can withdraw up to ${sol(0.5 - 6 * FEE)} SOL`);
+
+  assert.match(await h.withdraw(alice, `${sol(0.5 - 6 * FEE)} SOL ${bobsAddress}`), /Withdrawal Sent!/);
+  assert.equal(await h.balance(alice, 'SOL'), 0);
+  assert.equal(await h.inHouse('SOL'), 0);
+
+  // Without any SOL there is nothing to pay the fee with
+  await h.command(bob, `/withdraw 5 USDC ${(await h.wallet(alice)).address}`, bob.telegramId);
+  assert.equal(h.lastText(bob.telegramId), `❌ You need ${FEE} SOL for the network fee, you have 0 SOL`);
+  await h.assertLedgerBalanced();
+});
+
+test('a withdrawal that never reaches the chain is refunded', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 0.01, USDC: 20 });
+  const alicesAddress = (await h.wallet(alice)).address;
+
+  h.chain.failNext('send', 'Blockhash not found');
+  assert.match(await h.withdraw(bob, `5 USDC ${alicesAddress}`), /Withdrawal failed. Your balance has been restored./);
+
+  assert.deepEqual(h.withdrawals().map(w => [w.status, w.error]), [['failed', 'Blockhash not found']]);
+  closeTo(await h.balance(bob, 'USDC'), 20);
+  closeTo(await h.inHouse('USDC'), 20);
+  closeTo(await h.balance(bob, 'SOL'), 0.01 - 3 * FEE);
+  closeTo(await h.onChain(alice, 'USDC'), 0);
+  await h.assertLedgerBalanced();
+});
+
+test('an unconfirmed withdrawal keeps the balance deducted and completes once it has landed', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11);
+
+  h.chain.failNext('confirm', 'block height exceeded');
+  const text = await h.withdraw(alice, `0.5 SOL ${(await h.wallet(bob)).address}`);
+
+  assert.match(text, /Withdrawal Submitted.*taking longer than usual/s);
+  const [withdrawal] = h.withdrawals();
+  assert.equal(withdrawal.status, 'unconfirmed');
+  assert.ok(withdrawal.tx_signature);
+  closeTo(await h.balance(alice, 'SOL'), 0.5 - 2 * FEE);
+
+  // The next poll finds it on chain
+  await h.bot.depositManager.scanAll();
+  assert.equal(h.withdrawals()[0].status, 'completed');
+  assert.match(h.lastText(alice.telegramId), /Withdrawal Confirmed.*0\.5 SOL/s);
+  closeTo(await h.balance(alice, 'SOL'), 0.5 - 2 * FEE);
+  closeTo(await h.balance(bob, 'SOL'), 0.5 - FEE);
+  await h.assertLedgerBalanced();
+});
+
+test('a withdrawal that never lands is refunded once its blockhash expires', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 0.01, USDC: 20 });
+  const bob = await h.addPlayer(11);
+
+  h.chain.failNext('drop');
+  assert.match(await h.withdraw(alice, `5 USDC ${(await h.wallet(bob)).address}`), /Withdrawal Submitted/);
+  closeTo(await h.balance(alice, 'USDC'), 15);
+
+  // It could still land
+  await h.bot.depositManager.scanAll();
+  assert.equal(h.withdrawals()[0].status, 'unconfirmed');
+  closeTo(await h.balance(alice, 'USDC'), 15);
+
+  h.chain.skipSlots(151);
+  await h.bot.depositManager.scanAll();
+  assert.deepEqual(h.withdrawals().map(w => [w.status, w.error]), [['failed', 'Transaction never landed']]);
+  assert.match(h.lastText(alice.telegramId), /Withdrawal Failed.*5 USDC never reached the chain\. Your balance has been restored\./s);
+
+  closeTo(await h.balance(alice, 'USDC'), 20);
+  closeTo(await h.balance(alice, 'SOL'), 0.01 - 3 * FEE);
+  closeTo(await h.inHouse('USDC'), 20);
+  assert.equal(await h.onChain(bob, 'USDC'), 0);
+
+  // Refunded once, however often the watcher looks again
+  await h.bot.depositManager.scanAll();
+  closeTo(await h.balance(alice, 'USDC'), 20);
+  await h.assertLedgerBalanced();
+});
+
+test('withdrawals are refused for bad addresses and signed only with the house wallet\'s password', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11);
+  const { address: alicesAddress } = await h.wallet(alice);
+  const { address: bobsAddress } = await h.wallet(bob);
+
+  // Token accounts can't sign, funds sent there would be stuck
+  const tokenAccount = await h.chain.getDepositAddress(bobsAddress, 'USDC');
+  for (const destination of ['not-an-address', tokenAccount, alicesAddress, (await h.house()).address]) {
+    await h.command(alice, `/withdraw 0.1 SOL ${destination}`, alice.telegramId);
+    assert.match(h.lastText(alice.telegramId),
+      /^❌ (Invalid Solana wallet address|You cannot withdraw to your own DiceIt wallet|You cannot withdraw to the DiceIt house wallet)$/);
+  }
+
+  const { withdrawal } = await h.bot.walletManager.createWithdrawal(alice.id, 0.5, 'SOL', bobsAddress);
+
+  const password = process.env.HOUSE_WALLET_PASSWORD;
+  process.env.HOUSE_WALLET_PASSWORD = 'not-the-house-password';
+  const result = await h.bot.walletManager.processWithdrawal(withdrawal.id, alice.id);
+  process.env.HOUSE_WALLET_PASSWORD = password;
+
+  assert.equal(result.error, 'Withdrawal failed. Your balance has been restored.');
+  assert.match(h.withdrawals()[0].error, /Wrong password/);
+  closeTo(await h.balance(alice, 'SOL'), 1 - FEE);
+  closeTo(await h.onChain(bob, 'SOL'), 0);
+});
+
+test('/faucet funds the wallet on the simulated chain', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10);
+
+  await h.command(alice, '/faucet 2 SOL', alice.telegramId);
+  assert.ok(h.telegram.messagesIn(alice.telegramId).some(m => m.text === '🚰 Sent 2.0000 SOL to your wallet'));
+  assert.match(h.lastText(alice.telegramId), /Deposit Received!/);
+
+  await h.command(alice, '/faucet 0 USDC', alice.telegramId);
+  assert.equal(h.lastText(alice.telegramId), '❌ Amount must be greater than 0');
+
+  await h.command(alice, '/faucet lots', alice.telegramId);
+  assert.match(h.lastText(alice.telegramId), /Usage: \/faucet/);
+
+  closeTo(await h.balance(alice, 'SOL'), 2 - FEE);
+  closeTo(await h.inHouse('SOL'), 2 - FEE);
+  await h.assertLedgerBalanced();
+});
+
+test('winnings can be withdrawn, paid from the losers\' swept stakes', async (t) => {
+  const h = await setup(t);
+  const alice = await h.addPlayer(10, { SOL: 1 });
+  const bob = await h.addPlayer(11, { SOL: 1 });
+  const { address: bobsAddress } = await h.wallet(bob);
+
+  await h.startGame();
+  await h.command(alice, '/dice 0.5 SOL 3');
+  await h.command(bob, '/dice 0.5 SOL 6');
+  await h.roll(3);
+
+  // More than Alice ever deposited
+  closeTo(await h.balance(alice, 'SOL'), 1.48 - FEE);
+  assert.match(await h.withdraw(alice, `${sol(1.48 - 2 * FEE)} SOL ${bobsAddress}`), /Withdrawal Sent!/);
+
+  assert.equal(await h.balance(alice, 'SOL'), 0);
+  closeTo(await h.onChain(bob, 'SOL'), 1.48 - 2 * FEE);
+
+  // What's left in the house wallet is Bob's balance and the house fee
+  closeTo(await h.inHouse('SOL'), (await h.balance(bob, 'SOL')) + await h.houseBalance('SOL'));
+  await h.assertLedgerBalanced();
+});